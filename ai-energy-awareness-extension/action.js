@@ -0,0 +1,100 @@
+// action.js
+// Toolbar pop-up: today's totals from the ledger, plus quick switches for the
+// interaction mode, a pause and the history dashboard.
+
+const modeSelect = document.getElementById('interaction-mode');
+const pauseSelect = document.getElementById('pause-minutes');
+const pauseButton = document.getElementById('pause-button');
+const pauseStatus = document.getElementById('pause-status');
+
+// Today's queries, energy, CO₂ and decision split, with the budget when one is set
+async function renderTodaySummary() {
+  const entries = await loadLedger();
+  const summary = summarizeLedger(entries, getPeriodStart('day'));
+  const budget = getBudgetStatus(entries, currentSettings.budget, new Date(), await loadTeamBudgetUsage());
+  const container = document.getElementById('today-summary');
+
+  const decisions = Object.keys(DECISION_COLORS).filter(decision => summary[decision] > 0);
+  const segments = decisions.map(decision =>
+    `<div title="${getDecisionLabel(decision)}: ${summary[decision]}" style="width: ${(summary[decision] / summary.queries) * 100}%; background: ${DECISION_COLORS[decision]};"></div>`
+  ).join('');
+  const legend = decisions.map(decision =>
+    `<span style="--swatch: ${DECISION_COLORS[decision]}">${getDecisionLabel(decision)} ${formatNumber(summary[decision])}</span>`
+  ).join(' · ');
+
+  container.innerHTML = `
+    <div class="stat"><span>${uiText('statQueries')}</span><strong>${formatNumber(summary.queries)}</strong></div>
+    <div class="stat"><span>${uiText('statEnergyUsed')}</span><strong>${formatEnergy(summary.energyWh)}</strong></div>
+    <div class="stat"><span>${uiText('statEmissions')}</span><strong>${formatCarbon(summary.carbonGrams)}</strong></div>
+    <div class="stat saved"><span>${uiText('statSaved')}</span><strong>${formatEnergy(summary.savedEnergyWh)}</strong></div>
+    ${budget ? `<div class="stat"><span>${uiText(`${budget.scope === 'team' ? 'actionTeamBudget' : 'actionBudget'}_${budget.period}`)}</span><strong>${uiText('actionBudgetUsed', formatNumber(budget.share * 100))}</strong></div>` : ''}
+    ${summary.queries > 0
+      ? `<div class="split">${segments}</div><div class="split-legend">${legend}</div>`
+      : `<p class="empty">${uiText('actionEmpty')}</p>`}
+  `;
+}
+
+function renderModeSelect() {
+  modeSelect.innerHTML = Object.keys(INTERACTION_MODES)
+    .map(id => `<option value="${id}">${uiText(`interactionMode_${id}`)}</option>`)
+    .join('');
+  modeSelect.value = currentSettings.interactionMode;
+}
+
+// Either the duration picker, or when the pause ends and a Resume button
+function renderPause() {
+  const paused = isInterceptionPaused();
+  pauseSelect.disabled = paused;
+  pauseButton.textContent = uiText(paused ? 'actionResume' : 'actionPause');
+  pauseStatus.textContent = paused
+    ? uiText('actionPausedUntil', new Date(interceptionPausedUntil).toLocaleTimeString(uiLocale.replace('_', '-'), { hour: '2-digit', minute: '2-digit' }))
+    : '';
+}
+
+modeSelect.addEventListener('change', async () => {
+  const { errors } = await saveSettings({ ...currentSettings, interactionMode: modeSelect.value });
+  if (errors.length > 0) {
+    pauseStatus.textContent = errors.join('; ');
+    modeSelect.value = currentSettings.interactionMode;
+  }
+});
+
+pauseButton.addEventListener('click', async () => {
+  if (isInterceptionPaused()) {
+    await resumeInterception();
+  } else {
+    await pauseInterception(Number(pauseSelect.value));
+  }
+  renderPause();
+});
+
+document.getElementById('open-history').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  window.close();
+});
+
+function getPauseDurationLabel(minutes) {
+  if (minutes < 60) return uiText('pauseMinutes', formatNumber(minutes));
+  return minutes === 60 ? uiText('pauseHour') : uiText('pauseHours', formatNumber(minutes / 60));
+}
+
+function renderPauseSelect() {
+  const selected = pauseSelect.value || '30';
+  pauseSelect.innerHTML = PAUSE_DURATIONS_MINUTES
+    .map(minutes => `<option value="${minutes}">${getPauseDurationLabel(minutes)}</option>`)
+    .join('');
+  pauseSelect.value = selected;
+}
+
+renderPauseSelect();
+
+// The whole pop-up follows the language chosen on the options page
+watchSettings(async settings => {
+  await applyUiLanguage(settings.uiLanguage);
+  localizePage();
+  renderModeSelect();
+  renderPauseSelect();
+  renderPause();
+  renderTodaySummary();
+});
+watchPause(renderPause);
@@ -0,0 +1,162 @@
+// attachments.js
+// Files attached to the next prompt (uploads, drops and pastes) and the input
+// tokens they add. Images go through the vision encoder in 512 px tiles;
+// documents are estimated per page; code and text files are tokenized.
+
+const ATTACHMENT_KINDS = {
+  image: 'Images',
+  document: 'Documents',
+  code: 'Code & text files'
+};
+
+// OpenAI's published vision pricing: 85 base tokens + 170 per 512 px tile, after
+// scaling to fit 2048 × 2048 and then to 768 px on the short side
+const VISION_BASE_TOKENS = 85;
+const VISION_TOKENS_PER_TILE = 170;
+const VISION_TILE_PX = 512;
+// Used until we've read an image's dimensions (a 1024 × 1024 image: 4 tiles)
+const VISION_DEFAULT_TOKENS = 765;
+
+// A page of prose is roughly 500 tokens
+const DOCUMENT_TOKENS_PER_PAGE = 500;
+// Page-count fallback when a document can't be parsed (embedded fonts and
+// images make PDFs and Office files much larger than their text)
+const DOCUMENT_BYTES_PER_PAGE = 75 * 1024;
+// Don't read anything bigger than this into memory just to count it
+const ATTACHMENT_MAX_READ_BYTES = 20 * 1024 * 1024;
+// Plain text averages about 4 bytes per token
+const TEXT_BYTES_PER_TOKEN = 4;
+
+const CODE_FILE_PATTERN = /\.(js|mjs|cjs|jsx|ts|tsx|py|ipynb|java|kt|swift|c|h|cc|cpp|hpp|cs|go|rb|rs|php|scala|sh|bash|ps1|sql|r|m|lua|pl|html|css|scss|vue|svelte|json|ya?ml|toml|xml|txt|md|csv|tsv|log|ini|env)$/i;
+
+// For pages with no composer (Google Search)
+const EMPTY_ATTACHMENT_SUMMARY = { count: 0, tokens: 0, byKind: {} };
+
+// Files captured for the prompt being written: { name, size, kind, tokens, pages, width, height, measured }
+let pendingAttachments = [];
+
+function classifyAttachment(file) {
+  if ((file.type || '').startsWith('image/')) return 'image';
+  if ((file.type || '').startsWith('text/') || CODE_FILE_PATTERN.test(file.name || '')) return 'code';
+  return 'document';
+}
+
+// Vision tokens for an image sent at high detail
+function estimateImageTokens(width, height) {
+  let scaledWidth = width;
+  let scaledHeight = height;
+
+  const fitScale = Math.min(1, 2048 / Math.max(scaledWidth, scaledHeight));
+  scaledWidth *= fitScale;
+  scaledHeight *= fitScale;
+
+  const shortScale = Math.min(1, 768 / Math.min(scaledWidth, scaledHeight));
+  scaledWidth *= shortScale;
+  scaledHeight *= shortScale;
+
+  const tiles = Math.ceil(scaledWidth / VISION_TILE_PX) * Math.ceil(scaledHeight / VISION_TILE_PX);
+  return VISION_BASE_TOKENS + tiles * VISION_TOKENS_PER_TILE;
+}
+
+// Quick estimate from what we know without reading the file
+function estimateAttachmentTokens(attachment) {
+  if (attachment.kind === 'image') return VISION_DEFAULT_TOKENS;
+  if (attachment.kind === 'code') return Math.ceil(attachment.size / TEXT_BYTES_PER_TOKEN);
+  return Math.max(1, Math.ceil(attachment.size / DOCUMENT_BYTES_PER_PAGE)) * DOCUMENT_TOKENS_PER_PAGE;
+}
+
+// Count the pages in a PDF by its page objects (no full parser needed)
+function countPdfPages(buffer) {
+  const text = new TextDecoder('latin1').decode(buffer);
+  const matches = text.match(/\/Type\s*\/Page(?!s)/g);
+  return matches ? matches.length : 0;
+}
+
+// Replace the quick estimate with a measurement: image size, PDF pages or real tokens
+async function measureAttachment(file, attachment) {
+  if (file.size > ATTACHMENT_MAX_READ_BYTES) return;
+
+  try {
+    if (attachment.kind === 'image') {
+      const bitmap = await createImageBitmap(file);
+      attachment.width = bitmap.width;
+      attachment.height = bitmap.height;
+      attachment.tokens = estimateImageTokens(bitmap.width, bitmap.height);
+      bitmap.close();
+    } else if (attachment.kind === 'code') {
+      attachment.tokens = countTextTokens(await file.text());
+    } else if (/\.pdf$/i.test(file.name) || file.type === 'application/pdf') {
+      const pages = countPdfPages(await file.arrayBuffer());
+      if (pages === 0) return;
+      attachment.pages = pages;
+      attachment.tokens = pages * DOCUMENT_TOKENS_PER_PAGE;
+    } else {
+      return;
+    }
+    attachment.measured = true;
+  } catch (error) {
+    console.warn(`Could not measure attachment ${file.name}:`, error);
+  }
+}
+
+// Start tracking files; onChange runs again once each one has been measured
+function addAttachments(files, onChange) {
+  Array.from(files || []).forEach(file => {
+    const attachment = {
+      name: file.name || 'pasted file',
+      size: file.size,
+      kind: classifyAttachment(file),
+      measured: false
+    };
+    attachment.tokens = estimateAttachmentTokens(attachment);
+    pendingAttachments.push(attachment);
+    measureAttachment(file, attachment).then(onChange);
+  });
+  onChange();
+}
+
+// The prompt went out (or the conversation changed); its files went with it
+function clearAttachments() {
+  pendingAttachments = [];
+}
+
+// Totals per kind for the prompt being written:
+// { count, tokens, byKind: { image: { count, tokens, items }, ... } }
+function getAttachmentSummary() {
+  const byKind = {};
+  pendingAttachments.forEach(attachment => {
+    const group = byKind[attachment.kind] || (byKind[attachment.kind] = { count: 0, tokens: 0, items: [] });
+    group.count += 1;
+    group.tokens += attachment.tokens;
+    group.items.push(attachment);
+  });
+
+  return {
+    count: pendingAttachments.length,
+    tokens: pendingAttachments.reduce((sum, attachment) => sum + attachment.tokens, 0),
+    byKind
+  };
+}
+
+// Capture files as they're picked, dropped or pasted. Chat sites only use file
+// inputs for attachments, so any of them counts. Removing a file again before
+// sending isn't visible to us; the list resets when the prompt is sent.
+function watchAttachments(onChange) {
+  document.addEventListener('change', (event) => {
+    if (event.target.matches && event.target.matches('input[type="file"]')) {
+      addAttachments(event.target.files, onChange);
+    }
+  }, true);
+
+  document.addEventListener('drop', (event) => {
+    if (event.dataTransfer && event.dataTransfer.files.length > 0) {
+      addAttachments(event.dataTransfer.files, onChange);
+    }
+  }, true);
+
+  document.addEventListener('paste', (event) => {
+    if (event.clipboardData && event.clipboardData.files.length > 0) {
+      addAttachments(event.clipboardData.files, onChange);
+    }
+  }, true);
+}
@@ -0,0 +1,107 @@
+// background.js
+
+importScripts('storage.js', 'models.js', 'grid-regions.js', 'grid-providers.js', 'destinations.js', 'settings.js', 'privacy.js', 'ledger.js', 'budget.js', 'team-sync.js');
+
+// Team sync runs on alarms so it survives the worker being unloaded between
+// reports; a team budget's totals are fetched once the reports are in
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name !== TEAM_SYNC_ALARM && alarm.name !== TEAM_SYNC_RETRY_ALARM) return;
+  loadSettings()
+    .then(settings => (alarm.name === TEAM_SYNC_ALARM ? runTeamSync(settings.teamSync) : retryTeamSync(settings.teamSync))
+      .then(() => refreshTeamBudgetUsage(settings)))
+    .catch(error => console.warn('Team sync failed:', error));
+});
+
+// History past the retention period is deleted daily, even on days nothing new is logged
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name !== RETENTION_ALARM) return;
+  loadSettings()
+    .then(settings => enforceLedgerPrivacy(settings.privacy))
+    .catch(error => console.warn('Could not expire old history:', error));
+});
+
+watchSettings(settings => {
+  scheduleTeamSync(settings.teamSync).catch(error => console.warn('Could not schedule team sync:', error));
+  // A shorter retention period or leaving 'redacted' mode applies to what's stored straight away
+  enforceLedgerPrivacy(settings.privacy).catch(error => console.warn('Could not apply the privacy settings:', error));
+  refreshTeamBudgetUsage(settings).catch(error => console.warn('Could not fetch the team budget totals:', error));
+});
+scheduleRetention();
+moveSecretSettingsToLocal().catch(error => console.warn('Could not move EcoQuery tokens out of sync storage:', error));
+
+// Handle requests from content scripts that need extension-only APIs
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || !message.type) return;
+
+  // Ledger writes from tabs and pages, applied one at a time (see requestLedgerChange)
+  if (message.type === 'ledger-change') {
+    // Settings first, so the privacy mode in effect decides what's kept
+    loadSettings()
+      .then(() => applyLedgerChange(message.change))
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.warn('Could not change the ledger:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'open-history') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+  }
+
+  if (message.type === 'get-grid-intensity') {
+    loadSettings()
+      .then(settings => getLiveGridIntensity(settings.liveGrid, message.regionId))
+      .then(reading => sendResponse({ reading }))
+      .catch(error => {
+        console.warn('Live grid lookup failed:', error);
+        sendResponse({ reading: null });
+      });
+    // Keep the channel open for the async response
+    return true;
+  }
+
+  // Catalog for the options page's language override (see i18n.js)
+  if (message.type === 'get-ui-catalog') {
+    if (!/^[a-z]{2}(_[A-Z]{2})?$/.test(message.language)) {
+      sendResponse({ catalog: null });
+      return false;
+    }
+    fetch(chrome.runtime.getURL(`_locales/${message.language}/messages.json`))
+      .then(response => response.json())
+      .then(catalog => sendResponse({ catalog }))
+      .catch(error => {
+        console.warn(`Could not read the ${message.language} UI strings:`, error);
+        sendResponse({ catalog: null });
+      });
+    return true;
+  }
+
+  // "Sync now" on the options page
+  if (message.type === 'team-sync-now') {
+    loadSettings()
+      .then(async settings => {
+        const queue = await runTeamSync(settings.teamSync);
+        await refreshTeamBudgetUsage(settings).catch(error => console.warn('Could not fetch the team budget totals:', error));
+        return queue;
+      })
+      .then(queue => sendResponse({ queued: queue ? queue.length : 0 }))
+      .catch(error => {
+        console.warn('Team sync failed:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'get-query-classifier') {
+    fetch(chrome.runtime.getURL('query-classifier.json'))
+      .then(response => response.json())
+      .then(classifier => sendResponse({ classifier }))
+      .catch(error => {
+        console.warn('Could not read the query classifier:', error);
+        sendResponse({ classifier: null });
+      });
+    return true;
+  }
+});
@@ -0,0 +1,151 @@
+// budget.js
+// Daily / weekly / monthly energy or CO₂ budgets (settings.budget), measured
+// against the ledger. Loaded as a content script after ledger.js and
+// settings.js. The status is cached and refreshed whenever the ledger or the
+// settings change and when a new period starts, because handleSendAttempt
+// has to decide synchronously whether a send is over budget.
+//
+// A team budget (scope 'team') counts the team's totals from the team sync
+// server, which the background worker fetches after each report
+// (refreshTeamBudgetUsage in team-sync.js), plus what this browser logged
+// after its last report the server accepted. Until there are totals for the current period it counts this
+// browser's usage alone.
+
+// Escalating warning levels, highest first; share is the part of the budget used
+const BUDGET_LEVELS = [
+  { id: 'exceeded', from: 1 },
+  { id: 'warning', from: 0.8 },
+  { id: 'approaching', from: 0.5 },
+  { id: 'ok', from: 0 }
+];
+
+// Latest getBudgetStatus() result; null while budgets are off or not loaded yet
+let currentBudgetStatus = null;
+
+// { team, period, periodStart, energyWh, carbonGrams, members, reportedUntil, fetchedAt }:
+// the team's usage this period as of fetchedAt, with this browser's only up
+// to reportedUntil; kept in chrome.storage.local
+const TEAM_BUDGET_USAGE_STORAGE_KEY = 'ecoqueryTeamBudgetUsage';
+let currentTeamBudgetUsage = null;
+
+// Timers can't wait a whole month (setTimeout overflows past ~24.8 days), and
+// a sleeping laptop delays them anyway: wake at least daily, and check the
+// period on every read (getCurrentBudgetStatus)
+const BUDGET_REFRESH_MAX_MS = 24 * 60 * 60 * 1000;
+let budgetRolloverTimer = null;
+// watchBudget's listener, also told when a new period starts
+let budgetListener = () => {};
+
+function getBudgetLevel(share) {
+  return BUDGET_LEVELS.find(level => share >= level.from).id;
+}
+
+// Amount the budget counts for a ledger summary or a single cost (Wh or g CO₂)
+function getBudgetAmount(cost, metric) {
+  return metric === 'carbon' ? cost.carbonGrams : cost.energyWh;
+}
+
+// Team usage that applies to a budget now: a team budget's, for its period
+function getApplicableTeamUsage(budget, periodStart, teamUsage) {
+  if (budget.scope !== 'team' || !teamUsage) return null;
+  return teamUsage.period === budget.period && teamUsage.periodStart === periodStart ? teamUsage : null;
+}
+
+// How much of this period's budget the ledger (and the team) has used:
+// { period, periodStart, metric, scope, used, limit, share, level }, or null
+// when budgets are off. scope is 'team' only once there are team totals.
+function getBudgetStatus(entries, budget = currentSettings.budget, now = new Date(), teamUsage = currentTeamBudgetUsage) {
+  if (!budget.enabled) return null;
+
+  const periodStart = getPeriodStart(budget.period, now);
+  const team = getApplicableTeamUsage(budget, periodStart, teamUsage);
+  // The team totals already hold what this browser logged before reportedUntil
+  const summary = summarizeLedger(entries, team ? Math.max(periodStart, team.reportedUntil || 0) : periodStart);
+  const used = getBudgetAmount(summary, budget.metric) + (team ? getBudgetAmount(team, budget.metric) : 0);
+  const limit = budget.metric === 'carbon' ? budget.carbonGrams : budget.energyWh;
+  const share = used / limit;
+
+  return {
+    period: budget.period,
+    periodStart,
+    metric: budget.metric,
+    scope: team ? 'team' : 'personal',
+    used,
+    limit,
+    share,
+    level: getBudgetLevel(share)
+  };
+}
+
+// The team usage refreshTeamBudgetUsage stored, or null
+async function loadTeamBudgetUsage() {
+  const storage = getStorageArea('local');
+  if (!storage) return null;
+
+  try {
+    const result = await storage.get(TEAM_BUDGET_USAGE_STORAGE_KEY);
+    return result[TEAM_BUDGET_USAGE_STORAGE_KEY] || null;
+  } catch (error) {
+    console.warn('Could not read the team budget usage:', error);
+    return null;
+  }
+}
+
+// currentBudgetStatus for the period we're in now. Once a new period has
+// started a cached status is yesterday's (or last week's, ...): if nothing
+// was logged since, which would have refreshed it, nothing is used yet.
+function getCurrentBudgetStatus(now = new Date()) {
+  const status = currentBudgetStatus;
+  if (!status) return null;
+
+  const periodStart = getPeriodStart(status.period, now);
+  if (periodStart === status.periodStart) return status;
+  return { ...status, periodStart, used: 0, share: 0, level: getBudgetLevel(0) };
+}
+
+// Share of the budget used once a query costing `cost` is sent
+function getProjectedBudgetShare(status, cost) {
+  return (status.used + getBudgetAmount(cost, status.metric)) / status.limit;
+}
+
+// True when the send has to be overridden by hand (settings.budget.hardStop)
+function isBudgetHardStopped(status = getCurrentBudgetStatus()) {
+  return Boolean(status && currentSettings.budget.hardStop && status.level === 'exceeded');
+}
+
+async function refreshBudgetStatus() {
+  const { budget } = currentSettings;
+  currentTeamBudgetUsage = budget.enabled && budget.scope === 'team' ? await loadTeamBudgetUsage() : null;
+  currentBudgetStatus = budget.enabled ? getBudgetStatus(await loadLedger()) : null;
+  scheduleBudgetRollover();
+  return currentBudgetStatus;
+}
+
+// Refresh (and tell the listener) when the next period starts
+function scheduleBudgetRollover() {
+  clearTimeout(budgetRolloverTimer);
+  if (!currentBudgetStatus) return;
+
+  const delay = getNextPeriodStart(currentBudgetStatus.period) - Date.now();
+  budgetRolloverTimer = setTimeout(() => refreshBudgetStatus().then(budgetListener), Math.min(Math.max(delay, 0), BUDGET_REFRESH_MAX_MS));
+}
+
+// Keep currentBudgetStatus current as decisions are logged, in this tab or
+// any other, as new team totals arrive and as periods roll over;
+// listener(status) runs after each refresh. Settings changes are
+// the caller's to pass on (refreshBudgetStatus from its watchSettings listener),
+// so the status is never worked out against stale settings.
+function watchBudget(listener) {
+  budgetListener = listener;
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && (changes[LEDGER_STORAGE_KEY] || changes[TEAM_BUDGET_USAGE_STORAGE_KEY])) {
+          refreshBudgetStatus().then(listener);
+        }
+      });
+    }
+  } catch (error) {
+    console.warn('Could not watch the EcoQuery budget:', error);
+  }
+}
@@ -0,0 +1,108 @@
+// composer-meter.js
+// Live estimate (Wh, g CO₂, score 1–6) anchored to the chat composer. It
+// follows the prompt as it's typed so people can trim it before sending, and
+// never gets in the way: it ignores the mouse and doesn't block the send.
+// It's the whole UI in the "inline" interaction mode and optional otherwise.
+// With a budget set (budget.js) it also shows how much of it is used. Its
+// text is in the UI language (i18n.js).
+
+const COMPOSER_METER_ID = 'ecoquery-composer-meter';
+
+// Wait for a pause in typing before re-scoring the prompt
+const COMPOSER_METER_DEBOUNCE_MS = 300;
+
+let composerMeterTimer = null;
+
+function isComposerMeterEnabled() {
+  return currentSettings.interactionMode === 'inline' || currentSettings.liveMeter;
+}
+
+function removeComposerMeter() {
+  const meter = document.getElementById(COMPOSER_METER_ID);
+  if (meter) meter.remove();
+}
+
+// Sit just above the composer's top-right corner; the composer moves when a
+// new chat gets its first message, so this runs on every update
+function positionComposerMeter(meter, inputField) {
+  const rect = inputField.getBoundingClientRect();
+  meter.style.top = `${Math.max(4, rect.top - meter.offsetHeight - 8)}px`;
+  meter.style.left = `${Math.max(4, rect.right - meter.offsetWidth)}px`;
+}
+
+function createComposerMeter() {
+  const meter = document.createElement('div');
+  meter.id = COMPOSER_METER_ID;
+  meter.setAttribute('role', 'status');
+  meter.style.cssText = `
+    position: fixed;
+    padding: 3px 10px;
+    white-space: nowrap;
+    border-radius: 50px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 12px;
+    font-weight: 600;
+    pointer-events: none;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08);
+    z-index: 9999; /* under the popup overlay */
+  `;
+  document.body.appendChild(meter);
+  return meter;
+}
+
+// Re-score whatever is in the composer right now
+function updateComposerMeter() {
+  const inputField = getComposerInput();
+  const query = getComposerText(inputField);
+
+  if (!isComposerMeterEnabled() || !query) {
+    removeComposerMeter();
+    return;
+  }
+
+  const { chatgpt } = calculateEnergyFootprint(query);
+  // Same time-of-day adjustment the popup applies
+  const carbonGrams = chatgpt.carbonGrams * getEnvironmentalContext().intensityMultiplier;
+  const budget = getCurrentBudgetStatus();
+  // Budget warnings outrank the prompt's own score
+  const heavy = chatgpt.score >= 4 || Boolean(budget && (budget.level === 'warning' || budget.level === 'exceeded'));
+  const meter = document.getElementById(COMPOSER_METER_ID) || createComposerMeter();
+
+  meter.style.color = heavy ? '#991b1b' : chatgpt.score >= 3 ? '#c2410c' : '#047857';
+  meter.style.background = heavy ? '#fef2f2' : chatgpt.score >= 3 ? '#fffbeb' : '#ecfdf5';
+  meter.style.border = `1px solid ${heavy ? '#fecaca' : chatgpt.score >= 3 ? '#fed7aa' : '#a7f3d0'}`;
+  const longThread = shouldSuggestNewChat(chatgpt);
+  meter.textContent = [
+    uiText('meterSummary', [formatNumber(chatgpt.energyWh, 2), formatNumber(carbonGrams, 2), chatgpt.score]),
+    longThread ? uiText('meterLongThread') : '',
+    budget ? uiText(`${budget.scope === 'team' ? 'meterTeamBudget' : 'meterBudget'}_${budget.period}`, formatNumber(budget.share * 100)) : '',
+    isInterceptionPaused() ? uiText('meterPaused') : ''
+  ].filter(Boolean).join(' · ');
+  const modelLabel = `${chatgpt.model.label}${chatgpt.requestType.id !== 'text' ? ` (${getRequestTypeLabel(chatgpt.requestType)})` : ''}`;
+  meter.title = uiText('meterTitle', [modelLabel, formatNumber(chatgpt.inputTokens), formatNumber(chatgpt.estimatedTokens)])
+    + (chatgpt.contextTokens > 0 ? uiText('meterTitleContext', formatNumber(chatgpt.contextTokens)) : '')
+    + (chatgpt.attachmentTokens > 0 ? uiText('meterTitleAttachments', [formatNumber(chatgpt.attachmentTokens), formatNumber(chatgpt.attachments.count)]) : '')
+    + (chatgpt.requestTypeEnergyWh > 0 ? uiText('meterTitleRequestEnergy', [formatNumber(chatgpt.requestTypeEnergyWh, 2), getRequestTypeDescription(chatgpt.requestType)]) : '')
+    + (longThread ? uiText('meterTitleNewChat') : '');
+
+  positionComposerMeter(meter, inputField);
+}
+
+function scheduleComposerMeterUpdate() {
+  clearTimeout(composerMeterTimer);
+  composerMeterTimer = setTimeout(updateComposerMeter, COMPOSER_METER_DEBOUNCE_MS);
+}
+
+// Follow typing in the composer (whatever element the site re-renders it as)
+function watchComposerInput() {
+  document.addEventListener('input', (event) => {
+    const inputField = getComposerInput();
+    if (inputField && inputField.contains(event.target)) {
+      scheduleComposerMeterUpdate();
+    }
+  }, true);
+
+  // Switching a composer tool (image, web search, voice) changes the estimate too
+  document.addEventListener('click', scheduleComposerMeterUpdate, true);
+  window.addEventListener('resize', scheduleComposerMeterUpdate);
+}
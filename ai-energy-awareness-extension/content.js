@@ -1,5 +1,8 @@
 // content.js
 
+// The chat site this tab is on (site-adapters.js)
+const SITE_ADAPTER = getSiteAdapter();
+
 // Helper function to safely get extension URL
 function getExtensionUrl() {
   try {
@@ -15,14 +18,14 @@ function getExtensionUrl() {
 
 // Helper function to generate logo HTML with fallbacks
 function generateLogoHtml(service, extensionUrl) {
-  const logoFile = service === 'google' ? 'google-logo.png' : 'gpt-logo.png';
-  const fallbackText = service === 'google' ? 'Google' : 'GPT';
-  const logoUrl = extensionUrl ? `${extensionUrl}${logoFile}` : '';
+  const logoFile = service === 'google' ? 'google-logo.png' : SITE_ADAPTER.logo;
+  const fallbackText = service === 'google' ? 'Google' : SITE_ADAPTER.label;
+  const logoUrl = extensionUrl && logoFile ? `${extensionUrl}${logoFile}` : '';
   
   // Prefer an <img> tag for better error handling
   if (logoUrl) {
     return `
-      <img src="${logoUrl}" alt="${fallbackText} logo" style="
+      <img src="${logoUrl}" alt="${uiText('logoAlt', fallbackText)}" style="
         width: 40px;
         height: 40px;
         margin: 0 auto 12px auto;
@@ -52,135 +55,23 @@ function generateLogoHtml(service, extensionUrl) {
   `;
 }
 
-// Updated 2025 research-based energy model
-//  • Google search: 0.0000424 kWh = 0.0424 Wh (≈0.02 g CO₂ with 367 g CO₂/kWh grid)
-//  • ChatGPT (GPT-3.5/4 style) ≈60 × Google → 0.002544 kWh ≈ 2.544 Wh
-//    We keep token scaling but calibrate so the average (≈500 tokens) sums to ~2.5 Wh
-//    Base inference accounts for 0.5 Wh; remaining 2 Wh distributed over tokens.
-const ENERGY_MODELS = {
-  google: {
-    baseEnergyWh: 0.04,   // Wh per standard Google search (2025 research estimate)
-    description: "Traditional search"
-  },
-  chatgpt: {
-    // Base inference energy (Wh) before token generation
-    baseEnergyWh: 0.5,
-    // Average tokens per query (for scaling)
-    tokensPerQuery: 500,
-    // Energy per token so that 500 tokens add ≈2 Wh → 0.004 Wh
-    energyPerToken: 0.004,
-    description: "GPT-4 style inference"
-  }
-};
-
-// Average grid carbon-intensity (g CO₂ per kWh) — US 2025 figure
-const GRID_INTENSITY_G_PER_KWH = 367;
-
-// Query complexity analysis
-function analyzeQueryComplexity(query) {
-  const wordCount = query.trim().split(/\s+/).length;
-  const hasCodeRequest = /code|program|script|function|debug|fix|algorithm/i.test(query);
-  const hasCreativeRequest = /write|create|story|poem|essay|draft|design/i.test(query);
-  const hasAnalysisRequest = /analyze|explain|compare|summarize|breakdown|research/i.test(query);
-  const hasComplexConcepts = /complex|detailed|comprehensive|thorough|in-depth/i.test(query);
-  
-  let complexity = 1; // Base complexity
-  
-  // Adjust based on word count
-  if (wordCount > 50) complexity += 0.5;
-  if (wordCount > 100) complexity += 1;
-  
-  // Adjust based on request type
-  if (hasCodeRequest) complexity += 1.5;
-  if (hasCreativeRequest) complexity += 1;
-  if (hasAnalysisRequest) complexity += 0.5;
-  if (hasComplexConcepts) complexity += 0.5;
-  
-  return Math.min(complexity, 4); // Cap at 4x base complexity
-}
-
-// Estimate expected response length based on query
-function estimateResponseTokens(query, complexity) {
-  const baseTokens = 500;
-  let tokens = baseTokens * complexity;
-  
-  // Adjust for specific request types
-  if (/code|program|script/i.test(query)) tokens *= 1.5;
-  if (/list|steps|tutorial/i.test(query)) tokens *= 1.2;
-  if (/yes|no|simple|quick/i.test(query)) tokens *= 0.3;
-  
-  return Math.round(tokens);
-}
-
-// Calculate energy consumption for different services
-function calculateEnergyFootprint(query) {
-  const complexity = analyzeQueryComplexity(query);
-  const estimatedTokens = estimateResponseTokens(query, complexity);
-  
-  // Google Search energy calculation
-  const googleEnergy = ENERGY_MODELS.google.baseEnergyWh * Math.max(1, complexity * 0.5);
-  
-  // ChatGPT energy calculation (more sophisticated)
-  const chatgptBaseEnergy = ENERGY_MODELS.chatgpt.baseEnergyWh;
-  const tokenEnergy = estimatedTokens * ENERGY_MODELS.chatgpt.energyPerToken;
-  const chatgptEnergy = chatgptBaseEnergy + tokenEnergy;
-  
-  // Calculate relative scores (1-6 scale)
-  // Google Search baseline: 0.0424 Wh = score 1 (updated)
-  const googleScore = Math.max(1, Math.min(6, Math.ceil(1 + Math.log10(googleEnergy / ENERGY_MODELS.google.baseEnergyWh) * 2)));
-  const chatgptScore = Math.max(1, Math.min(6, Math.ceil(1 + Math.log10(chatgptEnergy / ENERGY_MODELS.google.baseEnergyWh) * 2)));
-  
-  return {
-    google: {
-      energyWh: googleEnergy,
-      carbonGrams: (googleEnergy / 1000) * GRID_INTENSITY_G_PER_KWH,
-      score: googleScore,
-      estimatedTokens: 0,
-      complexity: complexity
-    },
-    chatgpt: {
-      energyWh: chatgptEnergy,
-      carbonGrams: (chatgptEnergy / 1000) * GRID_INTENSITY_G_PER_KWH,
-      score: chatgptScore,
-      estimatedTokens: estimatedTokens,
-      complexity: complexity
-    }
-  };
-}
-
-// Get additional context information
-function getEnvironmentalContext() {
-  const now = new Date();
-  const hour = now.getHours();
-  
-  // Estimate grid carbon intensity based on time (simplified)
-  let gridIntensity = "Medium";
-  let intensityMultiplier = 1;
-  
-  if (hour >= 10 && hour <= 16) {
-    gridIntensity = "Lower (Solar Peak)";
-    intensityMultiplier = 0.8;
-  } else if (hour >= 18 && hour <= 22) {
-    gridIntensity = "Higher (Peak Demand)";
-    intensityMultiplier = 1.3;
-  }
-  
-  return {
-    gridIntensity,
-    intensityMultiplier,
-    timeContext: hour >= 10 && hour <= 16 ? "Solar energy is more available now" : 
-                 hour >= 18 && hour <= 22 ? "Peak energy demand period" : "Standard grid mix"
-  };
-}
-
-// Function to inject the popup with dynamic calculations
-function showPopup(query) {
+// Function to inject the popup with dynamic calculations. localAnswer is the
+// on-device answer to a trivial query (local-answers.js), shown at the top.
+function showPopup(query, localAnswer = answerLocally(query)) {
   const energyData = calculateEnergyFootprint(query);
   const envContext = getEnvironmentalContext();
   
   // Apply time-based multiplier to carbon emissions
-  const adjustedGoogleCarbon = (energyData.google.carbonGrams * envContext.intensityMultiplier).toFixed(2);
-  const adjustedChatGPTCarbon = (energyData.chatgpt.carbonGrams * envContext.intensityMultiplier).toFixed(2);
+  const adjustedGoogleCarbon = formatNumber(energyData.google.carbonGrams * envContext.intensityMultiplier, 2);
+  const adjustedChatGPTCarbon = formatNumber(energyData.chatgpt.carbonGrams * envContext.intensityMultiplier, 2);
+  
+  // Lighter rewrites of a costly prompt (prompt-slimming.js)
+  const lighterPrompts = energyData.chatgpt.score >= SLIMMING_MIN_SCORE ? suggestLighterPrompts(query, energyData) : [];
+  // Cheaper places to look it up, if it's that kind of query (destinations.js)
+  const route = routeQuery(query, energyData.google.energyWh);
+  // Where this period's budget stands (budget.js); sending to the AI may need an override
+  const budgetStatus = getCurrentBudgetStatus();
+  const budgetHardStop = isBudgetHardStopped(budgetStatus);
   
   // Convert complexity to 1-10 scale for user-friendly display
   const complexityScore = Math.min(10, Math.max(1, Math.round((energyData.chatgpt.complexity - 1) * 2.5 + 1)));
@@ -302,7 +193,7 @@ function showPopup(query) {
           letter-spacing: 0.5px;
           margin-bottom: 12px;
         ">
-          ENVIRONMENTAL IMPACT
+          ${uiText('popupEyebrow')}
         </div>
         <h1 style="
           margin: 0;
@@ -311,13 +202,13 @@ function showPopup(query) {
           color: #111827;
           letter-spacing: -0.025em;
           line-height: 1.2;
-        ">Choose Wisely</h1>
+        ">${uiText('popupTitle')}</h1>
         <p style="
           margin: 6px 0 0 0;
           font-size: 15px;
           color: #6b7280;
           font-weight: 400;
-        ">Compare the environmental cost of your query</p>
+        ">${uiText('popupSubtitle')}</p>
       </div>
       
       <!-- Content Container that will change layout -->
@@ -332,6 +223,8 @@ function showPopup(query) {
           flex: 1;
           transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1);
         ">
+          ${localAnswer ? generateLocalAnswer(localAnswer, energyData.chatgpt) : ''}
+          ${budgetStatus ? generateBudgetProgress(budgetStatus, energyData.chatgpt, envContext, budgetHardStop) : ''}
           <!-- Score Comparison Cards -->
           <div style="
             display: grid;
@@ -375,12 +268,12 @@ function showPopup(query) {
                   text-transform: uppercase;
                   letter-spacing: 0.5px;
                   margin-bottom: 12px;
-                ">out of 6</div>
+                ">${uiText('scoreOutOf')}</div>
                 ${generateLogoHtml('google', extensionUrl)}
               </div>
             </div>
             
-            <!-- ChatGPT Score Card -->
+            <!-- AI Score Card -->
             <div class="ai-hover-lift" style="
               border: 2px solid ${energyData.chatgpt.score >= 4 ? '#fecaca' : '#fed7aa'};
               border-radius: 16px;
@@ -416,12 +309,26 @@ function showPopup(query) {
                   text-transform: uppercase;
                   letter-spacing: 0.5px;
                   margin-bottom: 12px;
-                ">out of 6</div>
+                ">${uiText('scoreOutOf')}</div>
                 ${generateLogoHtml('chatgpt', extensionUrl)}
               </div>
       </div>
     </div>
           
+          <!-- Grid Region -->
+          <div style="
+            text-align: center;
+            font-size: 12px;
+            color: #6b7280;
+            margin: -8px 0 16px 0;
+          ">
+            ${getIntensitySourceBadge(envContext.intensitySource)}
+            ${uiText('gridLine', [escapeHtml(envContext.regionLabel), formatNumber(envContext.currentIntensityGPerKwh), escapeHtml(envContext.timeContext)])}
+          </div>
+          ${shouldSuggestNewChat(energyData.chatgpt) ? generateNewChatWarning(energyData.chatgpt) : ''}
+          ${lighterPrompts.length > 0 ? generateLighterPromptSuggestions(lighterPrompts, energyData.chatgpt) : ''}
+          ${route ? generateRouteOptions(route, energyData.chatgpt) : ''}
+          
           <!-- Action Buttons -->
           <div style="
             display: grid;
@@ -443,7 +350,7 @@ function showPopup(query) {
               gap: 8px;
               letter-spacing: -0.025em;
             ">
-              Use Google
+              ${uiText('useGoogle')}
             </button>
             <button id="ai-chatgpt-button" class="ai-button-primary" style="
         color: white;
@@ -459,7 +366,7 @@ function showPopup(query) {
               gap: 8px;
               letter-spacing: -0.025em;
             ">
-              Use ChatGPT
+              ${uiText('useSite', SITE_ADAPTER.label)}
             </button>
           </div>
           
@@ -480,9 +387,17 @@ function showPopup(query) {
               gap: 8px;
               box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1);
             ">
-              How was this calculated?
+              <span id="expand-label">${uiText('howCalculated')}</span>
               <span id="expand-arrow" style="transition: transform 0.2s ease; font-size: 12px;">▼</span>
             </button>
+            <div style="margin-top: 12px;">
+              <a id="ai-history-link" href="#" style="
+                font-size: 13px;
+                font-weight: 500;
+                color: #6b7280;
+                text-decoration: underline;
+              ">${uiText('viewHistory')}</a>
+            </div>
           </div>
         </div>
 
@@ -532,12 +447,12 @@ function showPopup(query) {
                     font-size: 18px;
                     font-weight: 700;
                     letter-spacing: -0.025em;
-                  ">Google Search</h3>
+                  ">${uiText('googleSearch')}</h3>
                   <div style="
                     font-size: 14px;
                     color: #6b7280;
                     font-weight: 500;
-                  ">${adjustedGoogleCarbon}g CO₂ emissions</div>
+                  ">${uiText('emissions', adjustedGoogleCarbon)}</div>
                 </div>
               </div>
               ${generateConciseExplanation('google', energyData.google, complexityScore, envContext)}
@@ -556,7 +471,7 @@ function showPopup(query) {
                   transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
                 " onmouseover="this.style.background='#10b981'; this.style.color='white'" 
                    onmouseout="this.style.background='white'; this.style.color='#059669'">
-                  Show detailed calculation ▼
+                  ${uiText('showDetailedCalculation')}
                 </button>
                 <div class="detailed-calc-content" data-service="google" style="
                   max-height: 0;
@@ -569,7 +484,7 @@ function showPopup(query) {
               </div>
             </div>
             
-            <!-- ChatGPT Breakdown -->
+            <!-- AI Breakdown -->
             <div style="margin-bottom: 32px;">
               <div style="
                 display: flex;
@@ -596,17 +511,17 @@ function showPopup(query) {
                     font-size: 18px;
                     font-weight: 700;
                     letter-spacing: -0.025em;
-                  ">ChatGPT</h3>
+                  ">${SITE_ADAPTER.label} · ${energyData.chatgpt.model.label}${energyData.chatgpt.requestType.id !== 'text' ? ` · ${getRequestTypeLabel(energyData.chatgpt.requestType)}` : ''}</h3>
                   <div style="
                     font-size: 14px;
                     color: #6b7280;
                     font-weight: 500;
-                  ">${adjustedChatGPTCarbon}g CO₂ emissions</div>
+                  ">${uiText('emissions', adjustedChatGPTCarbon)}</div>
                 </div>
               </div>
               ${generateConciseExplanation('chatgpt', energyData.chatgpt, complexityScore, envContext)}
               
-              <!-- Detailed Calculation Dropdown for ChatGPT -->
+              <!-- Detailed Calculation Dropdown for the AI -->
               <div style="margin-top: 16px;">
                 <button class="detailed-calc-btn" data-service="chatgpt" style="
                   background: white;
@@ -620,7 +535,7 @@ function showPopup(query) {
                   transition: all 0.2s cubic-bezier(0.4, 0, 0.2, 1);
                 " onmouseover="this.style.background='${energyData.chatgpt.score >= 4 ? '#ef4444' : '#f59e0b'}'; this.style.color='white'" 
                    onmouseout="this.style.background='white'; this.style.color='${energyData.chatgpt.score >= 4 ? '#dc2626' : '#d97706'}'">
-                  Show detailed calculation ▼
+                  ${uiText('showDetailedCalculation')}
                 </button>
                 <div class="detailed-calc-content" data-service="chatgpt" style="
                   max-height: 0;
@@ -665,7 +580,7 @@ function showPopup(query) {
                   font-size: 16px;
                   font-weight: 600;
                   color: #374151;
-                ">Query Analysis</h4>
+                ">${uiText('queryAnalysis')}</h4>
               </div>
               <div style="
                 display: grid;
@@ -675,19 +590,58 @@ function showPopup(query) {
               ">
                 <div>
                   <div style="font-weight: 600; color: #374151; margin-bottom: 4px;">
-                    Complexity Score: ${complexityScore}/10
+                    ${uiText('complexityScore', complexityScore)}
                   </div>
                   <div style="color: #6b7280;">
                     ${getComplexityDescription(complexityScore)}
                   </div>
+                  ${energyData.chatgpt.language !== DEFAULT_LANGUAGE ? `
+                  <div style="color: #9ca3af; font-size: 12px; margin-top: 4px;">
+                    ${uiText('languageLine', LANGUAGE_PROFILES[energyData.chatgpt.language].label)}
+                  </div>` : ''}
+                  ${energyData.chatgpt.classification ? `
+                  <div style="color: #9ca3af; font-size: 12px; margin-top: 4px;">
+                    ${uiText('looksLike', [uiText(`taskCategory_${energyData.chatgpt.classification.category}`), energyData.chatgpt.classification.confidence === null ? uiText('fromKeywords') : uiText('percentConfident', formatNumber(energyData.chatgpt.classification.confidence * 100))])}
+                  </div>` : ''}
                 </div>
                 <div>
                   <div style="font-weight: 600; color: #374151; margin-bottom: 4px;">
-                    Expected Response: ~${energyData.chatgpt.estimatedTokens} tokens
+                    ${uiText('promptTokens', formatNumber(energyData.chatgpt.inputTokens))}
+                  </div>
+                  <div style="color: #6b7280; margin-bottom: 8px;">
+                    ${uiText('countedWith', getTokenizerName())}
+                  </div>
+                  ${energyData.chatgpt.requestType.id !== 'text' ? `
+                  <div style="font-weight: 600; color: #374151; margin-bottom: 4px;">
+                    ${uiText('requestTypeLine', getRequestTypeLabel(energyData.chatgpt.requestType))}
+                  </div>
+                  <div style="color: #6b7280; margin-bottom: 8px;">
+                    ${uiText(energyData.chatgpt.requestTypeSource === 'composer' ? 'requestTypeFromComposer' : 'requestTypeFromPrompt')}
+                  </div>` : ''}
+                  ${energyData.chatgpt.attachments.count > 0 ? `
+                  <div style="font-weight: 600; color: #374151; margin-bottom: 4px;">
+                    ${uiText('attachmentsTokens', formatNumber(energyData.chatgpt.attachmentTokens))}
+                  </div>
+                  <div style="color: #6b7280; margin-bottom: 8px;">
+                    ${uiText('attachmentsFiles', energyData.chatgpt.attachments.count)}
+                  </div>` : ''}
+                  ${energyData.chatgpt.contextTokens > 0 ? `
+                  <div style="font-weight: 600; color: #374151; margin-bottom: 4px;">
+                    ${uiText('conversationTokens', formatNumber(energyData.chatgpt.contextTokens))}
+                  </div>
+                  <div style="color: #6b7280; margin-bottom: 8px;">
+                    ${uiText('conversationMessages', energyData.chatgpt.contextMessages)}
+                  </div>` : ''}
+                  <div style="font-weight: 600; color: #374151; margin-bottom: 4px;">
+                    ${uiText('expectedResponse', formatNumber(energyData.chatgpt.estimatedTokens))}
                   </div>
                   <div style="color: #6b7280;">
-                    ~${Math.round(energyData.chatgpt.estimatedTokens * 0.75)} words expected
+                    ${uiText('wordsExpected', formatNumber(energyData.chatgpt.estimatedTokens * 0.75))}
                   </div>
+                  ${responseCalibration.samples > 0 ? `
+                  <div style="color: #9ca3af; font-size: 12px; margin-top: 4px;">
+                    ${uiText('calibratedFrom', [formatNumber(responseCalibration.factor, 2), responseCalibration.samples])}
+                  </div>` : ''}
                 </div>
               </div>
             </div>
@@ -703,6 +657,7 @@ function showPopup(query) {
 
   // Handle expand/collapse with horizontal transition
   const expandButton = document.getElementById('expand-details');
+  const expandLabel = document.getElementById('expand-label');
   const expandArrow = document.getElementById('expand-arrow');
   const contentContainer = document.getElementById('content-container');
   const leftColumn = document.getElementById('left-column');
@@ -721,7 +676,7 @@ function showPopup(query) {
       rightColumn.style.opacity = '0';
       rightColumn.style.overflow = 'hidden';
       expandArrow.style.transform = 'rotate(0deg)';
-      expandButton.innerHTML = expandButton.innerHTML.replace('Hide details', 'How was this calculated?');
+      expandLabel.textContent = uiText('howCalculated');
     } else {
       // Expand - to horizontal wide layout
       popup.style.width = '900px';
@@ -733,30 +688,91 @@ function showPopup(query) {
       rightColumn.style.opacity = '1';
       rightColumn.style.overflow = 'visible';
       expandArrow.style.transform = 'rotate(180deg)';
-      expandButton.innerHTML = expandButton.innerHTML.replace('How was this calculated?', 'Hide details');
+      expandLabel.textContent = uiText('hideDetails');
     }
     isExpanded = !isExpanded;
   });
 
   // Handle button clicks
   document.getElementById('ai-google-button').addEventListener('click', () => {
+    recordDecision('google', energyData, envContext, null, query);
     window.open(`https://www.google.com/search?q=${encodeURIComponent(query)}`, '_blank');
-    // Keep the typed query in ChatGPT input so user can reuse or edit it
+    // Keep the typed query in the chat input so user can reuse or edit it
     removePopup();
   });
 
-  document.getElementById('ai-chatgpt-button').addEventListener('click', () => {
+  const chatgptButton = document.getElementById('ai-chatgpt-button');
+  chatgptButton.addEventListener('click', () => {
+    if (budgetHardStop && !document.getElementById('ai-budget-override').checked) return;
     removePopup();
     sendQuery(query);
+    const entryPromise = trackSentQuery(energyData, envContext, query);
+    if (budgetHardStop) {
+      entryPromise.then(entry => entry && updateLedgerEntry(entry.id, { budgetOverride: true }));
+    }
+  });
+
+  // Over budget with the hard stop on: the AI button waits for the override
+  if (budgetHardStop) {
+    chatgptButton.disabled = true;
+    chatgptButton.style.opacity = '0.5';
+    document.getElementById('ai-budget-override').addEventListener('change', (event) => {
+      chatgptButton.disabled = !event.target.checked;
+      chatgptButton.style.opacity = event.target.checked ? '1' : '0.5';
+    });
+  }
+
+  // The answer was worked out here, so the AI request is avoided entirely
+  const localAnswerButton = document.getElementById('ai-local-answer-done');
+  if (localAnswerButton) {
+    localAnswerButton.addEventListener('click', () => {
+      recordDecision('local', energyData, envContext, {
+        id: 'local',
+        label: uiText('localAnswerLabel'),
+        energyWh: LOCAL_ANSWER_ENERGY_WH,
+        carbonGrams: (LOCAL_ANSWER_ENERGY_WH / 1000) * GRID_INTENSITY_G_PER_KWH
+      }, query);
+      clearInputField();
+      removePopup();
+    });
+  }
+
+  // Put a lighter prompt in the composer to review and send
+  document.querySelectorAll('.ai-slimming-apply').forEach(button => {
+    button.addEventListener('click', () => {
+      applyLighterPrompt(lighterPrompts[Number(button.getAttribute('data-suggestion'))]);
+    });
+  });
+
+  // Send the query to another destination instead
+  document.querySelectorAll('.ai-route-option').forEach(button => {
+    button.addEventListener('click', () => {
+      const destination = route.destinations[Number(button.getAttribute('data-destination'))];
+      recordDecision('google', energyData, envContext, {
+        id: destination.id,
+        label: destination.label,
+        energyWh: destination.energyWh,
+        carbonGrams: (destination.energyWh / 1000) * GRID_INTENSITY_G_PER_KWH
+      }, query);
+      window.open(destination.url, '_blank');
+      removePopup();
+    });
   });
 
   // Close on overlay click
   overlay.addEventListener('click', (e) => {
     if (e.target === overlay) {
+      recordDecision('dismissed', energyData, envContext, null, query);
       removePopup();
     }
   });
 
+  // Open the history dashboard in a new tab
+  document.getElementById('ai-history-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    openHistoryDashboard();
+  });
+
   // Handle detailed calculation buttons (legacy)
   const detailedCalcButtons = document.querySelectorAll('.detailed-calc-btn');
   detailedCalcButtons.forEach(button => {
@@ -767,10 +783,10 @@ function showPopup(query) {
       
       if (isExpanded) {
         content.style.maxHeight = '0';
-        button.innerHTML = button.innerHTML.replace('Hide detailed calculation ▲', 'Show detailed calculation ▼');
+        button.textContent = uiText('showDetailedCalculation');
       } else {
         content.style.maxHeight = '400px';
-        button.innerHTML = button.innerHTML.replace('Show detailed calculation ▼', 'Hide detailed calculation ▲');
+        button.textContent = uiText('hideDetailedCalculation');
       }
     });
   });
@@ -808,25 +824,30 @@ function generateScoreExplanation(service, data, complexityScore, envContext) {
     const scoreCalculation = Math.max(1, Math.min(6, Math.ceil(1 + Math.log10(totalEnergy / baseEnergy) * 2)));
     
     return `
-      <div style="margin-bottom: 12px;"><strong>Search energy = Base search (${(baseEnergy * 1000).toFixed(1)} Wh) × complexity factor</strong></div>
+      <div style="margin-bottom: 12px;"><strong>${uiText('searchEnergyFormula', formatNumber(baseEnergy * 1000, 1))}</strong></div>
       <div style="background: #f5f5f5; padding: 12px; border-radius: 6px; font-family: monospace; font-size: 13px; color: #000;">
-        Base energy: ${(baseEnergy * 1000).toFixed(1)} Wh<br>
-        Complexity factor: ${complexityFactor.toFixed(2)}<br>
-        Total energy: ${(totalEnergy * 1000).toFixed(1)} Wh<br>
-        Carbon (base): ${carbonWithoutGrid.toFixed(2)}g CO₂<br>
-        Grid multiplier: ${envContext.intensityMultiplier}×<br>
-        <strong>Final carbon: ${finalCarbon.toFixed(2)}g CO₂</strong><br><br>
-        <strong>Score calculation:</strong><br>
-        Score = 1 + log₁₀(${(totalEnergy * 1000).toFixed(1)} ÷ ${(baseEnergy * 1000).toFixed(1)}) × 2<br>
-        Score = 1 + log₁₀(${(totalEnergy / baseEnergy).toFixed(2)}) × 2<br>
-        Score = 1 + ${Math.log10(totalEnergy / baseEnergy).toFixed(2)} × 2<br>
-        <strong>Final score: ${scoreCalculation}/6</strong>
+        ${uiText('baseEnergy')}: ${formatNumber(baseEnergy * 1000, 1)} Wh<br>
+        ${uiText('complexityFactor')}: ${formatNumber(complexityFactor, 2)}<br>
+        ${uiText('totalEnergy')}: ${formatNumber(totalEnergy * 1000, 1)} Wh<br>
+        ${uiText('carbonBase')}: ${formatNumber(carbonWithoutGrid, 2)}g CO₂<br>
+        ${uiText('gridMultiplier')}: ${formatNumber(envContext.intensityMultiplier, 2)}×<br>
+        <strong>${uiText('finalCarbon')}: ${formatNumber(finalCarbon, 2)}g CO₂</strong><br><br>
+        <strong>${uiText('scoreCalculation')}:</strong><br>
+        ${uiText('scoreWord')} = 1 + log₁₀(${formatNumber(totalEnergy * 1000, 1)} ÷ ${formatNumber(baseEnergy * 1000, 1)}) × 2<br>
+        ${uiText('scoreWord')} = 1 + log₁₀(${formatNumber(totalEnergy / baseEnergy, 2)}) × 2<br>
+        ${uiText('scoreWord')} = 1 + ${formatNumber(Math.log10(totalEnergy / baseEnergy), 2)} × 2<br>
+        <strong>${uiText('finalScore')}: ${scoreCalculation}/6</strong>
       </div>
     `;
   } else {
-    const baseEnergy = ENERGY_MODELS.chatgpt.baseEnergyWh;
-    const tokenEnergy = data.estimatedTokens * ENERGY_MODELS.chatgpt.energyPerToken;
-    const totalEnergy = baseEnergy + tokenEnergy;
+    const model = data.model;
+    const baseEnergy = model.baseEnergyWh;
+    const inputEnergy = data.inputEnergyWh;
+    const contextEnergy = data.contextEnergyWh;
+    const attachmentEnergy = data.attachmentEnergyWh;
+    const tokenEnergy = data.outputEnergyWh;
+    const requestTypeEnergy = data.requestTypeEnergyWh;
+    const totalEnergy = baseEnergy + contextEnergy + attachmentEnergy + inputEnergy + tokenEnergy + requestTypeEnergy;
     const carbonWithoutGrid = (totalEnergy / 1000) * GRID_INTENSITY_G_PER_KWH;
     const finalCarbon = carbonWithoutGrid * envContext.intensityMultiplier;
     
@@ -834,19 +855,23 @@ function generateScoreExplanation(service, data, complexityScore, envContext) {
     const scoreCalculation = Math.max(1, Math.min(6, Math.ceil(1 + Math.log10(totalEnergy / baseEnergy) * 2)));
     
     return `
-      <div style="margin-bottom: 12px;"><strong>AI energy = Base inference + (${data.estimatedTokens} tokens × energy per token)</strong></div>
+      <div style="margin-bottom: 12px;"><strong>${uiText('aiEnergyFormula')}</strong></div>
       <div style="background: #f5f5f5; padding: 12px; border-radius: 6px; font-family: monospace; font-size: 13px; color: #000;">
-        Base inference: ${(baseEnergy * 1000).toFixed(1)} Wh<br>
-        Token energy: ${data.estimatedTokens} × ${(ENERGY_MODELS.chatgpt.energyPerToken * 1000).toFixed(3)} = ${(tokenEnergy * 1000).toFixed(1)} Wh<br>
-        Total energy: ${(baseEnergy * 1000).toFixed(1)} + ${(tokenEnergy * 1000).toFixed(1)} = ${(totalEnergy * 1000).toFixed(1)} Wh<br>
-        Carbon (base): ${carbonWithoutGrid.toFixed(2)}g CO₂<br>
-        Grid multiplier: ${envContext.intensityMultiplier}×<br>
-        <strong>Final carbon: ${finalCarbon.toFixed(2)}g CO₂</strong><br><br>
-        <strong>Score calculation:</strong><br>
-        Score = 1 + log₁₀(${(totalEnergy * 1000).toFixed(1)} ÷ ${(baseEnergy * 1000).toFixed(1)}) × 2<br>
-        Score = 1 + log₁₀(${(totalEnergy / baseEnergy).toFixed(2)}) × 2<br>
-        Score = 1 + ${Math.log10(totalEnergy / baseEnergy).toFixed(2)} × 2<br>
-        <strong>Final score: ${scoreCalculation}/6</strong>
+        ${uiText('baseInference')}: ${formatNumber(baseEnergy * 1000, 1)} Wh<br>
+        ${data.contextTokens > 0 ? `${uiText('contextPrefill')}: ${formatNumber(data.contextTokens)} × ${formatNumber(model.energyPerInputToken * 1000, 3)} = ${formatNumber(contextEnergy * 1000, 1)} Wh<br>` : ''}
+        ${data.attachmentTokens > 0 ? `${uiText('attachmentPrefill')}: ${formatNumber(data.attachmentTokens)} × ${formatNumber(model.energyPerInputToken * 1000, 3)} = ${formatNumber(attachmentEnergy * 1000, 1)} Wh<br>` : ''}
+        ${uiText('prefillEnergy')}: ${formatNumber(data.inputTokens)} × ${formatNumber(model.energyPerInputToken * 1000, 3)} = ${formatNumber(inputEnergy * 1000, 1)} Wh<br>
+        ${uiText('decodeEnergy')}: ${formatNumber(data.estimatedTokens + data.reasoningTokens)} × ${formatNumber(model.energyPerToken * 1000, 3)} = ${formatNumber(tokenEnergy * 1000, 1)} Wh<br>
+        ${data.requestTypeLines.map(line => `${uiText(`requestLine_${line.id}`)}: ${formatNumber(line.quantity)} × ${formatNumber(line.rateWh * 1000, 3)} = ${formatNumber(line.energyWh * 1000, 1)} Wh<br>`).join('')}
+        ${uiText('totalEnergy')}: ${formatNumber(baseEnergy * 1000, 1)} + ${formatNumber((contextEnergy + attachmentEnergy + inputEnergy) * 1000, 1)} + ${formatNumber(tokenEnergy * 1000, 1)}${requestTypeEnergy > 0 ? ` + ${formatNumber(requestTypeEnergy * 1000, 1)}` : ''} = ${formatNumber(totalEnergy * 1000, 1)} Wh<br>
+        ${uiText('carbonBase')}: ${formatNumber(carbonWithoutGrid, 2)}g CO₂<br>
+        ${uiText('gridMultiplier')}: ${formatNumber(envContext.intensityMultiplier, 2)}×<br>
+        <strong>${uiText('finalCarbon')}: ${formatNumber(finalCarbon, 2)}g CO₂</strong><br><br>
+        <strong>${uiText('scoreCalculation')}:</strong><br>
+        ${uiText('scoreWord')} = 1 + log₁₀(${formatNumber(totalEnergy * 1000, 1)} ÷ ${formatNumber(baseEnergy * 1000, 1)}) × 2<br>
+        ${uiText('scoreWord')} = 1 + log₁₀(${formatNumber(totalEnergy / baseEnergy, 2)}) × 2<br>
+        ${uiText('scoreWord')} = 1 + ${formatNumber(Math.log10(totalEnergy / baseEnergy), 2)} × 2<br>
+        <strong>${uiText('finalScore')}: ${scoreCalculation}/6</strong>
       </div>
     `;
   }
@@ -866,10 +891,10 @@ function generateConciseExplanation(service, data, complexityScore, envContext)
         color: #6b7280;
       ">
         <div style="margin-bottom: 8px;">
-          <strong style="color: #374151;">Energy consumption:</strong> ${(data.energyWh * 1000).toFixed(1)} Wh
+          <strong style="color: #374151;">${uiText('energyConsumption')}:</strong> ${formatNumber(data.energyWh * 1000, 1)} Wh
         </div>
         <div>
-          <strong style="color: #374151;">Efficiency:</strong> Standard search processing
+          <strong style="color: #374151;">${uiText('efficiency')}:</strong> ${uiText('standardSearchProcessing')}
         </div>
       </div>
     `;
@@ -885,10 +910,10 @@ function generateConciseExplanation(service, data, complexityScore, envContext)
         color: #6b7280;
       ">
         <div style="margin-bottom: 8px;">
-          <strong style="color: #374151;">Energy consumption:</strong> ${(data.energyWh * 1000).toFixed(1)} Wh
+          <strong style="color: #374151;">${uiText('energyConsumption')}:</strong> ${formatNumber(data.energyWh * 1000, 1)} Wh
         </div>
         <div>
-          <strong style="color: #374151;">Complexity:</strong> ${getComplexityDescription(complexityScore)}
+          <strong style="color: #374151;">${uiText('complexity')}:</strong> ${getComplexityDescription(complexityScore)}
         </div>
       </div>
     `;
@@ -909,7 +934,7 @@ function generateDetailedCalculation(service, data, complexityScore, envContext)
       <!-- Simplified Calculation -->
       <div style="margin-bottom: 16px;">
         <h4 style="margin: 0 0 16px 0; color: #374151; font-size: 16px; font-weight: 600;">
-          Calculation Breakdown
+          ${uiText('calculationBreakdown')}
         </h4>
         
         <div style="
@@ -922,19 +947,19 @@ function generateDetailedCalculation(service, data, complexityScore, envContext)
           line-height: 1.6;
         ">
           <div style="color: #6b7280; margin-bottom: 12px;">
-            <strong style="color: #374151;">Base energy:</strong> ${(baseEnergy * 1000).toFixed(1)} Wh
+            <strong style="color: #374151;">${uiText('baseEnergy')}:</strong> ${formatNumber(baseEnergy * 1000, 1)} Wh
           </div>
           <div style="color: #6b7280; margin-bottom: 12px;">
-            <strong style="color: #374151;">Complexity factor:</strong> ×${complexityFactor.toFixed(2)}
+            <strong style="color: #374151;">${uiText('complexityFactor')}:</strong> ×${formatNumber(complexityFactor, 2)}
           </div>
           <div style="color: #6b7280; margin-bottom: 12px;">
-            <strong style="color: #374151;">Total energy:</strong> ${(totalEnergy * 1000).toFixed(1)} Wh
+            <strong style="color: #374151;">${uiText('totalEnergy')}:</strong> ${formatNumber(totalEnergy * 1000, 1)} Wh
           </div>
           <div style="color: #6b7280; margin-bottom: 12px;">
-            <strong style="color: #374151;">Carbon (${envContext.intensityMultiplier}× grid):</strong> ${finalCarbon.toFixed(2)}g CO₂
+            <strong style="color: #374151;">${uiText('carbonAtGrid', formatNumber(envContext.intensityMultiplier, 2))}:</strong> ${formatNumber(finalCarbon, 2)}g CO₂
           </div>
           <div style="color: #059669; font-weight: 600;">
-            <strong>Environmental Score:</strong> ${scoreCalculation}/6
+            <strong>${uiText('environmentalScore')}:</strong> ${scoreCalculation}/6
           </div>
         </div>
 
@@ -942,9 +967,13 @@ function generateDetailedCalculation(service, data, complexityScore, envContext)
       </div>
     `;
   } else {
-    const baseEnergy = ENERGY_MODELS.chatgpt.baseEnergyWh;
-    const tokenEnergy = data.estimatedTokens * ENERGY_MODELS.chatgpt.energyPerToken;
-    const totalEnergy = baseEnergy + tokenEnergy;
+    const model = data.model;
+    const baseEnergy = model.baseEnergyWh;
+    const inputEnergy = data.inputEnergyWh;
+    const contextEnergy = data.contextEnergyWh;
+    const attachmentEnergy = data.attachmentEnergyWh;
+    const tokenEnergy = data.outputEnergyWh;
+    const totalEnergy = baseEnergy + contextEnergy + attachmentEnergy + inputEnergy + tokenEnergy + data.requestTypeEnergyWh;
     const carbonWithoutGrid = (totalEnergy / 1000) * GRID_INTENSITY_G_PER_KWH;
     const finalCarbon = carbonWithoutGrid * envContext.intensityMultiplier;
     const scoreCalculation = Math.max(1, Math.min(6, Math.ceil(1 + Math.log10(totalEnergy / baseEnergy) * 2)));
@@ -956,7 +985,7 @@ function generateDetailedCalculation(service, data, complexityScore, envContext)
       <!-- Simplified Calculation -->
       <div style="margin-bottom: 16px;">
         <h4 style="margin: 0 0 16px 0; color: #374151; font-size: 16px; font-weight: 600;">
-          Calculation Breakdown
+          ${uiText('calculationBreakdown')}
         </h4>
         
         <div style="
@@ -969,32 +998,326 @@ function generateDetailedCalculation(service, data, complexityScore, envContext)
           line-height: 1.6;
         ">
           <div style="color: #6b7280; margin-bottom: 12px;">
-            <strong style="color: #374151;">Base inference:</strong> ${(baseEnergy * 1000).toFixed(1)} Wh
+            <strong style="color: #374151;">${uiText('baseInference')}:</strong> ${formatNumber(baseEnergy * 1000, 1)} Wh
           </div>
+          ${data.contextTokens > 0 ? `
+          <div style="color: #6b7280; margin-bottom: 12px;">
+            <strong style="color: #374151;">${uiText('conversationSoFar')}:</strong> ${uiText('tokenCount', formatNumber(data.contextTokens))} × ${formatNumber(model.energyPerInputToken * 1000, 3)} Wh = ${formatNumber(contextEnergy * 1000, 1)} Wh
+          </div>` : ''}
+          ${generateAttachmentLines(data.attachments, model)}
           <div style="color: #6b7280; margin-bottom: 12px;">
-            <strong style="color: #374151;">Token processing:</strong> ${data.estimatedTokens} tokens × ${(ENERGY_MODELS.chatgpt.energyPerToken * 1000).toFixed(3)} Wh
+            <strong style="color: #374151;">${uiText('promptPrefill')}:</strong> ${uiText('tokenCount', formatNumber(data.inputTokens))} × ${formatNumber(model.energyPerInputToken * 1000, 3)} Wh = ${formatNumber(inputEnergy * 1000, 1)} Wh
           </div>
           <div style="color: #6b7280; margin-bottom: 12px;">
-            <strong style="color: #374151;">Total energy:</strong> ${(totalEnergy * 1000).toFixed(1)} Wh
+            <strong style="color: #374151;">${uiText('responseDecode')}:</strong> ${uiText('tokenCount', formatNumber(data.estimatedTokens + data.reasoningTokens))} × ${formatNumber(model.energyPerToken * 1000, 3)} Wh = ${formatNumber(tokenEnergy * 1000, 1)} Wh
           </div>
+          ${data.reasoningTokens > 0 ? `
+          <div style="color: #9ca3af; margin: -8px 0 12px 0; font-size: 12px;">
+            ${uiText('hiddenReasoningTokens', [formatNumber(data.reasoningTokens), model.reasoningTokenMultiplier])}
+          </div>` : ''}
+          ${generateRequestTypeLines(data)}
           <div style="color: #6b7280; margin-bottom: 12px;">
-            <strong style="color: #374151;">Carbon (${envContext.intensityMultiplier}× grid):</strong> ${finalCarbon.toFixed(2)}g CO₂
+            <strong style="color: #374151;">${uiText('totalEnergy')}:</strong> ${formatNumber(totalEnergy * 1000, 1)} Wh
+          </div>
+          <div style="color: #6b7280; margin-bottom: 12px;">
+            <strong style="color: #374151;">${uiText('carbonAtGrid', formatNumber(envContext.intensityMultiplier, 2))}:</strong> ${formatNumber(finalCarbon, 2)}g CO₂
           </div>
           <div style="color: ${scoreColor}; font-weight: 600;">
-            <strong>Environmental Score:</strong> ${scoreCalculation}/6
+            <strong>${uiText('environmentalScore')}:</strong> ${scoreCalculation}/6
           </div>
         </div>
+        <div style="color: #9ca3af; font-size: 12px; margin-top: 8px; line-height: 1.5;">
+          ${uiText('modelProfile', [model.label, model.source])}
+        </div>
       </div>
     `;
   }
 }
 
+// One breakdown line per kind of attachment (images, documents, code & text files)
+function generateAttachmentLines(attachments, model) {
+  return Object.keys(ATTACHMENT_KINDS).filter(kind => attachments.byKind[kind]).map(kind => {
+    const group = attachments.byKind[kind];
+    const energy = group.tokens * model.energyPerInputToken;
+    const details = group.items.map(item => {
+      if (item.kind === 'image' && item.width) return `${item.width}×${item.height}`;
+      if (item.pages) return uiText('attachmentPages', item.pages);
+      return item.measured ? uiText('tokenCount', formatNumber(item.tokens)) : uiText('attachmentEstimatedFromSize');
+    }).join(', ');
+
+    return `
+          <div style="color: #6b7280; margin-bottom: 12px;">
+            <strong style="color: #374151;">${uiText('attachmentGroup', [uiText(`attachmentKind_${kind}`), group.count])}:</strong> ${uiText('tokenCount', formatNumber(group.tokens))} × ${formatNumber(model.energyPerInputToken * 1000, 3)} Wh = ${formatNumber(energy * 1000, 1)} Wh
+            <div style="color: #9ca3af; font-size: 12px;">${details}</div>
+          </div>`;
+  }).join('');
+}
+
+// Breakdown of the extra work for image, voice, web-search and deep-research requests
+function generateRequestTypeLines(data) {
+  if (data.requestTypeLines.length === 0) return '';
+
+  return `
+          <div style="color: #374151; font-weight: 600; margin-bottom: 8px;">
+            ${getRequestTypeLabel(data.requestType)} (${getRequestTypeDescription(data.requestType)}):
+          </div>` + data.requestTypeLines.map(line => `
+          <div style="color: #6b7280; margin: 0 0 12px 12px;">
+            <strong style="color: #374151;">${uiText(`requestLine_${line.id}`)}:</strong> ${uiText(`requestUnit_${line.unit}`, formatNumber(line.quantity))} × ${formatNumber(line.rateWh * 1000, 3)} Wh = ${formatNumber(line.energyWh * 1000, 1)} Wh
+          </div>`).join('') + `
+          <div style="color: #9ca3af; margin: -8px 0 12px 12px; font-size: 12px;">
+            ${data.requestType.source}
+          </div>`;
+}
+
+// Request types are named in the UI language; the profiles keep English labels for logs
+function getRequestTypeLabel(requestType) {
+  return uiText(`requestType_${requestType.id.replace(/-/g, '_')}`);
+}
+
+function getRequestTypeDescription(requestType) {
+  return uiText(`requestTypeDescription_${requestType.id.replace(/-/g, '_')}`);
+}
+
+// Nudge shown in the popup when the thread itself is a big part of the cost
+function generateNewChatWarning(data) {
+  const savingPercent = Math.round((data.contextEnergyWh / data.energyWh) * 100);
+
+  return `
+    <div style="
+      margin: 0 0 16px 0;
+      padding: 12px 16px;
+      border-radius: 12px;
+      border: 1px solid #fde68a;
+      background: #fffbeb;
+      color: #92400e;
+      font-size: 13px;
+      line-height: 1.5;
+    ">
+      <strong>${uiText('newChatWarningTitle')}</strong>
+      ${uiText('newChatWarningBody', [formatNumber(data.contextTokens), SITE_ADAPTER.label, savingPercent])}
+    </div>
+  `;
+}
+
+// Keep prompt text from being read as markup when it's shown in the popup
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+// One-click lighter versions of the prompt, each with what it saves
+function generateLighterPromptSuggestions(suggestions, data) {
+  const rows = suggestions.map((suggestion, index) => `
+    <div style="
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 0;
+      border-top: ${index === 0 ? 'none' : '1px solid #d1fae5'};
+    ">
+      <div style="flex: 1; min-width: 0;">
+        <div style="font-weight: 600; color: #065f46;">
+          ${suggestion.lookup ? uiText('slimmingRule_splitLookup', escapeHtml(suggestion.lookup)) : uiText(`slimmingRule_${suggestion.id}`)}
+        </div>
+        <div style="
+          color: #4b5563;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        " title="${escapeHtml(suggestion.text)}">${escapeHtml(suggestion.text)}</div>
+        <div style="color: #047857;">
+          ${uiText('slimmingSaving', [formatNumber(suggestion.savedWh * 1000, 1), formatNumber(suggestion.savedShare * 100), suggestion.score, data.score])}
+        </div>
+      </div>
+      <button class="ai-slimming-apply" data-suggestion="${index}" style="
+        flex-shrink: 0;
+        padding: 8px 12px;
+        border-radius: 8px;
+        border: 1px solid #10b981;
+        background: white;
+        color: #047857;
+        font-size: 13px;
+        font-weight: 600;
+        cursor: pointer;
+      ">${uiText('slimmingApply')}</button>
+    </div>
+  `).join('');
+
+  return `
+    <div style="
+      margin: 0 0 16px 0;
+      padding: 12px 16px;
+      border-radius: 12px;
+      border: 1px solid #a7f3d0;
+      background: #ecfdf5;
+      font-size: 13px;
+      line-height: 1.5;
+    ">
+      <strong style="color: #065f46;">${uiText('slimmingTitle')}</strong>
+      ${rows}
+    </div>
+  `;
+}
+
+// The on-device answer, with what asking the AI would have cost
+function generateLocalAnswer(localAnswer, data) {
+  return `
+    <div style="
+      margin: 0 0 20px 0;
+      padding: 16px;
+      border-radius: 12px;
+      border: 2px solid #10b981;
+      background: #ecfdf5;
+      font-size: 13px;
+      line-height: 1.5;
+    ">
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px;">
+        <strong style="color: #065f46;">${uiText(`localAnswerTitle_${localAnswer.kind}`)}</strong>
+        <span style="color: #047857;">${uiText('localAnswerEnergy', formatNumber(data.energyWh * 1000, 1))}</span>
+      </div>
+      <div style="margin-top: 8px; color: #4b5563;">${escapeHtml(localAnswer.question)}</div>
+      <div style="
+        margin: 2px 0 12px 0;
+        font-size: 22px;
+        font-weight: 700;
+        color: #111827;
+      ">${escapeHtml(localAnswer.answer)}</div>
+      <button id="ai-local-answer-done" style="
+        padding: 8px 14px;
+        border-radius: 8px;
+        border: none;
+        background: #10b981;
+        color: white;
+        font-size: 13px;
+        font-weight: 600;
+        cursor: pointer;
+      ">${uiText('localAnswerDone')}</button>
+    </div>
+  `;
+}
+
+// Colours for each budget level (BUDGET_LEVELS in budget.js): text, background, bar
+const BUDGET_LEVEL_COLORS = {
+  ok: ['#065f46', '#ecfdf5', '#10b981'],
+  approaching: ['#92400e', '#fffbeb', '#f59e0b'],
+  warning: ['#9a3412', '#fff7ed', '#f97316'],
+  exceeded: ['#991b1b', '#fef2f2', '#ef4444']
+};
+
+// This period's budget: how much is used, what sending to the AI would add,
+// a warning that escalates with the level, and the hard-stop override
+function generateBudgetProgress(status, data, envContext, hardStop) {
+  const [color, background, bar] = BUDGET_LEVEL_COLORS[status.level];
+  const projectedShare = getProjectedBudgetShare(status, {
+    energyWh: data.energyWh,
+    carbonGrams: data.carbonGrams * envContext.intensityMultiplier
+  });
+
+  return `
+    <div style="
+      margin: 0 0 20px 0;
+      padding: 12px 16px;
+      border-radius: 12px;
+      border: 1px solid ${bar};
+      background: ${background};
+      color: ${color};
+      font-size: 13px;
+      line-height: 1.5;
+    ">
+      <strong>${uiText(`${status.scope === 'team' ? 'budgetTeamUsed' : 'budgetUsed'}_${status.period}`, formatNumber(status.share * 100))}</strong>
+      ${status.level === 'ok' ? '' : uiText(`budgetLevel_${status.level}`)}
+      <div role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(status.share * 100)}" style="
+        position: relative;
+        height: 8px;
+        margin: 8px 0 6px 0;
+        border-radius: 4px;
+        background: rgba(0, 0, 0, 0.08);
+        overflow: hidden;
+      ">
+        <div style="position: absolute; inset: 0 auto 0 0; width: ${Math.min(100, projectedShare * 100)}%; background: ${bar}; opacity: 0.35;"></div>
+        <div style="position: absolute; inset: 0 auto 0 0; width: ${Math.min(100, status.share * 100)}%; background: ${bar};"></div>
+      </div>
+      ${uiText('budgetProjected', formatNumber(projectedShare * 100))}
+      ${hardStop ? `
+        <label style="display: flex; align-items: center; gap: 8px; margin-top: 8px; font-weight: 600; cursor: pointer;">
+          <input type="checkbox" id="ai-budget-override">
+          ${uiText('budgetOverride')}
+        </label>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Ranked look-up destinations for the query, cheapest first
+function generateRouteOptions(route, data) {
+  const options = route.destinations.map((destination, index) => `
+    <button class="ai-route-option" data-destination="${index}" title="${escapeHtml(destination.source)}" style="
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 12px;
+      width: 100%;
+      margin-top: 6px;
+      padding: 8px 12px;
+      border-radius: 8px;
+      border: 1px solid #bfdbfe;
+      background: white;
+      color: #1e40af;
+      font-size: 13px;
+      cursor: pointer;
+      text-align: left;
+    ">
+      <span style="font-weight: 600;">${index + 1}. ${escapeHtml(destination.label)}</span>
+      <span style="color: #4b5563;">${uiText('routeEnergy', [formatNumber(destination.energyWh * 1000, 1), formatNumber(Math.max(0, 1 - destination.energyWh / data.energyWh) * 100)])}</span>
+    </button>
+  `).join('');
+
+  return `
+    <div style="
+      margin: 0 0 16px 0;
+      padding: 12px 16px;
+      border-radius: 12px;
+      border: 1px solid #bfdbfe;
+      background: #eff6ff;
+      font-size: 13px;
+      line-height: 1.5;
+    ">
+      <strong style="color: #1e40af;">${uiText('routeTitle', uiText(`routeIntent_${route.intent}`))}</strong>
+      ${options}
+    </div>
+  `;
+}
+
+// Swap the composer's prompt for a lighter one; a split-off lookup goes to Google
+function applyLighterPrompt(suggestion) {
+  removePopup();
+  if (suggestion.lookup) {
+    window.open(`https://www.google.com/search?q=${encodeURIComponent(suggestion.lookup)}`, '_blank');
+  }
+
+  const inputField = getComposerInput(SITE_ADAPTER);
+  if (!inputField) return;
+  setComposerText(inputField, suggestion.text);
+  inputField.focus();
+  updateComposerMeter();
+}
+
 // Get complexity description for display
 function getComplexityDescription(score) {
-  if (score <= 3) return "Simple query, minimal processing";
-  if (score <= 5) return "Moderate complexity, standard response";
-  if (score <= 7) return "Complex query, detailed response needed";
-  return "High complexity, extensive processing required";
+  if (score <= 3) return uiText('complexitySimple');
+  if (score <= 5) return uiText('complexityModerate');
+  if (score <= 7) return uiText('complexityComplex');
+  return uiText('complexityHigh');
+}
+
+// Ask the background worker to open the history dashboard
+function openHistoryDashboard() {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
+      chrome.runtime.sendMessage({ type: 'open-history' });
+    }
+  } catch (error) {
+    console.warn('Could not open history dashboard:', error);
+  }
 }
 
 // Function to remove the popup
@@ -1007,49 +1330,114 @@ function removePopup() {
 
 // Function to clear the input field
 function clearInputField() {
-  const inputField = document.getElementById('prompt-textarea');
+  const inputField = getComposerInput(SITE_ADAPTER);
   if (inputField) {
-    inputField.innerHTML = '<p><br></p>';
-    inputField.dispatchEvent(new Event('input', { bubbles: true }));
+    setComposerText(inputField, '');
   }
 }
 
-// Function to send the query to ChatGPT
+// Give the site's framework a moment to enable its send button after we fill the composer
+const SEND_BUTTON_DELAY_MS = 100;
+
+// Set while we submit on the user's behalf, so our own listeners let it through
+let bypassInterception = false;
+
+// Function to send the query to the chat site
 function sendQuery(query) {
-  const inputField = document.getElementById('prompt-textarea');
+  const inputField = getComposerInput(SITE_ADAPTER);
+  if (!inputField) return;
 
-  if (inputField) {
-    // Set the input value
-    inputField.innerHTML = `<p>${query}</p>`;
-
-    // Dispatch input event to update any React bindings
-    inputField.dispatchEvent(new Event('input', { bubbles: true }));
-
-    // Simulate Enter key press to send the message
-    const enterEvent = new KeyboardEvent('keydown', {
-      bubbles: true,
-      cancelable: true,
-      key: 'Enter',
-      code: 'Enter',
-      which: 13,
-    });
+  setComposerText(inputField, query);
+
+  if (SITE_ADAPTER.submitWith === 'button') {
+    setTimeout(() => {
+      const sendButton = document.querySelector(SITE_ADAPTER.sendButtonSelector);
+      if (!sendButton) {
+        console.warn(`Could not find the ${SITE_ADAPTER.label} send button`);
+        return;
+      }
+      bypassInterception = true;
+      try {
+        sendButton.click();
+      } finally {
+        bypassInterception = false;
+      }
+    }, SEND_BUTTON_DELAY_MS);
+    return;
+  }
+
+  // Simulate Enter key press to send the message
+  const enterEvent = new KeyboardEvent('keydown', {
+    bubbles: true,
+    cancelable: true,
+    key: 'Enter',
+    code: 'Enter',
+    which: 13,
+  });
+  bypassInterception = true;
+  try {
     inputField.dispatchEvent(enterEvent);
+  } finally {
+    bypassInterception = false;
   }
 }
 
+// Log a query that went to the AI and measure the reply when it lands
+function trackSentQuery(energyData, envContext, query) {
+  clearAttachments();
+  const entryPromise = recordDecision('chatgpt', energyData, envContext, null, query);
+  watchAssistantResponse(energyData.chatgpt, envContext, entryPromise, SITE_ADAPTER);
+  return entryPromise;
+}
+
+// Decide what a send does under the current interaction mode: 'modal' always
+// stops it for the popup, 'threshold' only when the AI score is above the
+// user's limit, the query can be answered on the device or the budget is
+// nearly used up, 'inline' never. A pause from the toolbar pop-up (pause.js)
+// lets everything through; a budget hard stop overrides both.
+// Sends we let through are still logged.
+function handleSendAttempt(event, inputField) {
+  const query = getComposerText(inputField);
+  const mode = currentSettings.interactionMode;
+
+  const paused = isInterceptionPaused();
+  if ((mode !== 'modal' || paused) && !query) return;
+
+  const energyData = calculateEnergyFootprint(query);
+  const localAnswer = mode === 'inline' || paused ? null : answerLocally(query);
+  // Against the period that's running now, not the one the cached status was worked out in
+  const budgetStatus = getCurrentBudgetStatus();
+  const budgetAlert = Boolean(budgetStatus) && (budgetStatus.level === 'warning' || budgetStatus.level === 'exceeded');
+  const overThreshold = energyData.chatgpt.score > currentSettings.thresholdScore || budgetAlert;
+  const intercept = mode === 'modal' || localAnswer || (mode === 'threshold' && overThreshold);
+  if ((intercept && !paused) || isBudgetHardStopped(budgetStatus)) {
+    event.stopImmediatePropagation();
+    event.preventDefault();
+    showPopup(query, localAnswer);
+    return;
+  }
+
+  trackSentQuery(energyData, getEnvironmentalContext(), query);
+  removeComposerMeter();
+}
+
+// Listeners sit on the document, so they survive the site re-rendering its composer
+let interceptionAttached = false;
+
 // Function to intercept input events using event delegation
 function interceptInputEvents() {
+  if (interceptionAttached) return;
+  interceptionAttached = true;
+
   document.addEventListener(
     'keydown',
     function (event) {
-      const inputField = document.getElementById('prompt-textarea');
+      if (bypassInterception) return;
+      const inputField = getComposerInput(SITE_ADAPTER);
       if (!inputField) return;
-      if (document.activeElement !== inputField) return;
-      if (event.key === 'Enter' && !event.shiftKey) {
-        event.stopImmediatePropagation();
-        event.preventDefault();
-        const query = inputField.innerText.trim();
-        showPopup(query);
+      if (!inputField.contains(document.activeElement)) return;
+      if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+        handleSendAttempt(event, inputField);
       }
     },
     true // Use capture phase
@@ -1058,19 +1446,14 @@ function interceptInputEvents() {
   document.addEventListener(
     'click',
     function (event) {
-      // Capture clicks on various possible ChatGPT send buttons
+      if (bypassInterception) return;
+      // Capture clicks on any known send button for this site
       const targetButton = event.target.closest('button');
       if (!targetButton) return;
-      const isSendButton = targetButton.matches(
-        'button[aria-label="Send message"], #composer-submit-button, button[aria-label="Send prompt"], button[data-testid="send-button"]'
-      );
-      if (isSendButton) {
-        event.stopImmediatePropagation();
-        event.preventDefault();
-        const inputField = document.getElementById('prompt-textarea');
+      if (targetButton.matches(SITE_ADAPTER.sendButtonSelector)) {
+        const inputField = getComposerInput(SITE_ADAPTER);
         if (inputField) {
-          const query = inputField.innerText.trim();
-          showPopup(query);
+          handleSendAttempt(event, inputField);
         }
       }
     },
@@ -1078,14 +1461,30 @@ function interceptInputEvents() {
   );
 }
 
-// Observe the DOM for changes to reattach event listeners if needed
-const observer = new MutationObserver(() => {
-  // Reattach event listeners in case elements were replaced
-  interceptInputEvents();
+// Keep coefficients and the interaction mode in step with the options page
+watchSettings(settings => {
+  applySettings(settings);
+  applyUiLanguage(settings.uiLanguage);
+  refreshBudgetStatus().then(updateComposerMeter);
 });
 
-// Start observing
-observer.observe(document.body, { childList: true, subtree: true });
+// Budget progress follows every decision logged, in any tab
+watchBudget(updateComposerMeter);
+
+// Pauses set from the toolbar pop-up
+watchPause(updateComposerMeter);
+
+// Re-score the live meter as the prompt changes
+watchComposerInput();
+
+// Count files attached to the prompt
+watchAttachments(scheduleComposerMeterUpdate);
+
+// Keep the live grid reading fresh while the tab stays open
+setInterval(refreshLiveGridIntensity, LIVE_GRID_REFRESH_MS);
+
+// Task-category weights for complexity and reply length
+loadQueryClassifier();
 
 // Initial call to set up event listeners
 interceptInputEvents();
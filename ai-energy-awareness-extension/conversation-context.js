@@ -0,0 +1,45 @@
+// conversation-context.js
+// Every turn in a chat re-reads the whole thread as input, so a new prompt in
+// a long conversation pays prefill energy for everything above it. This reads
+// the messages already on the page (via the site adapter) and counts them.
+
+// Suggest a fresh chat once re-reading the thread is at least this share of the send...
+const NEW_CHAT_MIN_CONTEXT_SHARE = 0.33;
+// ...and saves at least this much energy
+const NEW_CHAT_MIN_SAVING_WH = 0.1;
+
+// For pages with no conversation (Google Search) and callers that want the prompt alone
+const EMPTY_CONVERSATION_CONTEXT = { messages: 0, tokens: 0 };
+
+// Token counts per message element; the live meter re-reads the thread on
+// every pause in typing and only the streaming reply actually changes
+const messageTokenCache = new WeakMap();
+
+function countMessageTokens(element) {
+  const text = element.textContent || '';
+  const cached = messageTokenCache.get(element);
+  if (cached && cached.length === text.length) return cached.tokens;
+
+  const tokens = countTextTokens(text);
+  messageTokenCache.set(element, { length: text.length, tokens });
+  return tokens;
+}
+
+// Messages in the open conversation and the tokens they add to the next prompt
+function getConversationContext(adapter = getSiteAdapter()) {
+  const elements = Array.from(document.querySelectorAll(adapter.conversationMessageSelector));
+  // Some sites nest a reply's body inside its container; count each message once
+  const messages = elements.filter(element => !elements.some(other => other !== element && other.contains(element)));
+
+  return {
+    messages: messages.length,
+    tokens: messages.reduce((sum, element) => sum + countMessageTokens(element), 0)
+  };
+}
+
+// Whether starting a new chat would make this send meaningfully cheaper.
+// data is energyData.chatgpt.
+function shouldSuggestNewChat(data) {
+  return data.contextEnergyWh >= NEW_CHAT_MIN_SAVING_WH
+    && data.contextEnergyWh / data.energyWh >= NEW_CHAT_MIN_CONTEXT_SHARE;
+}
@@ -0,0 +1,190 @@
+// destinations.js
+// Low-energy places to send a query instead of an AI chat: a search engine, a
+// dictionary, Wikipedia, MDN, a calculator / unit converter. detectRouteIntent()
+// works out what kind of lookup a query is, and routeQuery() ranks the
+// destinations that answer it by estimated energy. Teams can switch
+// destinations off, re-cost them and add their own (an internal wiki, say)
+// under settings.routing, then share that through the Options page's export.
+//
+// Loaded before settings.js (content scripts, options page, background worker).
+
+// Kinds of lookup the router recognises. Labels are for the Options page; the
+// pop-up uses the routeIntent_* messages.
+const ROUTE_INTENTS = {
+  definition: 'Definitions',
+  arithmetic: 'Arithmetic',
+  conversion: 'Unit conversions',
+  docs: 'Web docs lookups',
+  factual: 'Quick facts'
+};
+
+// Each destination's URL takes {query} (the whole query) or {term} (just the
+// word or topic, e.g. "serendipity" from "define serendipity"). energyWh is
+// for one page view, server and network; null means "a search", costed like
+// the pop-up's Google card.
+const DESTINATIONS = {
+  google: {
+    id: 'google',
+    label: 'Google',
+    url: 'https://www.google.com/search?q={query}',
+    intents: Object.keys(ROUTE_INTENTS),
+    energyWh: null,
+    source: 'Same estimate as the pop-up\'s Google card'
+  },
+  wiktionary: {
+    id: 'wiktionary',
+    label: 'Wiktionary',
+    url: 'https://en.wiktionary.org/w/index.php?search={term}',
+    intents: ['definition'],
+    energyWh: 0.01,
+    source: 'Cached, mostly-text page (~0.3 MB at ~0.03 Wh/MB transferred)'
+  },
+  wikipedia: {
+    id: 'wikipedia',
+    label: 'Wikipedia',
+    url: 'https://en.wikipedia.org/w/index.php?search={term}',
+    intents: ['definition', 'factual'],
+    energyWh: 0.015,
+    source: 'Cached article (~0.5 MB at ~0.03 Wh/MB transferred)'
+  },
+  mdn: {
+    id: 'mdn',
+    label: 'MDN Web Docs',
+    url: 'https://developer.mozilla.org/en-US/search?q={term}',
+    intents: ['docs'],
+    energyWh: 0.02,
+    source: 'Static docs page (~0.7 MB at ~0.03 Wh/MB transferred)'
+  },
+  wolframalpha: {
+    id: 'wolframalpha',
+    label: 'Wolfram|Alpha',
+    url: 'https://www.wolframalpha.com/input?i={query}',
+    intents: ['arithmetic', 'conversion', 'factual'],
+    energyWh: 0.05,
+    source: 'Computed answer plus a heavier page (~1.5 MB at ~0.03 Wh/MB transferred)'
+  }
+};
+
+// Id of the team's own destination in settings.routing.custom
+const CUSTOM_DESTINATION_ID = 'custom';
+
+// "12 * (3 + 4)", "what is 15% of 80", "calculate 2^10"
+const ARITHMETIC_PATTERN = /^(?:(?:what(?:'s| is)|calculate|compute|how much is|solve)\s+)?([\d\s.,+\-*/×÷^()%x]+|\d+(?:\.\d+)?\s*% of\s*\d+(?:\.\d+)?)\s*[=?]?$/i;
+const OPERATOR_PATTERN = /\d\s*[-+*/×÷^x%]\s*[\d(]|%\s*of\b/i;
+
+// "5 km in miles", "convert 100 f to c"
+const CONVERSION_UNITS = 'mm|cm|m|km|in|inch(?:es)?|ft|feet|foot|yd|yards?|mi|miles?|meters?|metres?|kilometers?|kilometres?|'
+  + 'mg|g|kg|grams?|kilograms?|lbs?|pounds?|oz|ounces?|stones?|tons?|tonnes?|'
+  + 'ml|l|liters?|litres?|gal|gallons?|cups?|pints?|quarts?|tbsp|tsp|'
+  + '°?c|°?f|k|celsius|fahrenheit|kelvin|mph|kph|km/h|knots?|'
+  + 'kb|mb|gb|tb|bytes?|kwh|wh|joules?|calories?|kcal|'
+  + 'usd|eur|gbp|jpy|dollars?|euros?|yen|'
+  + 'seconds?|minutes?|hours?|days?|weeks?|years?';
+const CONVERSION_PATTERN = new RegExp(`^(?:convert\\s+)?(?:how many\\s+)?\\d*[.,]?\\d+\\s*(?:${CONVERSION_UNITS})\\.?\\s+(?:in|to|into|as)\\s+(?:${CONVERSION_UNITS})\\.?\\s*\\??$`, 'i');
+
+// "define serendipity", "meaning of ennui", "what does idempotent mean"
+const DEFINITION_PATTERN = /^(?:define|definition of|meaning of|what is the meaning of|synonyms? (?:for|of)|antonyms? (?:for|of)|how do you pronounce)\s+(.+?)\??$|^what does\s+(.+?)\s+mean\??$/i;
+// A word or two and nothing else is usually a definition, unless it's small talk
+const BARE_TERM_PATTERN = /^[\p{L}'-]+(?:\s[\p{L}'-]+)?$/u;
+const SMALL_TALK_PATTERN = /^(?:hi|hello|hey|thanks?|thank you|ok(?:ay)?|yes|no|bye|cool|great|good (?:morning|evening|night))\b/i;
+
+// Web platform names that MDN documents
+const WEB_DOCS_PATTERN = /\b(?:javascript|typescript|js|css|html|dom|mdn|web api|fetch|promise|async\/await|flexbox|css grid|queryselector(?:all)?|addeventlistener|localstorage|websocket|service worker|array\.\w+|string\.\w+|object\.\w+)\b/i;
+// ...but asking for code to be written is a job for the AI, not the docs
+const CODE_REQUEST_PATTERN = /^(?:please\s+)?(?:write|create|build|implement|generate|make|fix|debug|refactor|convert|optimi[sz]e)\b/i;
+const DOCS_MAX_WORDS = 15;
+
+// Questions a search answers as well as a chat model
+const LOOKUP_QUESTION_PATTERN = /^(?:who|when|where|(?:what|which)\s+(?:is|are|was|were|did|does|year)|how\s+(?:many|much|old|tall|far|big)|define)\b/i;
+const FACTUAL_MAX_WORDS = 12;
+
+// Filler stripped to get the {term} for docs and fact lookups
+const QUESTION_FILLER_PATTERN = /^(?:what(?:'s| is| are)|who(?:'s| is| was)|how (?:do i|to|does)|tell me about|explain)\s+|\?$/gi;
+
+// What kind of lookup the query is: { intent, term } or null when it's a job for the AI
+function detectRouteIntent(query) {
+  const text = query.trim();
+  if (!text) return null;
+
+  if (OPERATOR_PATTERN.test(text)) {
+    const arithmetic = text.match(ARITHMETIC_PATTERN);
+    if (arithmetic) return { intent: 'arithmetic', term: arithmetic[1].trim() };
+  }
+
+  if (CONVERSION_PATTERN.test(text)) return { intent: 'conversion', term: text.replace(/^convert\s+/i, '') };
+
+  const definition = text.match(DEFINITION_PATTERN);
+  if (definition) return { intent: 'definition', term: (definition[1] || definition[2]).trim() };
+
+  if (BARE_TERM_PATTERN.test(text) && !SMALL_TALK_PATTERN.test(text)) return { intent: 'definition', term: text };
+
+  const language = detectQueryLanguage(text);
+  const wordCount = countQueryWords(text, language);
+  const term = text.replace(QUESTION_FILLER_PATTERN, '').trim() || text;
+
+  if (WEB_DOCS_PATTERN.test(text) && !CODE_REQUEST_PATTERN.test(text) && wordCount <= DOCS_MAX_WORDS) {
+    return { intent: 'docs', term };
+  }
+
+  const classification = getQueryClassification(text, language);
+  if (wordCount <= FACTUAL_MAX_WORDS
+    && (LOOKUP_QUESTION_PATTERN.test(text) || (classification && classification.category === 'factual'))) {
+    return { intent: 'factual', term };
+  }
+
+  return null;
+}
+
+// Bundled destinations with the team's overrides applied, plus the team's own
+// one when it has a URL
+function getRoutingDestinations(routing = currentSettings.routing) {
+  const destinations = Object.values(DESTINATIONS).map(destination => {
+    const override = routing.destinations[destination.id] || {};
+    return {
+      ...destination,
+      enabled: override.enabled !== false,
+      energyWh: destination.energyWh === null ? null : override.energyWh
+    };
+  });
+
+  if (routing.custom.url) {
+    destinations.push({
+      id: CUSTOM_DESTINATION_ID,
+      label: routing.custom.label,
+      url: routing.custom.url,
+      intents: Object.keys(ROUTE_INTENTS).filter(intent => routing.custom.intents[intent]),
+      energyWh: routing.custom.energyWh,
+      source: 'Set by your team',
+      enabled: true
+    });
+  }
+  return destinations.filter(destination => destination.enabled);
+}
+
+// Fill a destination's URL template
+function buildDestinationUrl(template, query, term) {
+  return template
+    .replace(/\{query\}/g, encodeURIComponent(query))
+    .replace(/\{term\}/g, encodeURIComponent(term));
+}
+
+// Where else the query could go, cheapest first:
+// { intent, term, destinations: [{ id, label, url, energyWh, source }] }, or
+// null when it doesn't look like a lookup. searchEnergyWh costs the search engines.
+function routeQuery(query, searchEnergyWh) {
+  const route = detectRouteIntent(query);
+  if (!route) return null;
+
+  const destinations = getRoutingDestinations()
+    .filter(destination => destination.intents.includes(route.intent))
+    .map(destination => ({
+      id: destination.id,
+      label: destination.label,
+      url: buildDestinationUrl(destination.url, query.trim(), route.term),
+      energyWh: destination.energyWh === null ? searchEnergyWh : destination.energyWh,
+      source: destination.source
+    }))
+    .sort((a, b) => a.energyWh - b.energyWh);
+
+  return destinations.length > 0 ? { ...route, destinations } : null;
+}
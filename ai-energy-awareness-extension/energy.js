@@ -0,0 +1,448 @@
+// energy.js
+// Energy and carbon estimates shared by every page EcoQuery runs on: the model
+// coefficients in effect, query analysis, and the grid context for "right now".
+
+// Updated 2025 research-based energy model
+//  • Google search: 0.0000424 kWh = 0.0424 Wh (≈0.02 g CO₂ with 367 g CO₂/kWh grid)
+//  • ChatGPT (GPT-3.5/4 style) ≈60 × Google → 0.002544 kWh ≈ 2.544 Wh
+//    We keep token scaling but calibrate so the average (≈500 tokens) sums to ~2.5 Wh
+//    Base inference accounts for 0.5 Wh; remaining 2 Wh distributed over tokens.
+//    Prompt (prefill) tokens are processed in one parallel pass, roughly an order
+//    of magnitude cheaper than decoding.
+//  • Other models (4o, mini, reasoning, Claude, Gemini, …) have their own profiles in
+//    models.js. Each chat site's entry below is its fallback when the model picker
+//    can't be read; the AI side of energyData is still keyed 'chatgpt' whatever the site.
+const ENERGY_MODELS = {
+  google: {
+    baseEnergyWh: DEFAULT_SETTINGS.googleBaseEnergyWh,   // Wh per standard Google search (see settings.js)
+    description: "Traditional search"
+  },
+  chatgpt: MODEL_PROFILES[SITE_ADAPTERS.chatgpt.defaultModelId],
+  claude: MODEL_PROFILES[SITE_ADAPTERS.claude.defaultModelId],
+  gemini: MODEL_PROFILES[SITE_ADAPTERS.gemini.defaultModelId],
+  perplexity: MODEL_PROFILES[SITE_ADAPTERS.perplexity.defaultModelId],
+  copilot: MODEL_PROFILES[SITE_ADAPTERS.copilot.defaultModelId]
+};
+
+// Average grid carbon-intensity (g CO₂ per kWh) for the user's region
+// (grid-regions.js), or their own figure when the region is 'custom'.
+// Kept up to date by applySettings().
+let GRID_INTENSITY_G_PER_KWH = GRID_REGIONS[resolveGridRegion(DEFAULT_SETTINGS.gridRegion)].averageGPerKwh;
+
+// Push user-edited coefficients from the options page into the live models
+function applySettings(settings) {
+  GRID_INTENSITY_G_PER_KWH = settings.gridRegion === 'custom'
+    ? settings.gridIntensityGPerKwh
+    : GRID_REGIONS[resolveGridRegion(settings.gridRegion)].averageGPerKwh;
+  ENERGY_MODELS.google.baseEnergyWh = settings.googleBaseEnergyWh;
+  Object.keys(settings.models).forEach(id => {
+    Object.assign(MODEL_PROFILES[id], settings.models[id]);
+  });
+  refreshLiveGridIntensity();
+}
+
+// Latest answer from the background's live grid provider (null = use estimates)
+let liveGridReading = null;
+
+// How often open tabs ask the background for a fresh reading; the background's
+// own cache decides whether that actually hits the network
+const LIVE_GRID_REFRESH_MS = 5 * 60 * 1000;
+
+// Ask the background worker for the configured provider's current reading
+function refreshLiveGridIntensity() {
+  if (currentSettings.liveGrid.provider === 'none') {
+    liveGridReading = null;
+    return;
+  }
+
+  try {
+    chrome.runtime.sendMessage({ type: 'get-grid-intensity', regionId: resolveGridRegion(currentSettings.gridRegion) })
+      .then(response => {
+        liveGridReading = response ? response.reading : null;
+      })
+      .catch(error => console.warn('Could not refresh live grid intensity:', error));
+  } catch (error) {
+    console.warn('Could not refresh live grid intensity:', error);
+  }
+}
+
+// Classifier categories the per-language keyword lists stand for, most specific first
+const KEYWORD_CATEGORIES = [
+  { task: 'code', category: 'code' },
+  { task: 'creative', category: 'writing' },
+  { task: 'analysis', category: 'analysis' },
+  { task: 'list', category: 'howto' },
+  { task: 'short', category: 'chat' }
+];
+
+// Prompts with no keywords: short ones are usually lookups, longer ones questions to think through
+const KEYWORDLESS_FACTUAL_MAX_WORDS = 8;
+
+// Task category for the prompt, or null before the classifier's weights load
+// (or where query-classifier.js isn't loaded at all, as on Google results).
+// The classifier only knows the languages its corpus is written in; for the
+// rest the language's keywords pick the category, so estimates stay on the
+// same scale whatever the language.
+function getQueryClassification(query, language = detectQueryLanguage(query)) {
+  if (typeof queryClassifier === 'undefined' || !queryClassifier) return null;
+  if ((queryClassifier.languages || [DEFAULT_LANGUAGE]).includes(language)) return classifyQuery(query);
+
+  const match = KEYWORD_CATEGORIES.find(({ task }) => hasLanguageKeyword(query, language, task));
+  const id = match ? match.category
+    : countQueryWords(query, language) <= KEYWORDLESS_FACTUAL_MAX_WORDS ? 'factual' : 'analysis';
+  const category = queryClassifier.categories.find(candidate => candidate.id === id);
+  if (!category) return null;
+
+  return {
+    category: category.id,
+    label: category.label,
+    confidence: null,
+    complexity: category.complexity,
+    responseTokens: category.responseTokens
+  };
+}
+
+// Fallback for analyzeQueryComplexity until the classifier loads, in the prompt's language (languages.js)
+function estimateComplexityFromKeywords(query, language) {
+  const hasCodeRequest = hasLanguageKeyword(query, language, 'code');
+  const hasCreativeRequest = hasLanguageKeyword(query, language, 'creative');
+  const hasAnalysisRequest = hasLanguageKeyword(query, language, 'analysis');
+  const hasComplexConcepts = hasLanguageKeyword(query, language, 'complex');
+  
+  let complexity = 1; // Base complexity
+  
+  // Adjust based on request type
+  if (hasCodeRequest) complexity += 1.5;
+  if (hasCreativeRequest) complexity += 1;
+  if (hasAnalysisRequest) complexity += 0.5;
+  if (hasComplexConcepts) complexity += 0.5;
+  
+  return complexity;
+}
+
+// Query complexity analysis: the task category's complexity from the
+// classifier (query-classifier.js), plus a bump for long prompts
+function analyzeQueryComplexity(query) {
+  const language = detectQueryLanguage(query);
+  // Segmented properly for Chinese, Japanese and Thai, which don't use spaces
+  const wordCount = countQueryWords(query, language);
+  const classification = getQueryClassification(query, language);
+  let complexity = classification ? classification.complexity : estimateComplexityFromKeywords(query, language);
+  
+  // Adjust based on word count
+  if (wordCount > 50) complexity += 0.5;
+  if (wordCount > 100) complexity += 1;
+  
+  return Math.min(complexity, 4); // Cap at 4x base complexity
+}
+
+// Asking for depth ("comprehensive", "in-depth", ...) stretches the reply past
+// its category's typical length; asking for bullet points trims it
+const DETAIL_REQUEST_REPLY_FACTOR = 1.5;
+const BULLET_POINTS_PATTERN = /\bbullet(?:ed)?[- ]?points?\b|\bbullets\b|\bbulleted\b/i;
+const BULLET_POINTS_REPLY_FACTOR = 0.6;
+
+// "under 100 words", "in 50 words or less": an explicit cap on the reply
+const WORD_LIMIT_PATTERN = /\b(?:under|within|in|at most|no more than|max(?:imum)?(?: of)?|less than|fewer than)\s+(\d{1,4})\s+words\b|\b(\d{1,4})\s+words\s+(?:or less|or fewer|max(?:imum)?)\b/i;
+const WORDS_PER_TOKEN = 0.75;
+
+// Word limit the prompt sets on the reply, or null
+function getReplyWordLimit(query) {
+  const match = query.match(WORD_LIMIT_PATTERN);
+  return match ? Number(match[1] || match[2]) : null;
+}
+
+// Estimate expected response length based on query
+function estimateResponseTokens(query, complexity) {
+  const language = detectQueryLanguage(query);
+  const classification = getQueryClassification(query, language);
+  let tokens;
+  
+  if (classification) {
+    // The category's typical reply, stretched by any long-prompt bump
+    tokens = classification.responseTokens * (complexity / classification.complexity);
+    if (hasLanguageKeyword(query, language, 'complex')) tokens *= DETAIL_REQUEST_REPLY_FACTOR;
+  } else {
+    tokens = 500 * complexity;
+    
+    // Adjust for specific request types
+    if (hasLanguageKeyword(query, language, 'code')) tokens *= 1.5;
+    if (hasLanguageKeyword(query, language, 'list')) tokens *= 1.2;
+    if (hasLanguageKeyword(query, language, 'short')) tokens *= 0.3;
+  }
+  
+  // Explicit format and length instructions (English wording only, for now)
+  if (BULLET_POINTS_PATTERN.test(query)) tokens *= BULLET_POINTS_REPLY_FACTOR;
+  const wordLimit = getReplyWordLimit(query);
+  if (wordLimit) tokens = Math.min(tokens, wordLimit / WORDS_PER_TOKEN);
+  
+  // The reply comes back in the prompt's language, which may take more tokens than English
+  tokens *= (LANGUAGE_PROFILES[language] || LANGUAGE_PROFILES[DEFAULT_LANGUAGE]).replyTokenFactor;
+  
+  // Scale by what measured replies have taught us (see response-monitor.js)
+  tokens *= responseCalibration.factor;
+  
+  return Math.round(tokens);
+}
+
+// Which tool the composer has switched on (image, web search, deep research)
+// or whether voice input is running, as a REQUEST_TYPE_PROFILES id
+function getComposerRequestType(adapter = getSiteAdapter()) {
+  if (adapter.voiceSelector && document.querySelector(adapter.voiceSelector)) return 'voice';
+  if (!adapter.toolSelector) return null;
+
+  const toolLabels = Array.from(document.querySelectorAll(adapter.toolSelector))
+    .map(element => `${element.innerText || ''} ${element.getAttribute('aria-label') || ''}`);
+  return REQUEST_TYPE_MATCH_ORDER.find(id => {
+    const profile = REQUEST_TYPE_PROFILES[id];
+    return toolLabels.some(label => profile.toolMatch.test(label));
+  }) || null;
+}
+
+// Request type from the prompt's wording alone (for pages with no composer)
+function detectPromptRequestType(query) {
+  const promptType = REQUEST_TYPE_MATCH_ORDER.find(id => REQUEST_TYPE_PROFILES[id].match && REQUEST_TYPE_PROFILES[id].match.test(query));
+  if (promptType) return { profile: REQUEST_TYPE_PROFILES[promptType], source: 'prompt' };
+
+  return { profile: REQUEST_TYPE_PROFILES.text, source: null };
+}
+
+// What kind of request this is: the composer's selected tool wins, then the
+// prompt's wording, then plain text. Returns { profile, source }.
+function detectRequestType(query, adapter = getSiteAdapter()) {
+  const composerType = getComposerRequestType(adapter);
+  if (composerType) return { profile: REQUEST_TYPE_PROFILES[composerType], source: 'composer' };
+
+  return detectPromptRequestType(query);
+}
+
+// Energy on top of text inference for a non-text request, itemised for the
+// popup: { energyWh, lines: [{ id, quantity, unit, rateWh, energyWh }] }.
+// Line ids and units are message keys (requestLine_*, requestUnit_*).
+function calculateRequestTypeEnergy(profile, model, query, estimatedTokens) {
+  const lines = [];
+  const addLine = (id, quantity, unit, rateWh) => {
+    lines.push({ id, quantity, unit, rateWh, energyWh: quantity * rateWh });
+  };
+
+  if (profile.energyPerImageWh) {
+    addLine('imageModel', profile.imagesPerRequest, 'images', profile.energyPerImageWh);
+  }
+
+  if (profile.energyPerAudioSecondWh) {
+    const promptSeconds = Math.round(countQueryWords(query) / profile.wordsPerSecond);
+    // About three words for every four tokens
+    const replySeconds = Math.round((estimatedTokens * 0.75) / profile.wordsPerSecond);
+    addLine('speechRecognition', promptSeconds, 'audioSeconds', profile.energyPerAudioSecondWh);
+    addLine('speechSynthesis', replySeconds, 'audioSeconds', profile.energyPerAudioSecondWh);
+  }
+
+  if (profile.searchesPerRequest) {
+    addLine('webSearches', profile.searchesPerRequest, 'searches', ENERGY_MODELS.google.baseEnergyWh);
+    addLine('retrievedPages', profile.searchesPerRequest * profile.pageTokensPerSearch, 'tokens', model.energyPerInputToken);
+  }
+
+  if (profile.reasoningTokenMultiplier) {
+    addLine('researchSteps', Math.round(estimatedTokens * profile.reasoningTokenMultiplier), 'tokens', model.energyPerToken);
+  }
+
+  return {
+    energyWh: lines.reduce((sum, line) => sum + line.energyWh, 0),
+    lines
+  };
+}
+
+// Relative eco score (1-6 scale) against a plain Google search.
+// Google Search baseline: 0.0424 Wh = score 1 (updated)
+function scoreEnergy(energyWh) {
+  return Math.max(1, Math.min(6, Math.ceil(1 + Math.log10(energyWh / ENERGY_MODELS.google.baseEnergyWh) * 2)));
+}
+
+// Calculate energy consumption for different services.
+// conversation is the thread the prompt joins (conversation-context.js);
+// attachments are the files going with it (attachments.js); requestType is
+// what detectRequestType found (image generation, voice, web search, ...).
+function calculateEnergyFootprint(query, model = getActiveModelProfile(), conversation = getConversationContext(), attachments = getAttachmentSummary(), requestType = detectRequestType(query)) {
+  const complexity = analyzeQueryComplexity(query);
+  const estimatedTokens = Math.round(estimateResponseTokens(query, complexity) * requestType.profile.responseTokenMultiplier);
+  const inputTokens = countTextTokens(query);
+  const contextTokens = conversation.tokens;
+  const attachmentTokens = attachments.tokens;
+  // Reasoning models think in tokens the user never sees, billed at decode cost
+  const reasoningTokens = Math.round(estimatedTokens * model.reasoningTokenMultiplier);
+  
+  // Google Search energy calculation
+  const googleEnergy = ENERGY_MODELS.google.baseEnergyWh * Math.max(1, complexity * 0.5);
+  
+  // AI energy calculation (more sophisticated)
+  const chatgptBaseEnergy = model.baseEnergyWh;
+  const inputEnergy = inputTokens * model.energyPerInputToken;
+  // The earlier turns go through prefill again with every new prompt
+  const contextEnergy = contextTokens * model.energyPerInputToken;
+  // Image tiles and document text are input tokens too
+  const attachmentEnergy = attachmentTokens * model.energyPerInputToken;
+  const outputEnergy = (estimatedTokens + reasoningTokens) * model.energyPerToken;
+  // Images, speech and searches are extra work outside the text model
+  const requestTypeEnergy = calculateRequestTypeEnergy(requestType.profile, model, query, estimatedTokens);
+  const chatgptEnergy = chatgptBaseEnergy + contextEnergy + attachmentEnergy + inputEnergy + outputEnergy + requestTypeEnergy.energyWh;
+  
+  // Calculate relative scores (1-6 scale)
+  const googleScore = scoreEnergy(googleEnergy);
+  const chatgptScore = scoreEnergy(chatgptEnergy);
+  
+  return {
+    google: {
+      energyWh: googleEnergy,
+      carbonGrams: (googleEnergy / 1000) * GRID_INTENSITY_G_PER_KWH,
+      score: googleScore,
+      estimatedTokens: 0,
+      complexity: complexity
+    },
+    chatgpt: {
+      energyWh: chatgptEnergy,
+      carbonGrams: (chatgptEnergy / 1000) * GRID_INTENSITY_G_PER_KWH,
+      score: chatgptScore,
+      estimatedTokens: estimatedTokens,
+      inputTokens: inputTokens,
+      reasoningTokens: reasoningTokens,
+      inputEnergyWh: inputEnergy,
+      contextMessages: conversation.messages,
+      contextTokens: contextTokens,
+      contextEnergyWh: contextEnergy,
+      attachments: attachments,
+      attachmentTokens: attachmentTokens,
+      attachmentEnergyWh: attachmentEnergy,
+      outputEnergyWh: outputEnergy,
+      requestType: requestType.profile,
+      requestTypeSource: requestType.source,
+      requestTypeEnergyWh: requestTypeEnergy.energyWh,
+      requestTypeLines: requestTypeEnergy.lines,
+      language: detectQueryLanguage(query),
+      classification: getQueryClassification(query),
+      complexity: complexity,
+      model: model
+    }
+  };
+}
+
+// Get additional context information
+function getEnvironmentalContext() {
+  const context = currentSettings.gridRegion === 'custom'
+    ? getCustomEnvironmentalContext()
+    : getRegionalEnvironmentalContext();
+
+  return applyLiveGridReading(context);
+}
+
+// Context from the user's own grid figure and the fixed solar / evening-peak rule
+function getCustomEnvironmentalContext() {
+  const now = new Date();
+  const hour = now.getHours();
+  
+  // Estimate grid carbon intensity based on time (simplified)
+  let gridIntensity = uiText('gridIntensity_medium');
+  let intensityMultiplier = 1;
+  
+  if (hour >= 10 && hour <= 16) {
+    gridIntensity = uiText('gridIntensity_solar');
+    intensityMultiplier = currentSettings.solarMultiplier;
+  } else if (hour >= 18 && hour <= 22) {
+    gridIntensity = uiText('gridIntensity_peak');
+    intensityMultiplier = currentSettings.peakMultiplier;
+  }
+  
+  return {
+    gridIntensity,
+    intensityMultiplier,
+    regionLabel: uiText('gridCustomRegion'),
+    currentIntensityGPerKwh: GRID_INTENSITY_G_PER_KWH * intensityMultiplier,
+    timeContext: hour >= 10 && hour <= 16 ? uiText('timeSolar') : 
+                 hour >= 18 && hour <= 22 ? uiText('timePeak') : uiText('timeStandard')
+  };
+}
+
+// Context from the bundled hourly profile of the user's grid region
+function getRegionalEnvironmentalContext() {
+  const now = new Date();
+  const regionId = resolveGridRegion(currentSettings.gridRegion);
+  const region = GRID_REGIONS[regionId];
+  const currentIntensity = getRegionIntensity(regionId, now);
+  // Relative to the region's annual average, which carbonGrams is based on
+  const intensityMultiplier = Math.round((currentIntensity / region.averageGPerKwh) * 100) / 100;
+
+  let gridIntensity = uiText('gridIntensity_medium');
+  let timeContext = uiText('timeTypical', region.label);
+
+  if (intensityMultiplier <= 0.92) {
+    gridIntensity = uiText('gridIntensity_lower');
+    timeContext = uiText('timeCleaner', region.label);
+  } else if (intensityMultiplier >= 1.08) {
+    gridIntensity = uiText('gridIntensity_higher');
+    timeContext = uiText('timeDirtier', region.label);
+  }
+
+  return {
+    gridIntensity,
+    intensityMultiplier,
+    regionLabel: currentSettings.gridRegion === 'auto' ? uiText('regionAutoDetected', region.label) : region.label,
+    currentIntensityGPerKwh: currentIntensity,
+    timeContext
+  };
+}
+
+// Replace the static estimate with the live provider's reading when we have one.
+// intensitySource tells the popup whether the figure is live, cached or estimated.
+function applyLiveGridReading(context) {
+  const reading = liveGridReading;
+  const config = currentSettings.liveGrid;
+
+  if (!reading || config.provider === 'none') {
+    return { ...context, intensitySource: 'estimated' };
+  }
+
+  const ageMs = Date.now() - reading.fetchedAt;
+  if (ageMs > GRID_CACHE_MAX_STALE_MS) {
+    return { ...context, intensitySource: 'estimated' };
+  }
+
+  // A reading that was live when fetched is only "live" while it's fresh
+  const intensitySource = reading.status === 'live' && ageMs < config.cacheMinutes * 60 * 1000 ? 'live' : 'cached';
+  const intensityMultiplier = Math.round((reading.gPerKwh / GRID_INTENSITY_G_PER_KWH) * 100) / 100;
+  const providerLabel = GRID_PROVIDERS[reading.provider] ? GRID_PROVIDERS[reading.provider].label : reading.provider;
+
+  let gridIntensity = uiText('gridIntensity_medium');
+  if (intensityMultiplier <= 0.92) gridIntensity = uiText('gridIntensity_lower');
+  if (intensityMultiplier >= 1.08) gridIntensity = uiText('gridIntensity_higher');
+
+  return {
+    ...context,
+    gridIntensity,
+    intensityMultiplier,
+    currentIntensityGPerKwh: reading.gPerKwh,
+    timeContext: uiText(intensitySource === 'live' ? 'liveReading' : 'cachedReading', [
+      providerLabel,
+      reading.zone,
+      new Date(reading.fetchedAt).toLocaleTimeString(uiLocale.replace('_', '-'), { hour: '2-digit', minute: '2-digit' })
+    ]),
+    intensitySource
+  };
+}
+
+// Colours for the live / cached / estimated chip in the popup
+function getIntensitySourceBadge(source) {
+  const styles = {
+    live: { label: uiText('badgeLive'), color: '#047857', background: '#d1fae5' },
+    cached: { label: uiText('badgeCached'), color: '#b45309', background: '#fef3c7' },
+    estimated: { label: uiText('badgeEstimated'), color: '#4b5563', background: '#f3f4f6' }
+  };
+  const style = styles[source] || styles.estimated;
+
+  return `<span style="
+    display: inline-block;
+    padding: 1px 8px;
+    border-radius: 50px;
+    font-weight: 600;
+    color: ${style.color};
+    background: ${style.background};
+  ">${style.label}</span>`;
+}
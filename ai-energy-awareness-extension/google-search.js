@@ -0,0 +1,208 @@
+// google-search.js
+// Google Search results pages: a small, non-blocking banner that scores the
+// query the same way the chat popup does and says whether an AI answer is
+// likely worth its extra energy. Google's own AI Overview, when one is shown,
+// is counted as the AI inference it is.
+//
+// Only one short query needs scoring here, so this page loads neither the
+// BPE tokenizer tables nor the classifier: tokens are the word estimate in
+// tokenizer.js and complexity comes from the keyword heuristics in energy.js.
+
+const SEARCH_BANNER_ID = 'ecoquery-search-banner';
+
+// Queries at or above this complexity (see analyzeQueryComplexity) are the
+// code / writing / analysis requests where a chat answer can earn its cost
+const AI_WARRANTED_COMPLEXITY = 2.5;
+
+// AI Overviews stream in after the results; wait for things to go quiet before re-scoring
+const SEARCH_BANNER_DEBOUNCE_MS = 500;
+
+// Known AI Overview containers; the heading text is the fallback when the markup changes
+const AI_OVERVIEW_SELECTORS = ['[data-attrid="SGEAnswer"]', 'div[jsname="N760b"]'];
+
+// Query the banner was closed for, so it stays closed until the next search
+let searchBannerDismissedFor = null;
+let searchBannerHtml = '';
+
+function getSearchQuery() {
+  try {
+    return (new URLSearchParams(window.location.search).get('q') || '').trim();
+  } catch (error) {
+    console.warn('Could not read search query:', error);
+    return '';
+  }
+}
+
+// The AI Overview block on this page, or null when Google didn't show one
+function findAiOverview() {
+  for (const selector of AI_OVERVIEW_SELECTORS) {
+    const element = document.querySelector(selector);
+    if (element) return element;
+  }
+
+  const heading = Array.from(document.querySelectorAll('[role="heading"], h1, h2'))
+    .find(candidate => /^AI Overview/i.test((candidate.textContent || '').trim()));
+  return heading ? heading.closest('[data-hveid]') || heading.parentElement : null;
+}
+
+// Energy of the overview Google already generated: prompt prefill plus the
+// text it wrote. Only the visible text is counted, so a collapsed overview
+// ("Show more") is an underestimate.
+function calculateAiOverviewEnergy(query, overviewElement) {
+  const model = MODEL_PROFILES['google-ai-overview'];
+  const outputTokens = countTextTokens(overviewElement.innerText || '') || model.tokensPerQuery;
+  const energyWh = model.baseEnergyWh
+    + countTextTokens(query) * model.energyPerInputToken
+    + outputTokens * model.energyPerToken;
+
+  return {
+    energyWh,
+    carbonGrams: (energyWh / 1000) * GRID_INTENSITY_G_PER_KWH,
+    score: scoreEnergy(energyWh),
+    outputTokens,
+    model
+  };
+}
+
+function formatSearchEnergy(wh) {
+  return `${formatNumber(wh, wh < 0.1 ? 3 : 2)} Wh`;
+}
+
+function formatSearchCarbon(grams) {
+  return `${formatNumber(grams, grams < 0.1 ? 3 : 2)} g CO₂`;
+}
+
+// One line of the comparison table
+function renderSearchBannerRow(label, data, multiplier, highlight) {
+  return `
+    <div style="
+      display: flex;
+      justify-content: space-between;
+      gap: 12px;
+      padding: 6px 0;
+      border-top: 1px solid #f3f4f6;
+      ${highlight ? 'font-weight: 600;' : ''}
+    ">
+      <span>${label}</span>
+      <span style="white-space: nowrap; color: #4b5563;">
+        ${formatSearchEnergy(data.energyWh)} · ${formatSearchCarbon(data.carbonGrams * multiplier)} · ${uiText('searchScore', data.score)}
+      </span>
+    </div>
+  `;
+}
+
+function buildSearchBannerHtml(query) {
+  const chatModel = ENERGY_MODELS.chatgpt;
+  // A search-inspired question would start a fresh chat, with nothing attached
+  const energyData = calculateEnergyFootprint(query, chatModel, EMPTY_CONVERSATION_CONTEXT, EMPTY_ATTACHMENT_SUMMARY, detectPromptRequestType(query));
+  const envContext = getEnvironmentalContext();
+  const multiplier = envContext.intensityMultiplier;
+  const overviewElement = findAiOverview();
+  const overview = overviewElement ? calculateAiOverviewEnergy(query, overviewElement) : null;
+
+  const ratio = Math.max(1, Math.round(energyData.chatgpt.energyWh / energyData.google.energyWh));
+  const warranted = energyData.chatgpt.complexity >= AI_WARRANTED_COMPLEXITY;
+  const chatLabel = `${SITE_ADAPTERS.chatgpt.label} · ${chatModel.label}`;
+
+  const verdict = uiText(warranted ? 'searchVerdictAi' : 'searchVerdictSearch', formatNumber(ratio));
+
+  const overviewNote = overview
+    ? `<p style="margin: 8px 0 0 0; color: #b45309;">
+        ${uiText('searchOverviewNote', [formatNumber(overview.outputTokens), formatSearchEnergy(overview.energyWh)])}
+      </p>`
+    : '';
+
+  return `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+      <strong style="color: #047857;">EcoQuery</strong>
+      <button id="ecoquery-search-banner-close" aria-label="${uiText('searchDismiss')}" style="
+        border: none;
+        background: none;
+        font-size: 18px;
+        line-height: 1;
+        color: #6b7280;
+        cursor: pointer;
+      ">×</button>
+    </div>
+    <p style="margin: 0 0 8px 0;">${verdict}</p>
+    ${renderSearchBannerRow(uiText('searchThisSearch'), energyData.google, multiplier, !warranted)}
+    ${overview ? renderSearchBannerRow(uiText('searchAiOverview'), overview, multiplier, false) : ''}
+    ${renderSearchBannerRow(chatLabel, energyData.chatgpt, multiplier, warranted)}
+    ${overviewNote}
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 8px; font-size: 11px; color: #6b7280;">
+      <span>${uiText('searchGrid', envContext.regionLabel)} ${getIntensitySourceBadge(envContext.intensitySource)}</span>
+      ${warranted ? `<a href="https://chatgpt.com/?q=${encodeURIComponent(query)}" target="_blank" rel="noopener" style="
+        color: #047857;
+        font-weight: 600;
+        text-decoration: none;
+      ">${uiText('searchAsk', SITE_ADAPTERS.chatgpt.label)}</a>` : ''}
+    </div>
+  `;
+}
+
+function removeSearchBanner() {
+  const banner = document.getElementById(SEARCH_BANNER_ID);
+  if (banner) banner.remove();
+  searchBannerHtml = '';
+}
+
+// Show, refresh or hide the banner for the current results page
+function updateSearchBanner() {
+  const query = getSearchQuery();
+  if (!query || query === searchBannerDismissedFor) {
+    removeSearchBanner();
+    return;
+  }
+
+  const html = buildSearchBannerHtml(query);
+  // Our own insertions trigger the observer too; don't redraw for nothing
+  if (html === searchBannerHtml && document.getElementById(SEARCH_BANNER_ID)) return;
+  searchBannerHtml = html;
+
+  let banner = document.getElementById(SEARCH_BANNER_ID);
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = SEARCH_BANNER_ID;
+    banner.setAttribute('role', 'status');
+    banner.style.cssText = `
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      width: 340px;
+      max-width: calc(100vw - 32px);
+      padding: 12px 14px;
+      background: white;
+      border: 1px solid #d1fae5;
+      border-radius: 12px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.12);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      line-height: 1.4;
+      color: #1f2937;
+      z-index: 2147483647;
+    `;
+    document.body.appendChild(banner);
+  }
+
+  banner.innerHTML = html;
+  document.getElementById('ecoquery-search-banner-close').addEventListener('click', () => {
+    searchBannerDismissedFor = query;
+    removeSearchBanner();
+  });
+}
+
+let searchBannerTimer = null;
+
+// Results, AI Overviews and in-page navigations all arrive as DOM changes
+const searchObserver = new MutationObserver(() => {
+  clearTimeout(searchBannerTimer);
+  searchBannerTimer = setTimeout(updateSearchBanner, SEARCH_BANNER_DEBOUNCE_MS);
+});
+
+searchObserver.observe(document.body, { childList: true, subtree: true });
+
+// Keep coefficients in step with the options page
+watchSettings(settings => {
+  applySettings(settings);
+  applyUiLanguage(settings.uiLanguage).then(updateSearchBanner);
+});
@@ -0,0 +1,154 @@
+// grid-providers.js
+// Live grid-intensity providers. Runs in the background service worker (so
+// requests aren't subject to the chat page's CSP) and answers
+// 'get-grid-intensity' messages from content scripts.
+//
+// A provider turns (config, zone) into a fetch request and pulls g CO₂/kWh
+// out of the JSON it gets back:
+//   buildRequest(config, zone) → { url, headers }
+//   parse(json, config, zone)  → number (g CO₂ per kWh)
+
+const GRID_CACHE_STORAGE_KEY = 'ecoqueryGridCache';
+
+// Serve a failed provider's last reading for this long before falling back to estimates
+const GRID_CACHE_MAX_STALE_MS = 24 * 60 * 60 * 1000;
+
+// Bundled offline stand-in, shaped like an Electricity Maps response
+const GRID_MOCK_FIXTURE_PATH = 'fixtures/grid-intensity.json';
+
+// Read a dotted path like "data.carbonIntensity" out of a JSON object
+function readJsonPath(json, path) {
+  return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), json);
+}
+
+const GRID_PROVIDERS = {
+  electricitymaps: {
+    label: 'Electricity Maps',
+    defaultEndpoint: 'https://api.electricitymap.org/v3/carbon-intensity/latest?zone={zone}',
+    defaultTokenHeader: 'auth-token',
+    defaultValuePath: 'carbonIntensity',
+    buildRequest(config, zone) {
+      return {
+        url: (config.endpoint || this.defaultEndpoint).replace('{zone}', encodeURIComponent(zone)),
+        headers: config.apiToken ? { [config.tokenHeader || this.defaultTokenHeader]: config.apiToken } : {}
+      };
+    },
+    parse(json, config) {
+      return readJsonPath(json, config.valuePath || this.defaultValuePath);
+    }
+  },
+  'custom-json': {
+    label: 'Custom JSON endpoint',
+    defaultEndpoint: '',
+    defaultTokenHeader: 'Authorization',
+    defaultValuePath: 'carbonIntensity',
+    buildRequest(config, zone) {
+      return {
+        url: config.endpoint.replace('{zone}', encodeURIComponent(zone)),
+        headers: config.apiToken ? { [config.tokenHeader || this.defaultTokenHeader]: config.apiToken } : {}
+      };
+    },
+    parse(json, config) {
+      return readJsonPath(json, config.valuePath || this.defaultValuePath);
+    }
+  },
+  mock: {
+    label: 'Local mock (offline fixture)',
+    defaultEndpoint: '',
+    defaultTokenHeader: '',
+    defaultValuePath: 'carbonIntensity',
+    buildRequest(config, zone) {
+      return { url: chrome.runtime.getURL(GRID_MOCK_FIXTURE_PATH), headers: {} };
+    },
+    parse(json, config, zone) {
+      const reading = (json.zones && json.zones[zone]) || json.default;
+      return reading ? reading.carbonIntensity : undefined;
+    }
+  }
+};
+
+// Zone to ask the provider for: explicit override, else the region's own zone
+function getProviderZone(config, regionId) {
+  if (config.zone) return config.zone;
+  const region = GRID_REGIONS[regionId];
+  return region && region.zone ? region.zone : null;
+}
+
+// fetch() that gives up after timeoutMs
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function loadGridCache() {
+  const storage = getStorageArea('local');
+  if (!storage) return {};
+
+  try {
+    const result = await storage.get(GRID_CACHE_STORAGE_KEY);
+    return result[GRID_CACHE_STORAGE_KEY] || {};
+  } catch (error) {
+    console.warn('Could not read grid cache:', error);
+    return {};
+  }
+}
+
+async function saveGridCacheEntry(key, reading) {
+  const storage = getStorageArea('local');
+  if (!storage) return;
+
+  try {
+    const cache = await loadGridCache();
+    cache[key] = reading;
+    await storage.set({ [GRID_CACHE_STORAGE_KEY]: cache });
+  } catch (error) {
+    console.warn('Could not write grid cache:', error);
+  }
+}
+
+// Ask the configured provider for the current intensity of a region.
+// Resolves to { gPerKwh, status: 'live' | 'cached', fetchedAt, provider, zone }
+// or null when the caller should fall back to the static estimate.
+async function getLiveGridIntensity(config, regionId) {
+  const provider = GRID_PROVIDERS[config.provider];
+  if (!provider) return null;
+
+  const zone = getProviderZone(config, regionId);
+  if (!zone) return null;
+
+  const cacheKey = `${config.provider}|${zone}`;
+  const cache = await loadGridCache();
+  const cached = cache[cacheKey];
+  const now = Date.now();
+
+  if (cached && now - cached.fetchedAt < config.cacheMinutes * 60 * 1000) {
+    return { ...cached, status: 'cached' };
+  }
+
+  try {
+    const request = provider.buildRequest(config, zone);
+    const response = await fetchWithTimeout(request.url, { headers: request.headers }, config.timeoutMs);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const gPerKwh = Number(provider.parse(await response.json(), config, zone));
+    if (!Number.isFinite(gPerKwh) || gPerKwh < 0) throw new Error('Response had no usable carbon intensity');
+
+    const reading = { gPerKwh, fetchedAt: now, provider: config.provider, zone };
+    await saveGridCacheEntry(cacheKey, reading);
+    return { ...reading, status: 'live' };
+  } catch (error) {
+    console.warn(`Grid provider ${config.provider} failed for ${zone}:`, error);
+
+    // A stale reading still beats the static table for a while
+    if (cached && now - cached.fetchedAt < GRID_CACHE_MAX_STALE_MS) {
+      return { ...cached, status: 'cached' };
+    }
+    return null;
+  }
+}
@@ -0,0 +1,136 @@
+// grid-regions.js
+// Bundled offline carbon-intensity profiles per grid region.
+//
+// Each region stores its annual average (g CO₂ per kWh, rounded from Ember's
+// 2023 country / balancing-area figures), a typical month-of-year and
+// hour-of-day shape, and (where one fits) the Electricity Maps zone used by
+// live providers in grid-providers.js. The intensity for a given hour is
+//   average × monthly[month] × hourly[hour]
+// Shapes are normalised to a mean of 1 on load, so they only move the figure
+// around the annual average. Good enough for "is now a greener time", not for audits.
+
+const HOURLY_SHAPES = {
+  // Large solar share: clean middays, dirty evenings
+  solar: [1.12, 1.12, 1.12, 1.12, 1.12, 1.10, 1.05, 0.98, 0.88, 0.78, 0.72, 0.70,
+          0.70, 0.72, 0.78, 0.88, 1.00, 1.12, 1.20, 1.22, 1.20, 1.18, 1.15, 1.13],
+  // Fossil-led grids: gas / coal peakers switch on for the evening peak
+  mixed: [0.95, 0.95, 0.95, 0.95, 0.95, 0.95, 0.98, 1.02, 1.04, 1.02, 1.00, 0.98,
+          0.97, 0.97, 0.98, 1.00, 1.03, 1.06, 1.08, 1.08, 1.05, 1.02, 0.99, 0.97],
+  // Hydro / nuclear baseload: barely moves through the day
+  flat: [0.98, 0.98, 0.98, 0.98, 0.98, 0.98, 0.99, 1.00, 1.01, 1.01, 1.01, 1.01,
+         1.00, 1.00, 1.00, 1.01, 1.02, 1.03, 1.03, 1.03, 1.02, 1.00, 0.99, 0.98]
+};
+
+const MONTHLY_SHAPES = {
+  // Heating demand and weak sun push winter up
+  northern: [1.10, 1.08, 1.02, 0.96, 0.92, 0.92, 0.96, 0.98, 0.96, 0.98, 1.04, 1.10],
+  southern: [0.92, 0.92, 0.96, 0.98, 1.04, 1.10, 1.10, 1.08, 1.02, 0.96, 0.96, 0.98],
+  // Spring melt fills the reservoirs
+  hydro: [1.10, 1.10, 1.05, 0.95, 0.85, 0.85, 0.92, 0.98, 1.02, 1.05, 1.06, 1.10],
+  flat: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1]
+};
+
+const GRID_REGIONS = {
+  'us-average': { label: 'United States (average)', averageGPerKwh: 367, hourly: 'mixed', monthly: 'northern' },
+  'us-california': { label: 'US — California (CAISO)', averageGPerKwh: 220, hourly: 'solar', monthly: 'northern', zone: 'US-CAL-CISO' },
+  'us-texas': { label: 'US — Texas (ERCOT)', averageGPerKwh: 400, hourly: 'solar', monthly: 'northern', zone: 'US-TEX-ERCO' },
+  'us-midwest': { label: 'US — Midwest (MISO)', averageGPerKwh: 470, hourly: 'mixed', monthly: 'northern', zone: 'US-MIDW-MISO' },
+  'us-northeast': { label: 'US — Northeast (NYISO / ISO-NE)', averageGPerKwh: 240, hourly: 'mixed', monthly: 'northern', zone: 'US-NY-NYIS' },
+  'us-northwest': { label: 'US — Pacific Northwest', averageGPerKwh: 280, hourly: 'flat', monthly: 'hydro', zone: 'US-NW-BPAT' },
+  canada: { label: 'Canada', averageGPerKwh: 170, hourly: 'flat', monthly: 'hydro', zone: 'CA-ON' },
+  brazil: { label: 'Brazil', averageGPerKwh: 100, hourly: 'flat', monthly: 'southern', zone: 'BR-CS' },
+  uk: { label: 'United Kingdom', averageGPerKwh: 230, hourly: 'mixed', monthly: 'northern', zone: 'GB' },
+  france: { label: 'France', averageGPerKwh: 55, hourly: 'flat', monthly: 'northern', zone: 'FR' },
+  germany: { label: 'Germany', averageGPerKwh: 380, hourly: 'solar', monthly: 'northern', zone: 'DE' },
+  spain: { label: 'Spain', averageGPerKwh: 150, hourly: 'solar', monthly: 'northern', zone: 'ES' },
+  poland: { label: 'Poland', averageGPerKwh: 660, hourly: 'mixed', monthly: 'northern', zone: 'PL' },
+  nordics: { label: 'Nordics (Sweden / Norway / Finland)', averageGPerKwh: 35, hourly: 'flat', monthly: 'hydro', zone: 'SE' },
+  'eu-average': { label: 'European Union (average)', averageGPerKwh: 250, hourly: 'mixed', monthly: 'northern' },
+  india: { label: 'India', averageGPerKwh: 710, hourly: 'solar', monthly: 'flat', zone: 'IN-WE' },
+  china: { label: 'China', averageGPerKwh: 580, hourly: 'solar', monthly: 'northern' },
+  japan: { label: 'Japan', averageGPerKwh: 480, hourly: 'solar', monthly: 'northern', zone: 'JP-TK' },
+  singapore: { label: 'Singapore', averageGPerKwh: 470, hourly: 'flat', monthly: 'flat', zone: 'SG' },
+  australia: { label: 'Australia', averageGPerKwh: 550, hourly: 'solar', monthly: 'southern', zone: 'AU-NSW' },
+  'south-africa': { label: 'South Africa', averageGPerKwh: 710, hourly: 'mixed', monthly: 'southern', zone: 'ZA' },
+  world: { label: 'World (average)', averageGPerKwh: 480, hourly: 'mixed', monthly: 'flat' }
+};
+
+// IANA timezones that identify a region outright
+const TIMEZONE_REGIONS = {
+  'America/Los_Angeles': 'us-california',
+  'America/Chicago': 'us-midwest',
+  'America/New_York': 'us-northeast',
+  'America/Denver': 'us-average',
+  'America/Phoenix': 'us-average',
+  'America/Toronto': 'canada',
+  'America/Vancouver': 'canada',
+  'America/Montreal': 'canada',
+  'America/Sao_Paulo': 'brazil',
+  'Europe/London': 'uk',
+  'Europe/Paris': 'france',
+  'Europe/Berlin': 'germany',
+  'Europe/Madrid': 'spain',
+  'Europe/Warsaw': 'poland',
+  'Europe/Stockholm': 'nordics',
+  'Europe/Oslo': 'nordics',
+  'Europe/Helsinki': 'nordics',
+  'Asia/Kolkata': 'india',
+  'Asia/Calcutta': 'india',
+  'Asia/Shanghai': 'china',
+  'Asia/Tokyo': 'japan',
+  'Asia/Singapore': 'singapore',
+  'Africa/Johannesburg': 'south-africa'
+};
+
+// Fallbacks by timezone prefix when the exact zone isn't listed
+const TIMEZONE_PREFIX_REGIONS = {
+  'America/': 'us-average',
+  'US/': 'us-average',
+  'Europe/': 'eu-average',
+  'Australia/': 'australia'
+};
+
+// Scale a shape so its values average to exactly 1
+function normalizeShape(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.map(value => value / mean);
+}
+
+Object.keys(HOURLY_SHAPES).forEach(name => {
+  HOURLY_SHAPES[name] = normalizeShape(HOURLY_SHAPES[name]);
+});
+Object.keys(MONTHLY_SHAPES).forEach(name => {
+  MONTHLY_SHAPES[name] = normalizeShape(MONTHLY_SHAPES[name]);
+});
+
+// Guess the user's grid region from the browser's timezone
+function guessRegionFromTimezone(timeZone) {
+  let zone = timeZone;
+  if (!zone) {
+    try {
+      zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } catch (error) {
+      console.warn('Could not read timezone:', error);
+    }
+  }
+  if (!zone) return 'world';
+
+  if (TIMEZONE_REGIONS[zone]) return TIMEZONE_REGIONS[zone];
+
+  const prefix = Object.keys(TIMEZONE_PREFIX_REGIONS).find(candidate => zone.startsWith(candidate));
+  return prefix ? TIMEZONE_PREFIX_REGIONS[prefix] : 'world';
+}
+
+// Turn a stored region setting ('auto' or a region id) into a region id
+function resolveGridRegion(setting) {
+  if (GRID_REGIONS[setting]) return setting;
+  return guessRegionFromTimezone();
+}
+
+// Carbon intensity (g CO₂ per kWh) for a region at a given moment (local time)
+function getRegionIntensity(regionId, date = new Date()) {
+  const region = GRID_REGIONS[regionId] || GRID_REGIONS.world;
+  const monthly = MONTHLY_SHAPES[region.monthly][date.getMonth()];
+  const hourly = HOURLY_SHAPES[region.hourly][date.getHours()];
+  return region.averageGPerKwh * monthly * hourly;
+}
@@ -0,0 +1,275 @@
+// history.js
+// Footprint history dashboard. Reads the ledger written by content.js.
+
+let activeMetric = 'energyWh';
+
+// Entries from before multi-site support have no site; they all came from ChatGPT
+function getSiteLabel(siteId) {
+  const adapter = SITE_ADAPTERS[siteId || 'chatgpt'];
+  return adapter ? adapter.label : siteId;
+}
+
+// Dates and times in the UI language
+function formatDate(date) {
+  return date.toLocaleDateString(uiLocale.replace('_', '-'));
+}
+
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString(uiLocale.replace('_', '-'));
+}
+
+// Render the today / this week / this month cards
+function renderPeriodSummaries(entries) {
+  const container = document.getElementById('period-summaries');
+
+  container.innerHTML = ['day', 'week', 'month'].map(period => {
+    const summary = summarizeLedger(entries, getPeriodStart(period));
+    return `
+      <div class="card">
+        <h3>${uiText(`period_${period}`)}</h3>
+        <div class="stat"><span>${uiText('statQueries')}</span><strong>${formatNumber(summary.queries)}</strong></div>
+        <div class="stat"><span>${uiText('statGoogleAi')}</span><strong>${formatNumber(summary.google)} / ${formatNumber(summary.chatgpt)}</strong></div>
+        <div class="stat"><span>${uiText('statEnergyUsed')}</span><strong>${formatEnergy(summary.energyWh)}</strong></div>
+        <div class="stat"><span>${uiText('statEmissions')}</span><strong>${formatCarbon(summary.carbonGrams)}</strong></div>
+        <div class="stat saved"><span>${uiText('statSaved')}</span><strong>${formatEnergy(summary.savedEnergyWh)}</strong></div>
+        <div class="stat saved"><span>${uiText('statCarbonAvoided')}</span><strong>${formatCarbon(summary.savedCarbonGrams)}</strong></div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Render the per-day bar chart as inline SVG
+function renderDailyChart(entries) {
+  const container = document.getElementById('daily-chart');
+  const legend = document.getElementById('daily-legend');
+  const buckets = groupLedgerByDay(entries, 30);
+  const values = buckets.map(bucket => bucket[activeMetric]);
+  const maxValue = Math.max(...values, 0);
+
+  if (maxValue === 0) {
+    container.innerHTML = `<p class="empty">${uiText('historyChartEmpty')}</p>`;
+    legend.innerHTML = '';
+    return;
+  }
+
+  const width = 900;
+  const height = 200;
+  const barGap = 4;
+  const barWidth = width / buckets.length - barGap;
+  const color = activeMetric === 'savedEnergyWh' ? '#3b82f6' : '#10b981';
+
+  const bars = buckets.map((bucket, index) => {
+    const barHeight = (values[index] / maxValue) * (height - 20);
+    const x = index * (barWidth + barGap);
+    const y = height - barHeight;
+    const label = `${formatDate(bucket.date)}: ${formatNumber(values[index], 2)}`;
+    return `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3" fill="${color}"><title>${label}</title></rect>`;
+  }).join('');
+
+  container.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}" preserveAspectRatio="none">${bars}</svg>
+  `;
+
+  const first = formatDate(buckets[0].date);
+  const last = formatDate(buckets[buckets.length - 1].date);
+  legend.innerHTML = `<span style="--swatch: ${color}">${uiText('historyChartRange', [first, last, formatNumber(maxValue, 2)])}</span>`;
+}
+
+// Render the proportion of Google / local / AI chat / dismissed decisions
+function renderDecisionChart(entries) {
+  const container = document.getElementById('decision-chart');
+  const summary = summarizeLedger(entries);
+
+  if (summary.queries === 0) {
+    container.innerHTML = `<p class="empty">${uiText('historyDecisionsEmpty')}</p>`;
+    return;
+  }
+
+  const segments = Object.keys(DECISION_COLORS).map(decision => {
+    const share = (summary[decision] / summary.queries) * 100;
+    if (share === 0) return '';
+    return `<div title="${getDecisionLabel(decision)}: ${summary[decision]}" style="width: ${share}%; background: ${DECISION_COLORS[decision]};"></div>`;
+  }).join('');
+
+  const legendItems = Object.keys(DECISION_COLORS).map(decision =>
+    `<span style="--swatch: ${DECISION_COLORS[decision]}">${getDecisionLabel(decision)} (${formatNumber(summary[decision])})</span>`
+  ).join('');
+
+  container.innerHTML = `
+    <div style="display: flex; height: 24px; border-radius: 8px; overflow: hidden;">${segments}</div>
+    <div class="legend">${legendItems}</div>
+  `;
+}
+
+// Keep stored text (prompts, and labels and model names that may have come
+// from an imported file) from being read as markup
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+// A stored number for the table, or — when the entry doesn't have one
+function formatEntryNumber(value, fractionDigits = 0) {
+  return Number.isFinite(value) ? formatNumber(value, fractionDigits) : '—';
+}
+
+// Render the most recent decisions as a table, with the redacted prompts when
+// the privacy mode keeps them
+function renderRecentDecisions(entries) {
+  const container = document.getElementById('recent-decisions');
+  const recent = entries.slice(-20).reverse();
+  const showPrompts = recent.some(entry => entry.prompt !== undefined);
+
+  if (recent.length === 0) {
+    container.innerHTML = `<p class="empty">${uiText('historyRecentEmpty')}</p>`;
+    return;
+  }
+
+  const rows = recent.map(entry => {
+    const cost = getEntryCost(entry);
+    return `
+      <tr>
+        <td>${formatDateTime(entry.timestamp)}</td>
+        <td>${escapeHtml(entry.decision === 'google' && entry.destination ? uiText('decisionDestination', entry.destination.label) : getDecisionLabel(entry.decision))}${entry.budgetOverride ? ` (${escapeHtml(uiText('decisionOverBudget'))})` : ''}</td>
+        <td>${escapeHtml(getSiteLabel(entry.site))}</td>
+        <td>${escapeHtml(entry.model || '—')}</td>
+        <td>${formatEntryNumber(entry.google.score)} / ${formatEntryNumber(entry.chatgpt.score)}</td>
+        <td>${formatEntryNumber(entry.complexity, 1)}</td>
+        <td>${formatEntryNumber(entry.estimatedTokens)}${entry.actual ? ` / ${formatEntryNumber(entry.actual.outputTokens)}` : ''}</td>
+        <td>${formatEnergy(cost.energyWh)}</td>
+        <td>${formatCarbon(cost.carbonGrams)}</td>
+        ${showPrompts ? `<td class="prompt" title="${entry.promptHash ? `SHA-256 ${escapeHtml(entry.promptHash)}` : ''}">${escapeHtml(entry.prompt || '')}</td>` : ''}
+      </tr>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          ${['when', 'decision', 'assistant', 'model', 'score', 'complexity', 'tokens', 'energy', 'carbon'].map(column => `<th>${uiText(`column_${column}`)}</th>`).join('')}
+          ${showPrompts ? `<th>${uiText('column_prompt')}</th>` : ''}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+async function renderDashboard() {
+  const entries = await loadLedger();
+  renderPeriodSummaries(entries);
+  renderDailyChart(entries);
+  renderDecisionChart(entries);
+  renderRecentDecisions(entries);
+}
+
+// Save generated text as a file
+function downloadFile(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function showExportStatus(message, type) {
+  const status = document.getElementById('export-status');
+  status.textContent = message;
+  status.className = `status ${type}`;
+}
+
+// The chosen export period as ms timestamps; the "to" day is included
+function getExportPeriod() {
+  const [fromYear, fromMonth, fromDay] = document.getElementById('export-from').value.split('-').map(Number);
+  const [toYear, toMonth, toDay] = document.getElementById('export-to').value.split('-').map(Number);
+  return {
+    from: new Date(fromYear, fromMonth - 1, fromDay).getTime(),
+    to: new Date(toYear, toMonth - 1, toDay + 1).getTime()
+  };
+}
+
+// What each export button produces from the period's entries: [file name, text, MIME type]
+const EXPORTS = {
+  report: (entries, period) => ['carbon-report.json', JSON.stringify(buildCarbonReport(entries, period.from, period.to), null, 2), 'application/json'],
+  'decisions-csv': entries => ['decisions.csv', exportLedgerCsv(entries), 'text/csv'],
+  'decisions-json': entries => ['decisions.json', JSON.stringify(exportLedgerJson(entries), null, 2), 'application/json'],
+  'totals-csv': entries => ['daily-totals.csv', exportTotalsCsv(entries), 'text/csv'],
+  'totals-json': entries => ['daily-totals.json', JSON.stringify(exportTotalsJson(entries), null, 2), 'application/json']
+};
+
+document.querySelectorAll('[data-export]').forEach(button => {
+  button.addEventListener('click', async () => {
+    const period = getExportPeriod();
+    if (!Number.isFinite(period.from) || !Number.isFinite(period.to) || period.from >= period.to) {
+      showExportStatus(uiText('exportBadPeriod'), 'error');
+      return;
+    }
+
+    const inPeriod = filterLedgerByPeriod(await loadLedger(), period.from, period.to);
+    const [name, text, type] = EXPORTS[button.getAttribute('data-export')](inPeriod, period);
+    const from = document.getElementById('export-from').value;
+    const to = document.getElementById('export-to').value;
+    downloadFile(`ecoquery-${from}-to-${to}-${name}`, text, type);
+    showExportStatus(uiText('exportDone', formatNumber(inPeriod.length)), 'success');
+  });
+});
+
+document.getElementById('import-button').addEventListener('click', () => {
+  document.getElementById('import-file').click();
+});
+
+// Merge another machine's "Decisions (JSON)" export into this browser's history
+document.getElementById('import-file').addEventListener('change', async (event) => {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  try {
+    const result = await importLedger(JSON.parse(await file.text()));
+    showExportStatus(uiText('importDone', [formatNumber(result.added), file.name])
+      + (result.duplicates > 0 ? uiText('importDuplicates', formatNumber(result.duplicates)) : '')
+      + (result.invalid > 0 ? uiText('importInvalid', formatNumber(result.invalid)) : '')
+      + '.', 'success');
+    renderDashboard();
+  } catch (error) {
+    showExportStatus(uiText('importFailed', [file.name, error.message]), 'error');
+  }
+});
+
+// Switch the daily chart metric
+document.querySelectorAll('.chart-controls button').forEach(button => {
+  button.addEventListener('click', () => {
+    activeMetric = button.getAttribute('data-metric');
+    document.querySelectorAll('.chart-controls button').forEach(other => {
+      other.classList.toggle('active', other === button);
+    });
+    renderDashboard();
+  });
+});
+
+// Refresh live when another tab records a decision
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[LEDGER_STORAGE_KEY]) {
+    renderDashboard();
+  }
+});
+
+// Export this month so far by default
+document.getElementById('export-from').value = formatLocalDate(getPeriodStart('month'));
+document.getElementById('export-to').value = formatLocalDate(Date.now());
+
+// Report the coefficients in effect, the same ones the chat tabs use, and
+// show the page in the language chosen on the options page
+loadSettings()
+  .then(settings => {
+    applySettings(settings);
+    return applyUiLanguage(settings.uiLanguage);
+  })
+  .then(() => {
+    localizePage();
+    renderDashboard();
+  });
+
+localizePage();
+renderDashboard();
@@ -0,0 +1,103 @@
+// i18n.js
+// UI strings from the _locales message catalogs, plus locale-aware number
+// formatting. chrome.i18n only ever follows the browser's language, so when
+// the user picks another one on the options page (settings.uiLanguage) that
+// catalog is loaded and looked up here instead.
+
+// Catalog of the language override; null while following the browser
+let uiCatalog = null;
+// BCP 47 tag numbers are formatted for
+let uiLocale = getBrowserUiLocale();
+
+const numberFormats = new Map();
+
+function getBrowserUiLocale() {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.i18n && chrome.i18n.getUILanguage) {
+      return chrome.i18n.getUILanguage();
+    }
+  } catch (error) {
+    console.warn('Could not read the browser language:', error);
+  }
+  return (typeof navigator !== 'undefined' && navigator.language) || 'en';
+}
+
+// Fill a catalog entry's $NAME$ placeholders the way chrome.i18n does
+function formatCatalogMessage(entry, substitutions) {
+  const values = [].concat(substitutions === undefined ? [] : substitutions).map(String);
+  const fill = content => content.replace(/\$(\d)/g, (match, index) => values[index - 1] || '');
+
+  // One pass, so a "$$" inside a substituted value is left as it is
+  return entry.message.replace(/\$\$|\$([A-Za-z0-9_@]+)\$/g, (match, name) => {
+    if (!name) return '$';
+    const placeholder = entry.placeholders && entry.placeholders[name.toLowerCase()];
+    return placeholder ? fill(placeholder.content) : match;
+  });
+}
+
+// Translated UI string for a message key; substitutions fill $1, $2, ...
+// Falls back to the key itself so a missing message is obvious, not blank.
+function uiText(key, substitutions) {
+  if (uiCatalog && uiCatalog[key]) return formatCatalogMessage(uiCatalog[key], substitutions);
+
+  try {
+    const message = chrome.i18n.getMessage(key, substitutions);
+    if (message) return message;
+  } catch (error) {
+    // No chrome.i18n (tools/ scripts); fall through to the key
+  }
+  return key;
+}
+
+// Catalogs live in the extension package, which content scripts can't read
+// directly; the background worker hands them over
+async function loadUiCatalog(language) {
+  const response = await chrome.runtime.sendMessage({ type: 'get-ui-catalog', language });
+  if (!response || !response.catalog) throw new Error(`No catalog for ${language}`);
+  return response.catalog;
+}
+
+// Switch to the language chosen in settings ('auto' follows the browser)
+async function applyUiLanguage(language) {
+  if (!language || language === 'auto') {
+    uiCatalog = null;
+    uiLocale = getBrowserUiLocale();
+    return;
+  }
+
+  try {
+    uiCatalog = await loadUiCatalog(language);
+    uiLocale = language;
+  } catch (error) {
+    console.warn(`Could not load the ${language} UI strings, using the browser language:`, error);
+    uiCatalog = null;
+    uiLocale = getBrowserUiLocale();
+  }
+}
+
+// A number with a fixed count of decimals, in the UI language's notation
+// (1,234.5 in English, 1.234,5 in German)
+function formatNumber(value, fractionDigits = 0) {
+  const key = `${uiLocale}|${fractionDigits}`;
+  if (!numberFormats.has(key)) {
+    try {
+      numberFormats.set(key, new Intl.NumberFormat(uiLocale.replace('_', '-'), {
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+      }));
+    } catch (error) {
+      console.warn(`Unsupported locale ${uiLocale}:`, error);
+      return value.toFixed(fractionDigits);
+    }
+  }
+  return numberFormats.get(key).format(value);
+}
+
+// Fill an extension page's fixed text: every element with data-i18n="key"
+// gets that message, and the page its language
+function localizePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = uiText(element.getAttribute('data-i18n'));
+  });
+  if (root.documentElement) root.documentElement.lang = uiLocale.replace('_', '-');
+}
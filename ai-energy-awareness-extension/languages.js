@@ -0,0 +1,272 @@
+// languages.js
+// Language detection and per-language text analysis for prompts. Scripts
+// without spaces between words (Chinese, Japanese, Thai) are segmented with
+// Intl.Segmenter where the browser has it, or estimated from characters per
+// word. Each language has its own task keywords for the complexity fallback.
+//
+// Every profile has the same shape:
+//   label              name shown in the popup
+//   script             regex for the language's own script, or null for Latin
+//   stopwords          common words used to tell Latin-script languages apart
+//   charsPerWord       characters per word when a script has no spaces (null: split on spaces)
+//   replyTokenFactor   tokens a reply needs relative to the same reply in English (o200k_base)
+//   keywords           stems per task for estimateComplexityFromKeywords (energy.js):
+//                      code, creative, analysis, complex, list, short
+
+const LANGUAGE_PROFILES = {
+  en: {
+    label: 'English',
+    script: null,
+    stopwords: ['the', 'and', 'is', 'of', 'to', 'in', 'what', 'how', 'my', 'a', 'for', 'with', 'this', 'you', 'me'],
+    charsPerWord: null,
+    replyTokenFactor: 1,
+    keywords: {
+      code: ['code', 'program', 'script', 'function', 'debug', 'fix', 'algorithm'],
+      creative: ['write', 'create', 'story', 'poem', 'essay', 'draft', 'design'],
+      analysis: ['analyz', 'explain', 'compare', 'summariz', 'breakdown', 'research'],
+      complex: ['complex', 'detailed', 'comprehensive', 'thorough', 'in-depth', 'in detail'],
+      list: ['list', 'steps', 'tutorial'],
+      short: ['yes', 'no', 'simple', 'quick']
+    }
+  },
+  es: {
+    label: 'Español',
+    script: null,
+    stopwords: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'es', 'en', 'por', 'para', 'cómo', 'qué', 'una', 'mi'],
+    charsPerWord: null,
+    replyTokenFactor: 1.25,
+    keywords: {
+      code: ['código', 'programa', 'script', 'función', 'depura', 'algoritmo'],
+      creative: ['escrib', 'crea', 'historia', 'cuento', 'poema', 'ensayo', 'borrador', 'diseñ'],
+      analysis: ['analiz', 'explica', 'compara', 'resum', 'investiga'],
+      complex: ['complej', 'detallad', 'exhaustiv', 'a fondo'],
+      list: ['lista', 'pasos', 'tutorial'],
+      short: ['sí', 'no', 'simple', 'rápid']
+    }
+  },
+  fr: {
+    label: 'Français',
+    script: null,
+    stopwords: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'pour', 'que', 'qui', 'comment', 'mon', 'dans'],
+    charsPerWord: null,
+    replyTokenFactor: 1.25,
+    keywords: {
+      code: ['code', 'programme', 'script', 'fonction', 'débogu', 'algorithme'],
+      creative: ['écri', 'rédig', 'crée', 'histoire', 'poème', 'essai', 'brouillon'],
+      analysis: ['analys', 'explique', 'compare', 'résum', 'recherche'],
+      complex: ['complex', 'détaillé', 'exhaustif', 'approfondi'],
+      list: ['liste', 'étapes', 'tutoriel'],
+      short: ['oui', 'non', 'simple', 'rapide']
+    }
+  },
+  de: {
+    label: 'Deutsch',
+    script: null,
+    stopwords: ['der', 'die', 'das', 'und', 'ist', 'ein', 'eine', 'ich', 'nicht', 'wie', 'was', 'mit', 'für', 'mein', 'zu'],
+    charsPerWord: null,
+    replyTokenFactor: 1.35,
+    keywords: {
+      code: ['code', 'programm', 'skript', 'funktion', 'debugg', 'algorithmus'],
+      creative: ['schreib', 'erstell', 'geschichte', 'gedicht', 'aufsatz', 'entwurf'],
+      analysis: ['analys', 'erklär', 'vergleich', 'zusammenfass', 'recherch'],
+      complex: ['komplex', 'detailliert', 'ausführlich', 'gründlich'],
+      list: ['liste', 'schritte', 'anleitung'],
+      short: ['ja', 'nein', 'einfach', 'schnell']
+    }
+  },
+  pt: {
+    label: 'Português',
+    script: null,
+    stopwords: ['o', 'os', 'as', 'de', 'do', 'da', 'que', 'e', 'é', 'um', 'uma', 'para', 'como', 'não', 'meu'],
+    charsPerWord: null,
+    replyTokenFactor: 1.25,
+    keywords: {
+      code: ['código', 'programa', 'script', 'função', 'depur', 'algoritmo'],
+      creative: ['escrev', 'cri', 'história', 'poema', 'redação', 'rascunho'],
+      analysis: ['analis', 'expliqu', 'compar', 'resum', 'pesquis'],
+      complex: ['complex', 'detalhad', 'abrangente', 'aprofundad'],
+      list: ['lista', 'passos', 'tutorial'],
+      short: ['sim', 'não', 'simples', 'rápid']
+    }
+  },
+  it: {
+    label: 'Italiano',
+    script: null,
+    stopwords: ['il', 'lo', 'la', 'gli', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'come', 'non', 'mio', 'della'],
+    charsPerWord: null,
+    replyTokenFactor: 1.3,
+    keywords: {
+      code: ['codice', 'programma', 'script', 'funzione', 'debug', 'algoritmo'],
+      creative: ['scriv', 'crea', 'storia', 'poesia', 'saggio', 'bozza'],
+      analysis: ['analizz', 'spiega', 'confront', 'riassum', 'ricerca'],
+      complex: ['compless', 'dettagliat', 'esaustiv', 'approfondit'],
+      list: ['elenco', 'lista', 'passaggi', 'tutorial'],
+      short: ['sì', 'no', 'semplice', 'veloce']
+    }
+  },
+  nl: {
+    label: 'Nederlands',
+    script: null,
+    stopwords: ['de', 'het', 'een', 'en', 'van', 'is', 'ik', 'niet', 'hoe', 'wat', 'voor', 'met', 'mijn', 'dat', 'je'],
+    charsPerWord: null,
+    replyTokenFactor: 1.35,
+    keywords: {
+      code: ['code', 'programma', 'script', 'functie', 'debug', 'algoritme'],
+      creative: ['schrijf', 'maak', 'verhaal', 'gedicht', 'essay', 'ontwerp'],
+      analysis: ['analyseer', 'leg uit', 'vergelijk', 'samenvat', 'onderzoek'],
+      complex: ['complex', 'gedetailleerd', 'uitgebreid', 'grondig'],
+      list: ['lijst', 'stappen', 'handleiding'],
+      short: ['ja', 'nee', 'simpel', 'snel']
+    }
+  },
+  ru: {
+    label: 'Русский',
+    script: /\p{Script=Cyrillic}/u,
+    stopwords: [],
+    charsPerWord: null,
+    replyTokenFactor: 1.5,
+    keywords: {
+      code: ['код', 'программ', 'скрипт', 'функци', 'отлад', 'алгоритм'],
+      creative: ['напиши', 'созда', 'истори', 'рассказ', 'стих', 'эссе'],
+      analysis: ['проанализ', 'объясни', 'сравни', 'кратко', 'исследу'],
+      complex: ['сложн', 'подробн', 'детальн', 'всесторонн'],
+      list: ['список', 'шаги', 'инструкци'],
+      short: ['да', 'нет', 'просто', 'быстр']
+    }
+  },
+  zh: {
+    label: '中文',
+    script: /\p{Script=Han}/u,
+    stopwords: [],
+    charsPerWord: 1.5,
+    replyTokenFactor: 1.1,
+    keywords: {
+      code: ['代码', '程序', '脚本', '函数', '调试', '算法', '报错'],
+      creative: ['写', '创作', '故事', '诗', '文章', '草稿', '设计'],
+      analysis: ['分析', '解释', '比较', '总结', '研究'],
+      complex: ['复杂', '详细', '全面', '深入'],
+      list: ['列出', '步骤', '教程'],
+      short: ['是不是', '简单', '快速']
+    }
+  },
+  ja: {
+    label: '日本語',
+    // Kana tells Japanese apart from Chinese, which shares the Han characters
+    script: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    stopwords: [],
+    charsPerWord: 2,
+    replyTokenFactor: 1.3,
+    keywords: {
+      code: ['コード', 'プログラム', 'スクリプト', '関数', 'デバッグ', 'アルゴリズム', 'エラー'],
+      creative: ['書いて', '作成', '物語', '詩', 'エッセイ', '下書き', 'デザイン'],
+      analysis: ['分析', '説明', '比較', '要約', '調査'],
+      complex: ['複雑', '詳細', '包括的', '徹底'],
+      list: ['リスト', '手順', 'チュートリアル'],
+      short: ['はい', 'いいえ', '簡単', '手短']
+    }
+  },
+  ko: {
+    label: '한국어',
+    script: /\p{Script=Hangul}/u,
+    stopwords: [],
+    charsPerWord: null,
+    replyTokenFactor: 1.3,
+    keywords: {
+      code: ['코드', '프로그램', '스크립트', '함수', '디버그', '알고리즘'],
+      creative: ['써', '작성', '이야기', '시를', '에세이', '초안', '디자인'],
+      analysis: ['분석', '설명', '비교', '요약', '조사'],
+      complex: ['복잡', '자세', '포괄적', '심층'],
+      list: ['목록', '단계', '튜토리얼'],
+      short: ['네', '아니요', '간단', '빠르게']
+    }
+  },
+  th: {
+    label: 'ไทย',
+    script: /\p{Script=Thai}/u,
+    stopwords: [],
+    charsPerWord: 5,
+    replyTokenFactor: 1.6,
+    keywords: {
+      code: ['โค้ด', 'โปรแกรม', 'สคริปต์', 'ฟังก์ชัน', 'ดีบัก', 'อัลกอริทึม'],
+      creative: ['เขียน', 'สร้าง', 'เรื่องสั้น', 'บทกวี', 'เรียงความ'],
+      analysis: ['วิเคราะห์', 'อธิบาย', 'เปรียบเทียบ', 'สรุป', 'วิจัย'],
+      complex: ['ซับซ้อน', 'ละเอียด', 'ครอบคลุม', 'เชิงลึก'],
+      list: ['รายการ', 'ขั้นตอน', 'บทเรียน'],
+      short: ['ใช่', 'ไม่', 'ง่าย', 'เร็ว']
+    }
+  }
+};
+
+// Used when nothing points anywhere else (short or mixed prompts)
+const DEFAULT_LANGUAGE = 'en';
+
+// Script-based languages are checked in this order: kana before Han, so
+// Japanese with kanji isn't read as Chinese
+const SCRIPT_LANGUAGE_ORDER = ['ja', 'zh', 'ko', 'th', 'ru'];
+
+// A script has to make up this share of a prompt's letters to decide its
+// language; code identifiers in a Chinese prompt shouldn't make it English
+const MIN_SCRIPT_SHARE = 0.2;
+
+// Characters of the scripts written without spaces between words
+const UNSPACED_SCRIPT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/gu;
+
+// Best guess at the language a prompt is written in, as a LANGUAGE_PROFILES id
+function detectQueryLanguage(text) {
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length === 0) return DEFAULT_LANGUAGE;
+
+  for (const id of SCRIPT_LANGUAGE_ORDER) {
+    const script = LANGUAGE_PROFILES[id].script;
+    const inScript = letters.filter(letter => script.test(letter)).length;
+    if (inScript / letters.length >= MIN_SCRIPT_SHARE) return id;
+  }
+
+  // Latin script: whichever language's common words show up most
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  let best = DEFAULT_LANGUAGE;
+  let bestHits = 0;
+  Object.entries(LANGUAGE_PROFILES).forEach(([id, profile]) => {
+    const hits = words.filter(word => profile.stopwords.includes(word)).length;
+    if (hits > bestHits) {
+      best = id;
+      bestHits = hits;
+    }
+  });
+  return best;
+}
+
+// Words in a prompt, for scripts with and without spaces
+function countQueryWords(text, language = detectQueryLanguage(text)) {
+  const trimmed = text.trim();
+  if (!trimmed) return 0;
+
+  const profile = LANGUAGE_PROFILES[language] || LANGUAGE_PROFILES[DEFAULT_LANGUAGE];
+  if (!profile.charsPerWord) return trimmed.split(/\s+/).length;
+
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    try {
+      const segmenter = new Intl.Segmenter(language, { granularity: 'word' });
+      return Array.from(segmenter.segment(trimmed)).filter(segment => segment.isWordLike).length;
+    } catch (error) {
+      console.warn('Word segmentation failed, estimating from characters:', error);
+    }
+  }
+
+  // Latin words mixed in (code, names) still count by spaces
+  const unspacedChars = (trimmed.match(UNSPACED_SCRIPT_PATTERN) || []).length;
+  const otherWords = trimmed.replace(UNSPACED_SCRIPT_PATTERN, ' ').split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+  return Math.round(unspacedChars / profile.charsPerWord) + otherWords;
+}
+
+// Whether the prompt contains any of the language's keywords for a task.
+// Space-separated languages match at the start of a word, so stems like
+// "analyz" catch "analyze" and "analyzing"; the others match anywhere.
+function hasLanguageKeyword(text, language, task) {
+  const profile = LANGUAGE_PROFILES[language] || LANGUAGE_PROFILES[DEFAULT_LANGUAGE];
+  const lower = text.toLowerCase();
+  return profile.keywords[task].some(keyword => {
+    if (profile.charsPerWord) return lower.includes(keyword);
+    return new RegExp(`(?<![\\p{L}\\p{N}])${keyword}`, 'u').test(lower);
+  });
+}
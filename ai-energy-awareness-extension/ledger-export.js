@@ -0,0 +1,308 @@
+// ledger-export.js
+// Getting the ledger out of the browser and back in: every decision as CSV or
+// JSON, daily totals as CSV or JSON, a carbon report for sustainability
+// reporting (totals in kWh and kg CO₂e plus the methodology constants behind
+// them), and importing another machine's JSON export to merge histories.
+// Loaded by the history dashboard after ledger.js and energy.js.
+
+const LEDGER_EXPORT_FORMAT = 'ecoquery-ledger';
+const CARBON_REPORT_FORMAT = 'ecoquery-carbon-report';
+// Bumped whenever a field changes meaning; importers check it
+const EXPORT_FORMAT_VERSION = 1;
+
+const KNOWN_DECISIONS = ['google', 'local', 'chatgpt', 'dismissed'];
+
+function getExtensionVersion() {
+  try {
+    return chrome.runtime.getManifest().version;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Entries recorded in [from, to) (ms timestamps)
+function filterLedgerByPeriod(entries, from, to) {
+  return entries.filter(entry => entry.timestamp >= from && entry.timestamp < to);
+}
+
+// One CSV field. Text starting with = + - @, a tab or a carriage return is
+// prefixed with ' so spreadsheets don't run it as a formula.
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Columns of the per-decision CSV: [header, value for an entry]
+const LEDGER_CSV_COLUMNS = [
+  ['id', entry => entry.id],
+  ['timestamp', entry => new Date(entry.timestamp).toISOString()],
+  ['decision', entry => entry.decision],
+  ['destination', entry => (entry.destination ? entry.destination.label : '')],
+  ['site', entry => entry.site || 'chatgpt'],
+  ['model', entry => entry.model],
+  ['requestType', entry => entry.requestType],
+  ['estimatedTokens', entry => entry.estimatedTokens],
+  ['actualOutputTokens', entry => (entry.actual ? entry.actual.outputTokens : null)],
+  ['energyWh', entry => getEntryCost(entry).energyWh],
+  ['carbonGrams', entry => getEntryCost(entry).carbonGrams],
+  ['savedEnergyWh', entry => getEntrySavings(entry).energyWh],
+  ['savedCarbonGrams', entry => getEntrySavings(entry).carbonGrams],
+  ['gridRegion', entry => entry.gridRegion],
+  ['gridMultiplier', entry => entry.gridMultiplier],
+  ['budgetOverride', entry => (entry.budgetOverride ? 'yes' : '')],
+  // Only present when the privacy mode keeps redacted prompts (privacy.js)
+  ['promptHash', entry => entry.promptHash],
+  ['prompt', entry => entry.prompt]
+];
+
+function exportLedgerCsv(entries) {
+  return toCsv(
+    LEDGER_CSV_COLUMNS.map(([header]) => header),
+    entries.map(entry => LEDGER_CSV_COLUMNS.map(([, value]) => value(entry)))
+  );
+}
+
+// The raw entries, in the shape importLedger() reads back
+function exportLedgerJson(entries) {
+  return {
+    format: LEDGER_EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    extensionVersion: getExtensionVersion(),
+    exportedAt: new Date().toISOString(),
+    entries
+  };
+}
+
+// summarizeLedger() per local calendar day that has entries, oldest first
+function summarizeLedgerDaily(entries) {
+  const days = new Map();
+  entries.forEach(entry => {
+    const date = formatLocalDate(entry.timestamp);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(entry);
+  });
+
+  return [...days.keys()].sort().map(date => ({ date, ...summarizeLedger(days.get(date)) }));
+}
+
+const TOTALS_COLUMNS = ['date', 'queries', 'google', 'local', 'chatgpt', 'dismissed', 'energyWh', 'carbonGrams', 'savedEnergyWh', 'savedCarbonGrams'];
+
+function exportTotalsCsv(entries) {
+  return toCsv(TOTALS_COLUMNS, summarizeLedgerDaily(entries).map(day => TOTALS_COLUMNS.map(column => day[column])));
+}
+
+function exportTotalsJson(entries) {
+  return {
+    format: `${LEDGER_EXPORT_FORMAT}-totals`,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    extensionVersion: getExtensionVersion(),
+    exportedAt: new Date().toISOString(),
+    days: summarizeLedgerDaily(entries)
+  };
+}
+
+// The coefficients estimates are made with right now (ENERGY_MODELS and
+// GRID_INTENSITY_G_PER_KWH after applySettings)
+function getMethodologyConstants() {
+  const profiles = {};
+  Object.values(MODEL_PROFILES).forEach(profile => {
+    profiles[profile.id] = { label: profile.label, source: profile.source };
+    MODEL_SETTING_FIELDS.forEach(field => { profiles[profile.id][field] = profile[field]; });
+  });
+
+  const siteDefaults = {};
+  Object.keys(ENERGY_MODELS).filter(id => id !== 'google').forEach(id => {
+    siteDefaults[id] = ENERGY_MODELS[id].id;
+  });
+
+  return {
+    gridRegion: currentSettings.gridRegion,
+    gridIntensityGPerKwh: GRID_INTENSITY_G_PER_KWH,
+    solarMultiplier: currentSettings.solarMultiplier,
+    peakMultiplier: currentSettings.peakMultiplier,
+    searchEnergyWh: ENERGY_MODELS.google.baseEnergyWh,
+    siteDefaultModels: siteDefaults,
+    modelProfiles: profiles
+  };
+}
+
+// Wh → kWh and g → kg, to six significant figures so float noise stays out of the report
+function toReportUnits(value) {
+  return Number((value / 1000).toPrecision(6));
+}
+
+function toReportTotals(summary) {
+  return {
+    queries: summary.queries,
+    energyKwh: toReportUnits(summary.energyWh),
+    carbonKgCo2e: toReportUnits(summary.carbonGrams),
+    avoidedEnergyKwh: toReportUnits(summary.savedEnergyWh),
+    avoidedCarbonKgCo2e: toReportUnits(summary.savedCarbonGrams)
+  };
+}
+
+// Period totals, broken down by decision, site and model, with the
+// methodology behind the figures. from / to are ms timestamps, to exclusive.
+function buildCarbonReport(entries, from, to) {
+  const inPeriod = filterLedgerByPeriod(entries, from, to);
+  const summary = summarizeLedger(inPeriod);
+
+  const breakdown = key => {
+    const groups = {};
+    inPeriod.forEach(entry => {
+      const id = key(entry) || 'unknown';
+      (groups[id] = groups[id] || []).push(entry);
+    });
+    const result = {};
+    Object.keys(groups).sort().forEach(id => { result[id] = toReportTotals(summarizeLedger(groups[id])); });
+    return result;
+  };
+
+  const decisions = {};
+  KNOWN_DECISIONS.forEach(decision => { decisions[decision] = summary[decision] || 0; });
+
+  return {
+    format: CARBON_REPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    extensionVersion: getExtensionVersion(),
+    generatedAt: new Date().toISOString(),
+    period: {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString()
+    },
+    totals: { ...toReportTotals(summary), decisions },
+    bySite: breakdown(entry => entry.site || 'chatgpt'),
+    // AI requests by model profile; lookups, local answers and dismissals by decision
+    byModel: breakdown(entry => (entry.decision === 'chatgpt' ? entry.model : entry.decision)),
+    methodology: {
+      scope: 'Electricity for inference and search on the provider side, converted at grid carbon intensity; '
+        + 'no embodied emissions, training or end-user devices. CO₂e is taken as CO₂ from electricity.',
+      figures: 'Each decision is costed when it is made: the option chosen (the measured reply when one was captured), '
+        + 'at the grid intensity for that hour. Avoided figures are the AI estimate minus what was used instead.',
+      constants: getMethodologyConstants()
+    }
+  };
+}
+
+// Longest id, label or model name an imported entry may carry
+const IMPORTED_TEXT_MAX_CHARS = 200;
+
+// Field cleaners for imported entries: each returns the value to keep, or
+// undefined when it has the wrong type
+const cleanNumber = value => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+const cleanText = value => (typeof value === 'string' && value.length <= IMPORTED_TEXT_MAX_CHARS ? value : undefined);
+const cleanTextOrNull = value => (value === null ? null : cleanText(value));
+const cleanId = value => (value === '' ? undefined : cleanText(value));
+const cleanBoolean = value => (typeof value === 'boolean' ? value : undefined);
+const cleanDecision = value => (KNOWN_DECISIONS.includes(value) ? value : undefined);
+
+// A cleaner for an object with the listed [field, cleaner, required] fields:
+// unlisted fields are left out, and a listed field that's missing (when
+// required) or fails its cleaner rejects the whole object
+function cleanObject(fields) {
+  return value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+    const cleaned = {};
+    for (const [field, clean, required] of fields) {
+      if (value[field] === undefined) {
+        if (required) return undefined;
+        continue;
+      }
+      const fieldValue = clean(value[field]);
+      if (fieldValue === undefined) return undefined;
+      cleaned[field] = fieldValue;
+    }
+    return cleaned;
+  };
+}
+
+const cleanScoredCost = cleanObject([
+  ['energyWh', cleanNumber, true],
+  ['carbonGrams', cleanNumber, true],
+  ['score', cleanNumber, true]
+]);
+
+// Every field createLedgerEntry writes, plus the measured reply and budget
+// override added later. These are what the dashboard and the exports read.
+// Prompts are handled separately (sanitizeImportedEntry).
+const cleanLedgerEntry = cleanObject([
+  ['id', cleanId, true],
+  ['timestamp', cleanNumber, true],
+  ['decision', cleanDecision, true],
+  ['site', cleanText, false],
+  ['complexity', cleanNumber, true],
+  ['estimatedTokens', cleanNumber, true],
+  ['contextTokens', cleanNumber, false],
+  ['attachmentTokens', cleanNumber, false],
+  ['model', cleanText, false],
+  ['requestType', cleanText, false],
+  ['gridMultiplier', cleanNumber, false],
+  ['gridRegion', cleanTextOrNull, false],
+  ['gridIntensitySource', cleanTextOrNull, false],
+  ['google', cleanScoredCost, true],
+  ['chatgpt', cleanScoredCost, true],
+  ['destination', cleanObject([
+    ['id', cleanText, false],
+    ['label', cleanText, true],
+    ['energyWh', cleanNumber, true],
+    ['carbonGrams', cleanNumber, true]
+  ]), false],
+  ['actual', cleanObject([
+    ['outputTokens', cleanNumber, true],
+    ['reasoningTokens', cleanNumber, false],
+    ['energyWh', cleanNumber, true],
+    ['carbonGrams', cleanNumber, true]
+  ]), false],
+  ['budgetOverride', cleanBoolean, false]
+]);
+
+// True when an imported entry has every field the dashboard and exports read,
+// each of the right type
+function isValidLedgerEntry(entry) {
+  return cleanLedgerEntry(entry) !== undefined;
+}
+
+// An imported entry reduced to the known fields, or null when it isn't
+// valid. Its prompt is kept only in 'redacted' mode, and scrubbed again here:
+// the other browser's patterns or settings may not have been these.
+async function sanitizeImportedEntry(entry, privacy = currentSettings.privacy) {
+  const cleaned = cleanLedgerEntry(entry);
+  if (!cleaned) return null;
+  if (privacy.mode !== 'redacted' || typeof entry.prompt !== 'string' || entry.prompt === '') return cleaned;
+
+  const redacted = redactPrompt(entry.prompt);
+  const keepsHash = redacted === entry.prompt && typeof entry.promptHash === 'string' && /^[0-9a-f]{64}$/.test(entry.promptHash);
+  return {
+    ...cleaned,
+    prompt: redacted.length > PROMPT_STORE_MAX_CHARS ? `${redacted.slice(0, PROMPT_STORE_MAX_CHARS)}…` : redacted,
+    promptHash: keepsHash ? entry.promptHash : await hashPrompt(redacted)
+  };
+}
+
+// Merge a JSON export (exportLedgerJson) into the stored ledger by id.
+// Throws when the file isn't one; returns { added, duplicates, invalid }.
+async function importLedger(data) {
+  if (!data || data.format !== LEDGER_EXPORT_FORMAT || !Array.isArray(data.entries)) {
+    throw new Error('not an EcoQuery history export');
+  }
+  if (data.formatVersion > EXPORT_FORMAT_VERSION) {
+    throw new Error(`it was exported by a newer EcoQuery (format ${data.formatVersion})`);
+  }
+  if (!isHistoryStored()) {
+    throw new Error('the privacy settings say to store nothing');
+  }
+
+  const sanitized = await Promise.all(data.entries.map(entry => sanitizeImportedEntry(entry)));
+  const valid = sanitized.filter(Boolean);
+  const merged = await requestLedgerChange({ op: 'add', entries: valid });
+  return { ...merged, invalid: data.entries.length - valid.length };
+}
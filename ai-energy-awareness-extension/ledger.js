@@ -0,0 +1,316 @@
+// ledger.js
+// Persistent record of every popup decision. Loaded both as a content script
+// (before content.js) and by the history dashboard and toolbar pop-up pages,
+// which read it directly, and by the background worker, which makes every write.
+
+const LEDGER_STORAGE_KEY = 'ecoqueryLedger';
+
+// Keep storage bounded; oldest entries are dropped first
+const LEDGER_MAX_ENTRIES = 10000;
+
+// Read every recorded decision (oldest first)
+async function loadLedger() {
+  const storage = getStorageArea('local');
+  if (!storage) return [];
+
+  try {
+    const result = await storage.get(LEDGER_STORAGE_KEY);
+    return Array.isArray(result[LEDGER_STORAGE_KEY]) ? result[LEDGER_STORAGE_KEY] : [];
+  } catch (error) {
+    console.warn('Could not read EcoQuery ledger:', error);
+    return [];
+  }
+}
+
+// Overwrite the stored ledger, minus whatever the privacy settings don't allow
+// (see applyLedgerPrivacy in privacy.js)
+async function saveLedger(entries) {
+  const storage = getStorageArea('local');
+  if (!storage) return false;
+
+  try {
+    await storage.set({ [LEDGER_STORAGE_KEY]: applyLedgerPrivacy(entries).slice(-LEDGER_MAX_ENTRIES) });
+    return true;
+  } catch (error) {
+    console.warn('Could not write EcoQuery ledger:', error);
+    return false;
+  }
+}
+
+// Build a ledger entry from the popup's energy data.
+// decision is one of 'google' (looked it up instead: Google, or the
+// destination given as { id, label, energyWh, carbonGrams }, see
+// destinations.js), 'local' (answered on the device, see local-answers.js; its
+// near-zero cost comes in as the destination too), 'chatgpt' (sent to the AI,
+// whichever site) or 'dismissed'.
+function createLedgerEntry(decision, energyData, envContext, destination = null) {
+  const multiplier = envContext ? envContext.intensityMultiplier : 1;
+
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: Date.now(),
+    decision,
+    site: getSiteAdapter().id,
+    complexity: energyData.chatgpt.complexity,
+    estimatedTokens: energyData.chatgpt.estimatedTokens,
+    contextTokens: energyData.chatgpt.contextTokens,
+    attachmentTokens: energyData.chatgpt.attachmentTokens,
+    model: energyData.chatgpt.model.id,
+    requestType: energyData.chatgpt.requestType.id,
+    gridMultiplier: multiplier,
+    gridRegion: envContext ? envContext.regionLabel : null,
+    gridIntensitySource: envContext ? envContext.intensitySource : null,
+    google: {
+      energyWh: energyData.google.energyWh,
+      carbonGrams: energyData.google.carbonGrams * multiplier,
+      score: energyData.google.score
+    },
+    chatgpt: {
+      energyWh: energyData.chatgpt.energyWh,
+      carbonGrams: energyData.chatgpt.carbonGrams * multiplier,
+      score: energyData.chatgpt.score
+    }
+  };
+
+  if (destination) {
+    entry.destination = {
+      id: destination.id,
+      label: destination.label,
+      energyWh: destination.energyWh,
+      carbonGrams: destination.carbonGrams * multiplier
+    };
+  }
+  return entry;
+}
+
+// Add entries whose id isn't in `existing` yet, keeping the result oldest
+// first. Returns { entries, added, duplicates }.
+function mergeLedgers(existing, incoming) {
+  const ids = new Set(existing.map(entry => entry.id));
+  const added = [];
+  incoming.forEach(entry => {
+    if (ids.has(entry.id)) return;
+    ids.add(entry.id);
+    added.push(entry);
+  });
+
+  const entries = existing.concat(added).sort((a, b) => a.timestamp - b.timestamp);
+  return { entries, added: added.length, duplicates: incoming.length - added.length };
+}
+
+// Every write is a read-modify-write of the whole ledger, so they all run one
+// at a time in the background worker: two tabs deciding at once, or a measured
+// reply landing while a new decision is recorded, would otherwise drop one.
+const IS_BACKGROUND_WORKER = typeof ServiceWorkerGlobalScope !== 'undefined';
+
+let ledgerWriteQueue = Promise.resolve();
+
+// Run task() once every earlier write in this context has finished
+function queueLedgerWrite(task) {
+  const result = ledgerWriteQueue.then(task);
+  ledgerWriteQueue = result.catch(() => {});
+  return result;
+}
+
+// Apply one change to the stored ledger, in turn:
+//   { op: 'add', entries }       resolves to { added, duplicates }
+//   { op: 'update', id, patch }  resolves to the updated entry, or null
+//   { op: 'wipe' }               deletes all stored data (see wipeAllData)
+// Rejects when the storage write fails.
+function applyLedgerChange(change) {
+  return queueLedgerWrite(async () => {
+    if (change.op === 'wipe') {
+      if (!(await wipeAllData())) throw new Error('the stored data could not be deleted');
+      return true;
+    }
+
+    const entries = await loadLedger();
+
+    if (change.op === 'add') {
+      const merged = mergeLedgers(entries, change.entries);
+      if (merged.added > 0 && !(await saveLedger(merged.entries))) throw new Error('the history could not be saved');
+      return { added: merged.added, duplicates: merged.duplicates };
+    }
+
+    if (change.op === 'update') {
+      const entry = entries.find(candidate => candidate.id === change.id);
+      if (!entry) return null;
+      Object.assign(entry, change.patch);
+      if (!(await saveLedger(entries))) throw new Error('the history could not be saved');
+      return entry;
+    }
+
+    throw new Error(`unknown ledger change "${change.op}"`);
+  });
+}
+
+// Have the background worker apply a change (see applyLedgerChange). Applied
+// here when this is the worker, or there's no extension messaging (tools).
+async function requestLedgerChange(change) {
+  const canMessage = typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage;
+  if (IS_BACKGROUND_WORKER || !canMessage) return applyLedgerChange(change);
+
+  const response = await chrome.runtime.sendMessage({ type: 'ledger-change', change });
+  if (!response || response.error) throw new Error(response ? response.error : 'no reply from the background worker');
+  return response.result;
+}
+
+// Append a single decision to the ledger, with the prompt when the privacy
+// mode keeps redacted prompts. Records nothing (and resolves to null) when
+// the user chose to store nothing or the write failed.
+async function recordDecision(decision, energyData, envContext, destination = null, prompt = '') {
+  if (!isHistoryStored()) return null;
+
+  const entry = {
+    ...createLedgerEntry(decision, energyData, envContext, destination),
+    ...(await getPromptFields(prompt))
+  };
+  try {
+    await requestLedgerChange({ op: 'add', entries: [entry] });
+    return entry;
+  } catch (error) {
+    console.warn('Could not record the decision:', error);
+    return null;
+  }
+}
+
+// Merge extra fields into an existing entry (e.g. the measured reply).
+// Resolves to null when the entry is gone or the write failed.
+async function updateLedgerEntry(id, patch) {
+  try {
+    return await requestLedgerChange({ op: 'update', id, patch });
+  } catch (error) {
+    console.warn('Could not update the decision:', error);
+    return null;
+  }
+}
+
+// Energy actually spent for an entry: whichever service the user went with.
+// AI entries use the measured reply when we have one. Dismissed popups spent nothing.
+function getEntryCost(entry) {
+  if (entry.decision === 'google' || entry.decision === 'local') return entry.destination || entry.google;
+  if (entry.decision === 'chatgpt') return entry.actual || entry.chatgpt;
+  return { energyWh: 0, carbonGrams: 0, score: 0 };
+}
+
+// Energy avoided by looking it up or answering it locally instead of asking the AI
+function getEntrySavings(entry) {
+  if (entry.decision !== 'google' && entry.decision !== 'local') return { energyWh: 0, carbonGrams: 0 };
+  const cost = getEntryCost(entry);
+  return {
+    energyWh: Math.max(0, entry.chatgpt.energyWh - cost.energyWh),
+    carbonGrams: Math.max(0, entry.chatgpt.carbonGrams - cost.carbonGrams)
+  };
+}
+
+// Aggregate totals for the entries recorded at or after `since` (ms timestamp)
+function summarizeLedger(entries, since = 0) {
+  const summary = {
+    queries: 0,
+    google: 0,
+    local: 0,
+    chatgpt: 0,
+    dismissed: 0,
+    energyWh: 0,
+    carbonGrams: 0,
+    savedEnergyWh: 0,
+    savedCarbonGrams: 0
+  };
+
+  entries.forEach(entry => {
+    if (entry.timestamp < since) return;
+
+    const cost = getEntryCost(entry);
+    const savings = getEntrySavings(entry);
+
+    summary.queries += 1;
+    summary[entry.decision] = (summary[entry.decision] || 0) + 1;
+    summary.energyWh += cost.energyWh;
+    summary.carbonGrams += cost.carbonGrams;
+    summary.savedEnergyWh += savings.energyWh;
+    summary.savedCarbonGrams += savings.carbonGrams;
+  });
+
+  return summary;
+}
+
+// Start-of-period timestamps (local time) used by the dashboard
+function getPeriodStart(period, now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  if (period === 'week') {
+    // Weeks start on Monday
+    const daysSinceMonday = (start.getDay() + 6) % 7;
+    start.setDate(start.getDate() - daysSinceMonday);
+  } else if (period === 'month') {
+    start.setDate(1);
+  }
+
+  return start.getTime();
+}
+
+// Start of the period after the current one (ms timestamp)
+function getNextPeriodStart(period, now = new Date()) {
+  const start = new Date(getPeriodStart(period, now));
+  if (period === 'week') start.setDate(start.getDate() + 7);
+  else if (period === 'month') start.setMonth(start.getMonth() + 1);
+  else start.setDate(start.getDate() + 1);
+  return start.getTime();
+}
+
+// Local calendar date as YYYY-MM-DD
+function formatLocalDate(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Group entries into per-day buckets for the last `days` days (oldest first)
+function groupLedgerByDay(entries, days = 30, now = new Date()) {
+  const buckets = [];
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  for (let i = days - 1; i >= 0; i--) {
+    const dayStart = new Date(today);
+    dayStart.setDate(today.getDate() - i);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayStart.getDate() + 1);
+
+    const dayEntries = entries.filter(entry =>
+      entry.timestamp >= dayStart.getTime() && entry.timestamp < dayEnd.getTime()
+    );
+
+    buckets.push({
+      date: dayStart,
+      ...summarizeLedger(dayEntries)
+    });
+  }
+
+  return buckets;
+}
+
+// How the extension pages show each decision
+const DECISION_COLORS = {
+  google: '#3b82f6',
+  local: '#f59e0b',
+  chatgpt: '#10b981',
+  dismissed: '#9ca3af'
+};
+
+// A decision's label in the UI language (pages that show it load i18n.js);
+// an unknown one shows as it is
+function getDecisionLabel(decision) {
+  return DECISION_COLORS[decision] ? uiText(`decision_${decision}`) : decision;
+}
+
+// Format Wh values, switching to kWh for large totals (in the UI language's
+// notation, so the pages that show them load i18n.js)
+function formatEnergy(wh) {
+  if (wh >= 1000) return `${formatNumber(wh / 1000, 2)} kWh`;
+  return `${formatNumber(wh, 2)} Wh`;
+}
+
+// Format grams of CO₂, switching to kg for large totals
+function formatCarbon(grams) {
+  if (grams >= 1000) return `${formatNumber(grams / 1000, 2)} kg CO₂`;
+  return `${formatNumber(grams, 2)} g CO₂`;
+}
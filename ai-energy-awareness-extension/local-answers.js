@@ -0,0 +1,562 @@
+// local-answers.js
+// Answers trivial queries on the device, with no network call: arithmetic
+// ("15% of 240"), unit conversions ("convert 5 miles to km"), time zones
+// ("what time is it in Tokyo") and date math ("days until December 25").
+// handleSendAttempt asks answerLocally() before the pop-up opens, and the
+// pop-up shows the answer at the top. English phrasing only; anything it
+// doesn't recognise returns null and goes through the usual estimate.
+
+// A few milliseconds of CPU on the user's machine (~10 W × 5 ms)
+const LOCAL_ANSWER_ENERGY_WH = 0.00001;
+
+// Significant digits kept in computed answers, so 0.1 + 0.2 shows as 0.3
+const LOCAL_ANSWER_PRECISION = 12;
+const LOCAL_ANSWER_MAX_DECIMALS = 6;
+
+// A number in the UI language's notation, with only the decimals it needs.
+// Integers that a double holds exactly keep every digit; anything too large
+// or too small to write out is shown as "1.071509 × 10^301" instead.
+function formatAnswerNumber(value) {
+  if (Number.isSafeInteger(value)) return formatNumber(value);
+
+  const magnitude = Math.abs(value);
+  if (magnitude >= 10 ** LOCAL_ANSWER_PRECISION || (magnitude > 0 && magnitude < 10 ** -LOCAL_ANSWER_MAX_DECIMALS)) {
+    const [mantissa, exponent] = value.toExponential(LOCAL_ANSWER_MAX_DECIMALS).split('e');
+    return `${formatAnswerNumber(Number(mantissa))} × 10^${Number(exponent)}`;
+  }
+
+  const rounded = Number(value.toPrecision(LOCAL_ANSWER_PRECISION));
+  const decimals = (String(rounded).split('.')[1] || '').length;
+  return formatNumber(rounded, Math.min(decimals, LOCAL_ANSWER_MAX_DECIMALS));
+}
+
+// --- Arithmetic ---
+
+// "what is", "calculate", ... in front of a sum
+const ARITHMETIC_PREFIX_PATTERN = /^(?:what(?:'s| is)|calculate|compute|how much is|solve|eval(?:uate)?)\s+/i;
+// "15% of 240" → "(15/100)*240" before parsing
+const PERCENT_OF_PATTERN = /(\d+(?:\.\d+)?)\s*%\s*of\s*/gi;
+
+// Split "2 × (3 + 4)^2" into numbers and operators; null if anything else is there
+function tokenizeArithmetic(text) {
+  const tokens = [];
+  const source = text
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/[×x]/g, '*')
+    .replace(/÷/g, '/');
+  const pattern = /\s*(\d+(?:\.\d+)?|\.\d+|[-+*/^()%])/y;
+
+  let match;
+  while (pattern.lastIndex < source.length) {
+    match = pattern.exec(source);
+    if (!match) return source.slice(pattern.lastIndex).trim() ? null : tokens;
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+// A term that is only a number or a bracket followed by %, as in "100 - 20%"
+function isPercentTerm(termTokens) {
+  if (termTokens.length < 2 || termTokens[termTokens.length - 1] !== '%') return false;
+  const operand = termTokens.slice(0, -1);
+  if (operand.length === 1) return /^[\d.]/.test(operand[0]);
+  if (operand[0] !== '(') return false;
+
+  let depth = 0;
+  return operand.every((token, index) => {
+    if (token === '(') depth++;
+    if (token === ')') depth--;
+    return depth > 0 || index === operand.length - 1;
+  });
+}
+
+// Recursive-descent evaluation (+ - * / ^, unary minus, postfix %, brackets).
+// Adding or taking off a percentage works like a calculator: "100 - 20%" is
+// 100 × (1 − 20/100) = 80, not 100 − 0.2. Returns NaN for anything malformed;
+// there's no eval() anywhere near user text.
+function evaluateArithmetic(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parsePrimary() {
+    const token = next();
+    if (token === '(') {
+      const value = parseExpression();
+      return next() === ')' ? value : NaN;
+    }
+    return token !== undefined && /^[\d.]/.test(token) ? Number(token) : NaN;
+  }
+
+  function parsePostfix() {
+    let value = parsePrimary();
+    while (peek() === '%') {
+      next();
+      value /= 100;
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') next();
+    return parsePostfix();
+  }
+
+  function parsePower() {
+    const base = parseUnary();
+    if (peek() !== '^') return base;
+    next();
+    return base ** parsePower();
+  }
+
+  function parseTerm() {
+    let value = parsePower();
+    while (peek() === '*' || peek() === '/') {
+      value = next() === '*' ? value * parsePower() : value / parsePower();
+    }
+    return value;
+  }
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      const sign = next() === '+' ? 1 : -1;
+      const start = position;
+      // A percent term is already divided by 100 (parsePostfix)
+      const term = parseTerm();
+      value = isPercentTerm(tokens.slice(start, position)) ? value * (1 + sign * term) : value + sign * term;
+    }
+    return value;
+  }
+
+  const result = parseExpression();
+  return position === tokens.length ? result : NaN;
+}
+
+function answerArithmetic(text) {
+  const expression = text.replace(ARITHMETIC_PREFIX_PATTERN, '').replace(/\s*[=?]\s*$/, '');
+  const tokens = tokenizeArithmetic(expression.replace(PERCENT_OF_PATTERN, '($1/100)*'));
+  // A lone number isn't a question
+  if (!tokens || !tokens.some(token => /^[-+*/^%]$/.test(token))) return null;
+  // Past 2^53 a typed integer is already rounded before any arithmetic runs
+  if (tokens.some(token => Number(token) > Number.MAX_SAFE_INTEGER)) return null;
+
+  const value = evaluateArithmetic(tokens);
+  if (!Number.isFinite(value)) return null;
+  return { kind: 'arithmetic', question: expression, answer: formatAnswerNumber(value) };
+}
+
+// --- Unit conversions ---
+
+// [dimension, size in the dimension's base unit, display label, ...aliases]
+const UNIT_DEFINITIONS = [
+  ['length', 0.001, 'mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'],
+  ['length', 0.01, 'cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'],
+  ['length', 1, 'm', 'meter', 'meters', 'metre', 'metres'],
+  ['length', 1000, 'km', 'kms', 'kilometer', 'kilometers', 'kilometre', 'kilometres'],
+  ['length', 0.0254, 'in', 'inch', 'inches'],
+  ['length', 0.3048, 'ft', 'foot', 'feet'],
+  ['length', 0.9144, 'yd', 'yard', 'yards'],
+  ['length', 1609.344, 'mi', 'mile', 'miles'],
+  ['mass', 0.000001, 'mg', 'milligram', 'milligrams'],
+  ['mass', 0.001, 'g', 'gram', 'grams'],
+  ['mass', 1, 'kg', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  ['mass', 1000, 't', 'tonne', 'tonnes'],
+  ['mass', 0.028349523125, 'oz', 'ounce', 'ounces'],
+  ['mass', 0.45359237, 'lb', 'lbs', 'pound', 'pounds'],
+  ['mass', 6.35029318, 'st', 'stone', 'stones'],
+  ['volume', 0.001, 'ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  ['volume', 1, 'l', 'liter', 'liters', 'litre', 'litres'],
+  ['volume', 0.00492892159375, 'tsp', 'teaspoon', 'teaspoons'],
+  ['volume', 0.01478676478125, 'tbsp', 'tablespoon', 'tablespoons'],
+  ['volume', 0.2365882365, 'cups', 'cup'],
+  ['volume', 0.473176473, 'pt', 'pint', 'pints'],
+  ['volume', 0.946352946, 'qt', 'quart', 'quarts'],
+  ['volume', 3.785411784, 'gal', 'gallon', 'gallons'],
+  ['speed', 1, 'm/s', 'meters per second', 'metres per second'],
+  ['speed', 1000 / 3600, 'km/h', 'kph', 'kmh', 'kilometers per hour', 'kilometres per hour'],
+  ['speed', 0.44704, 'mph', 'miles per hour'],
+  ['speed', 1852 / 3600, 'kn', 'knot', 'knots'],
+  ['data', 1, 'B', 'byte', 'bytes'],
+  ['data', 1e3, 'kB', 'kb', 'kilobyte', 'kilobytes'],
+  ['data', 1e6, 'MB', 'mb', 'megabyte', 'megabytes'],
+  ['data', 1e9, 'GB', 'gb', 'gigabyte', 'gigabytes'],
+  ['data', 1e12, 'TB', 'tb', 'terabyte', 'terabytes'],
+  ['energy', 1, 'J', 'joule', 'joules'],
+  ['energy', 4.184, 'cal', 'calorie', 'calories'],
+  ['energy', 4184, 'kcal', 'kilocalorie', 'kilocalories'],
+  ['energy', 3600, 'Wh', 'wh', 'watt hour', 'watt hours'],
+  ['energy', 3.6e6, 'kWh', 'kwh', 'kilowatt hour', 'kilowatt hours'],
+  ['time', 1, 's', 'sec', 'secs', 'second', 'seconds'],
+  ['time', 60, 'min', 'mins', 'minute', 'minutes'],
+  ['time', 3600, 'h', 'hr', 'hrs', 'hour', 'hours'],
+  ['time', 86400, 'd', 'day', 'days'],
+  ['time', 604800, 'wk', 'week', 'weeks'],
+  ['time', 31557600, 'yr', 'year', 'years']
+];
+
+// Temperatures aren't a plain ratio, so they convert through kelvin
+const TEMPERATURE_UNITS = {
+  '°C': { aliases: ['c', '°c', 'celsius', 'centigrade'], toKelvin: value => value + 273.15, fromKelvin: value => value - 273.15 },
+  '°F': { aliases: ['f', '°f', 'fahrenheit'], toKelvin: value => (value - 32) * 5 / 9 + 273.15, fromKelvin: value => (value - 273.15) * 9 / 5 + 32 },
+  K: { aliases: ['k', 'kelvin', 'kelvins'], toKelvin: value => value, fromKelvin: value => value }
+};
+
+// Lower-case alias → unit, built once
+const UNIT_ALIASES = new Map();
+UNIT_DEFINITIONS.forEach(([dimension, factor, label, ...aliases]) => {
+  [label, ...aliases].forEach(alias => {
+    UNIT_ALIASES.set(alias.toLowerCase(), { dimension, factor, label });
+  });
+});
+Object.entries(TEMPERATURE_UNITS).forEach(([label, unit]) => {
+  unit.aliases.forEach(alias => UNIT_ALIASES.set(alias, { dimension: 'temperature', label, ...unit }));
+});
+
+function findUnit(text) {
+  return UNIT_ALIASES.get(text.toLowerCase().replace(/^degrees?\s+/, '').replace(/\.$/, '').trim()) || null;
+}
+
+// "convert 5 miles to km", "5 km in miles", "how many cups in 2 liters"
+const CONVERSION_QUERY_PATTERN = /^(?:convert\s+)?(-?\d*\.?\d+)\s*([^\d\s].*?)\s+(?:to|in|into|as)\s+(.+?)\s*\??$/i;
+const HOW_MANY_PATTERN = /^how many\s+(.+?)\s+(?:are\s+)?(?:in|is|make)\s+(-?\d*\.?\d+)\s*(.+?)\s*\??$/i;
+
+function answerConversion(text) {
+  let amount;
+  let from;
+  let to;
+
+  const howMany = text.match(HOW_MANY_PATTERN);
+  const direct = text.match(CONVERSION_QUERY_PATTERN);
+  if (howMany) {
+    [amount, from, to] = [Number(howMany[2]), findUnit(howMany[3]), findUnit(howMany[1])];
+  } else if (direct) {
+    [amount, from, to] = [Number(direct[1]), findUnit(direct[2]), findUnit(direct[3])];
+  } else {
+    return null;
+  }
+  if (!from || !to || from.dimension !== to.dimension || !Number.isFinite(amount)) return null;
+
+  const value = from.dimension === 'temperature'
+    ? to.fromKelvin(from.toKelvin(amount))
+    : amount * from.factor / to.factor;
+  return {
+    kind: 'conversion',
+    question: `${formatAnswerNumber(amount)} ${from.label}`,
+    answer: `${formatAnswerNumber(value)} ${to.label}`
+  };
+}
+
+// --- Time zones ---
+
+// Cities people ask about, by IANA zone
+const CITY_TIME_ZONES = {
+  'utc': 'UTC',
+  'gmt': 'UTC',
+  'london': 'Europe/London',
+  'dublin': 'Europe/Dublin',
+  'lisbon': 'Europe/Lisbon',
+  'paris': 'Europe/Paris',
+  'berlin': 'Europe/Berlin',
+  'madrid': 'Europe/Madrid',
+  'rome': 'Europe/Rome',
+  'amsterdam': 'Europe/Amsterdam',
+  'stockholm': 'Europe/Stockholm',
+  'warsaw': 'Europe/Warsaw',
+  'athens': 'Europe/Athens',
+  'istanbul': 'Europe/Istanbul',
+  'moscow': 'Europe/Moscow',
+  'cairo': 'Africa/Cairo',
+  'lagos': 'Africa/Lagos',
+  'nairobi': 'Africa/Nairobi',
+  'johannesburg': 'Africa/Johannesburg',
+  'dubai': 'Asia/Dubai',
+  'mumbai': 'Asia/Kolkata',
+  'delhi': 'Asia/Kolkata',
+  'new delhi': 'Asia/Kolkata',
+  'bangalore': 'Asia/Kolkata',
+  'india': 'Asia/Kolkata',
+  'bangkok': 'Asia/Bangkok',
+  'jakarta': 'Asia/Jakarta',
+  'singapore': 'Asia/Singapore',
+  'hong kong': 'Asia/Hong_Kong',
+  'beijing': 'Asia/Shanghai',
+  'shanghai': 'Asia/Shanghai',
+  'china': 'Asia/Shanghai',
+  'taipei': 'Asia/Taipei',
+  'seoul': 'Asia/Seoul',
+  'tokyo': 'Asia/Tokyo',
+  'japan': 'Asia/Tokyo',
+  'sydney': 'Australia/Sydney',
+  'melbourne': 'Australia/Melbourne',
+  'perth': 'Australia/Perth',
+  'auckland': 'Pacific/Auckland',
+  'honolulu': 'Pacific/Honolulu',
+  'los angeles': 'America/Los_Angeles',
+  'la': 'America/Los_Angeles',
+  'san francisco': 'America/Los_Angeles',
+  'seattle': 'America/Los_Angeles',
+  'vancouver': 'America/Vancouver',
+  'denver': 'America/Denver',
+  'chicago': 'America/Chicago',
+  'mexico city': 'America/Mexico_City',
+  'toronto': 'America/Toronto',
+  'new york': 'America/New_York',
+  'nyc': 'America/New_York',
+  'boston': 'America/New_York',
+  'washington': 'America/New_York',
+  'miami': 'America/New_York',
+  'bogota': 'America/Bogota',
+  'lima': 'America/Lima',
+  'sao paulo': 'America/Sao_Paulo',
+  'são paulo': 'America/Sao_Paulo',
+  'buenos aires': 'America/Argentina/Buenos_Aires'
+};
+
+// "what time is it in Tokyo", "current time in London"
+const CURRENT_TIME_PATTERN = /^(?:what(?:'s| is)?\s+)?(?:the\s+)?(?:current\s+)?(?:local\s+)?time\s+(?:is it\s+)?(?:right\s+)?(?:now\s+)?in\s+(.+?)\s*(?:right now|now)?\s*\??$/i;
+// "3pm London to Tokyo", "9:30 in New York in Paris"
+const TIME_CONVERSION_PATTERN = /^(?:what(?:'s| is)\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s+(?:in\s+)?(.+?)\s+(?:to|in)\s+(.+?)\s*(?:time)?\s*\??$/i;
+
+function findTimeZone(place) {
+  return CITY_TIME_ZONES[place.toLowerCase().replace(/^the\s+/, '').replace(/\s+time$/, '').trim()] || null;
+}
+
+// City name as the user would write it
+function formatPlace(place) {
+  return place.trim().replace(/\b\p{L}/gu, letter => letter.toUpperCase());
+}
+
+// Minutes the zone is ahead of UTC at the given instant
+function getTimeZoneOffsetMinutes(timeZone, date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+  return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+function formatTimeInZone(date, timeZone) {
+  return new Intl.DateTimeFormat(uiLocale.replace('_', '-'), {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(date);
+}
+
+function answerTimeZone(text, now) {
+  const current = text.match(CURRENT_TIME_PATTERN);
+  if (current) {
+    const timeZone = findTimeZone(current[1]);
+    if (!timeZone) return null;
+    return { kind: 'timezone', question: formatPlace(current[1]), answer: formatTimeInZone(now, timeZone) };
+  }
+
+  const conversion = text.match(TIME_CONVERSION_PATTERN);
+  if (!conversion) return null;
+  const [, hourText, minuteText, meridiem, fromPlace, toPlace] = conversion;
+  const fromZone = findTimeZone(fromPlace);
+  const toZone = findTimeZone(toPlace);
+  let hour = Number(hourText);
+  const minute = Number(minuteText || 0);
+  if (!fromZone || !toZone || hour > 23 || minute > 59 || (meridiem && (hour < 1 || hour > 12))) return null;
+  if (meridiem) hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+
+  // That wall-clock time today in the first zone, as an instant
+  const offset = getTimeZoneOffsetMinutes(fromZone, now);
+  const todayThere = new Date(now.getTime() + offset * 60000);
+  const instant = new Date(Date.UTC(todayThere.getUTCFullYear(), todayThere.getUTCMonth(), todayThere.getUTCDate(), hour, minute) - offset * 60000);
+
+  return {
+    kind: 'timezone',
+    question: `${formatTimeInZone(instant, fromZone)} ${formatPlace(fromPlace)}`,
+    answer: `${formatTimeInZone(instant, toZone)} ${formatPlace(toPlace)}`
+  };
+}
+
+// --- Date math ---
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+// Fixed-date holidays, as [month index, day]
+const NAMED_DATES = {
+  'christmas': [11, 25],
+  'christmas day': [11, 25],
+  'christmas eve': [11, 24],
+  'new year': [0, 1],
+  'new years': [0, 1],
+  "new year's": [0, 1],
+  "new year's day": [0, 1],
+  "new year's eve": [11, 31],
+  'halloween': [9, 31],
+  "valentine's day": [1, 14],
+  'valentines day': [1, 14]
+};
+
+const DAY_MS = 86400000;
+
+// Local midnight of a date
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function getMonthIndex(name) {
+  return MONTH_NAMES.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+// The local date, or null when that day doesn't exist ("february 30", "2025-13-01")
+function makeCalendarDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+// A calendar date in the text, or null. Without a year, the next time it comes round.
+function parseDate(text, now) {
+  const value = text.trim().toLowerCase().replace(/^the\s+/, '').replace(/[?.!]$/, '');
+  const today = startOfDay(now);
+
+  if (value === 'today' || value === 'now') return today;
+  if (value === 'tomorrow') return new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+  if (value === 'yesterday') return new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+
+  // February 29 can be up to four years off
+  const upcoming = (month, day, year) => {
+    if (year !== undefined) return makeCalendarDate(year, month, day);
+    for (let candidate = today.getFullYear(); candidate <= today.getFullYear() + 4; candidate++) {
+      const date = makeCalendarDate(candidate, month, day);
+      if (date && date >= today) return date;
+    }
+    return null;
+  };
+
+  const named = value.match(/^(.+?)(?:\s+(\d{4}))?$/);
+  if (NAMED_DATES[named[1]]) {
+    const [month, day] = NAMED_DATES[named[1]];
+    return upcoming(month, day, named[2] ? Number(named[2]) : undefined);
+  }
+
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return makeCalendarDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  match = value.match(new RegExp(`^${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?$`));
+  if (match) return upcoming(getMonthIndex(match[1]), Number(match[2]), match[3] ? Number(match[3]) : undefined);
+
+  match = value.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?$`));
+  if (match) return upcoming(getMonthIndex(match[2]), Number(match[1]), match[3] ? Number(match[3]) : undefined);
+
+  return null;
+}
+
+// Whole days from one local date to another (DST-safe)
+function daysBetween(from, to) {
+  return Math.round((Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) - Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / DAY_MS);
+}
+
+// Move a date by an amount of days / weeks / months / years
+function shiftDate(date, amount, unit) {
+  const shifted = new Date(date);
+  if (unit.startsWith('day')) shifted.setDate(shifted.getDate() + amount);
+  else if (unit.startsWith('week')) shifted.setDate(shifted.getDate() + amount * 7);
+  else if (unit.startsWith('month')) shifted.setMonth(shifted.getMonth() + amount);
+  else shifted.setFullYear(shifted.getFullYear() + amount);
+  return shifted;
+}
+
+function formatAnswerDate(date) {
+  return new Intl.DateTimeFormat(uiLocale.replace('_', '-'), { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }).format(date);
+}
+
+// "what's the date today", "what day is it"
+const TODAY_PATTERN = /^(?:what(?:'s| is)\s+)?(?:the\s+)?(?:date|day)(?:\s+is\s+it)?(?:\s+today)?\s*\??$|^today'?s date\??$|^what day is it(?:\s+today)?\??$/i;
+// "days until christmas", "how many days until 2026-03-01", "how long until march 3"
+const DAYS_UNTIL_PATTERN = /^(?:how many\s+)?(?:days|how long)\s+(?:until|till|to|before)\s+(.+?)\s*\??$/i;
+// "days between 1 march and 2 june", "how many days from jan 1 to today"
+const DAYS_BETWEEN_PATTERN = /^(?:how many\s+)?days\s+(?:between|from)\s+(.+?)\s+(?:and|to|until)\s+(.+?)\s*\??$/i;
+// "what's the date 30 days from now", "in 3 weeks", "90 days ago", "2 months from march 3"
+const DATE_SHIFT_PATTERN = /^(?:what(?:'s| is)\s+(?:the\s+)?(?:date|day)\s+(?:will it be\s+)?)?(?:(?:date\s+)?in\s+)?(\d+)\s+(days?|weeks?|months?|years?)\s*(from now|from today|from\s+(.+?)|ago|later)?\s*\??$/i;
+// "what day of the week was july 20 1969"
+const WEEKDAY_PATTERN = /^(?:what\s+)?day(?:\s+of\s+the\s+week)?\s+(?:is|was|will be|falls on)\s+(.+?)\s*\??$/i;
+
+function answerDateMath(text, now) {
+  if (TODAY_PATTERN.test(text)) {
+    return { kind: 'date', question: uiText('localAnswerToday'), answer: formatAnswerDate(now) };
+  }
+
+  let match = text.match(DAYS_BETWEEN_PATTERN);
+  if (match) {
+    const from = parseDate(match[1], now);
+    const to = parseDate(match[2], now);
+    if (!from || !to) return null;
+    return {
+      kind: 'date',
+      question: `${formatAnswerDate(from)} → ${formatAnswerDate(to)}`,
+      answer: uiText('localAnswerDays', formatNumber(Math.abs(daysBetween(from, to))))
+    };
+  }
+
+  match = text.match(DAYS_UNTIL_PATTERN);
+  if (match) {
+    const target = parseDate(match[1], now);
+    if (!target) return null;
+    const days = daysBetween(startOfDay(now), target);
+    return {
+      kind: 'date',
+      question: formatAnswerDate(target),
+      answer: uiText(days < 0 ? 'localAnswerDaysAgo' : 'localAnswerDaysUntil', formatNumber(Math.abs(days)))
+    };
+  }
+
+  match = text.match(DATE_SHIFT_PATTERN);
+  if (match && (match[3] || /^(?:what|date|in)\b/i.test(text))) {
+    const from = match[4] ? parseDate(match[4], now) : startOfDay(now);
+    if (!from) return null;
+    const amount = Number(match[1]) * (match[3] && match[3].toLowerCase() === 'ago' ? -1 : 1);
+    return {
+      kind: 'date',
+      question: text.replace(/^what(?:'s| is)\s+(?:the\s+)?(?:date|day)\s+(?:will it be\s+)?/i, '').replace(/\?$/, ''),
+      answer: formatAnswerDate(shiftDate(from, amount, match[2].toLowerCase()))
+    };
+  }
+
+  match = text.match(WEEKDAY_PATTERN);
+  if (match) {
+    const date = parseDate(match[1], now);
+    if (!date) return null;
+    return { kind: 'date', question: match[1], answer: formatAnswerDate(date) };
+  }
+
+  return null;
+}
+
+// The answer to a trivial query, worked out here: { kind, question, answer }
+// where kind is 'arithmetic', 'conversion', 'timezone' or 'date' and question
+// restates what was understood. null when it needs a search or the AI.
+function answerLocally(query, now = new Date()) {
+  const text = query.trim().replace(/\s+/g, ' ');
+  if (!text || text.length > 120) return null;
+
+  try {
+    return answerArithmetic(text)
+      || answerConversion(text)
+      || answerTimeZone(text, now)
+      || answerDateMath(text, now);
+  } catch (error) {
+    // Intl rejecting a zone or locale shouldn't break sending
+    console.warn('Local answer failed:', error);
+    return null;
+  }
+}
@@ -0,0 +1,265 @@
+// models.js
+// Registry of per-model energy profiles and detection of the model currently
+// selected in the chat site's model picker (see site-adapters.js).
+//
+// Every profile has the same shape:
+//   baseEnergyWh              fixed cost per request (Wh)
+//   energyPerInputToken       prompt / prefill cost (Wh per token)
+//   energyPerToken            visible output / decode cost (Wh per token)
+//   reasoningTokenMultiplier  hidden reasoning tokens generated per visible output token
+//   match                     regex tested against the model picker label
+//   source                    where the figures come from
+//
+// Figures are order-of-magnitude estimates, not measurements.
+
+const MODEL_PROFILES = {
+  'gpt-4': {
+    id: 'gpt-4',
+    label: 'GPT-4',
+    // Original EcoQuery calibration: ≈60 × a Google search for a 500-token reply (~2.5 Wh)
+    baseEnergyWh: 0.5,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.0004,
+    energyPerToken: 0.004,
+    reasoningTokenMultiplier: 0,
+    match: /gpt-?4(?!o|\.1)|legacy/i,
+    description: "GPT-4 style inference",
+    source: "2025 estimate of ≈60× a Google search per ChatGPT query"
+  },
+  'gpt-4o': {
+    id: 'gpt-4o',
+    label: 'GPT-4o',
+    baseEnergyWh: 0.05,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.00005,
+    energyPerToken: 0.0005,
+    reasoningTokenMultiplier: 0,
+    match: /4o|gpt-?4\.1|gpt-?5(?!.*thinking)/i,
+    description: "4o-class inference",
+    source: "Epoch AI (2025), \"How much energy does ChatGPT use?\" — ≈0.3 Wh for a typical GPT-4o reply"
+  },
+  'gpt-4o-mini': {
+    id: 'gpt-4o-mini',
+    label: 'GPT-4o mini',
+    baseEnergyWh: 0.02,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.00001,
+    energyPerToken: 0.0001,
+    reasoningTokenMultiplier: 0,
+    match: /mini|nano/i,
+    description: "Small-model inference",
+    source: "Jegham et al. (2025), \"How Hungry is AI?\" — mini models draw a fraction of 4o per query"
+  },
+  reasoning: {
+    id: 'reasoning',
+    label: 'Reasoning (o-series / Thinking)',
+    baseEnergyWh: 0.3,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.0004,
+    energyPerToken: 0.004,
+    reasoningTokenMultiplier: 4,
+    match: /\bo[1-9](-pro)?\b|think|reason/i,
+    description: "Reasoning inference with hidden chain-of-thought",
+    source: "Jegham et al. (2025), \"How Hungry is AI?\" — reasoning models use several × more energy per query"
+  },
+  'claude-sonnet': {
+    id: 'claude-sonnet',
+    label: 'Claude Sonnet',
+    baseEnergyWh: 0.1,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.0001,
+    energyPerToken: 0.001,
+    reasoningTokenMultiplier: 0,
+    match: /sonnet|claude/i,
+    description: "Frontier-class inference",
+    source: "No vendor disclosure; scaled up from 4o-class estimates (Epoch AI, 2025)"
+  },
+  'claude-opus': {
+    id: 'claude-opus',
+    label: 'Claude Opus',
+    baseEnergyWh: 0.3,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.0003,
+    energyPerToken: 0.003,
+    reasoningTokenMultiplier: 0,
+    match: /opus/i,
+    description: "Largest-model inference",
+    source: "No vendor disclosure; assumed ≈3× Claude Sonnet, mirroring the price ratio"
+  },
+  'claude-haiku': {
+    id: 'claude-haiku',
+    label: 'Claude Haiku',
+    baseEnergyWh: 0.02,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.00001,
+    energyPerToken: 0.0001,
+    reasoningTokenMultiplier: 0,
+    match: /haiku/i,
+    description: "Small-model inference",
+    source: "No vendor disclosure; assumed comparable to GPT-4o mini"
+  },
+  'gemini-flash': {
+    id: 'gemini-flash',
+    label: 'Gemini Flash',
+    baseEnergyWh: 0.04,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.00002,
+    energyPerToken: 0.0004,
+    reasoningTokenMultiplier: 0,
+    match: /flash/i,
+    description: "Fast-model inference",
+    source: "Google (2025), \"Measuring the environmental impact of AI inference\" — median Gemini Apps text prompt ≈0.24 Wh"
+  },
+  'gemini-pro': {
+    id: 'gemini-pro',
+    label: 'Gemini Pro',
+    baseEnergyWh: 0.1,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.0001,
+    energyPerToken: 0.001,
+    reasoningTokenMultiplier: 1,
+    match: /pro|deep think/i,
+    description: "Thinking-model inference",
+    source: "Scaled up from Google's 0.24 Wh median prompt (2025) for a larger model that thinks before answering"
+  },
+  perplexity: {
+    id: 'perplexity',
+    label: 'Perplexity (search + answer)',
+    baseEnergyWh: 0.3,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.0001,
+    energyPerToken: 0.001,
+    reasoningTokenMultiplier: 0,
+    match: /./,
+    description: "Search-augmented inference",
+    source: "Several web searches plus a 4o-class answer over the retrieved pages (no vendor disclosure)"
+  },
+  copilot: {
+    id: 'copilot',
+    label: 'Microsoft Copilot',
+    baseEnergyWh: 0.1,
+    tokensPerQuery: 500,
+    energyPerInputToken: 0.00005,
+    energyPerToken: 0.0005,
+    reasoningTokenMultiplier: 0,
+    match: /./,
+    description: "4o-class inference with Bing grounding",
+    source: "GPT-4o-class figures (Epoch AI, 2025) plus a web search for grounding"
+  },
+  // Not a chat site: the summary Google generates on top of some search results
+  'google-ai-overview': {
+    id: 'google-ai-overview',
+    label: 'Google AI Overview',
+    baseEnergyWh: 0.04,
+    tokensPerQuery: 250,
+    energyPerInputToken: 0.00002,
+    energyPerToken: 0.0004,
+    reasoningTokenMultiplier: 0,
+    match: /ai overview/i,
+    description: "Fast-model inference on top of a search",
+    source: "Assumed Gemini Flash-class; Google (2025) puts the median Gemini Apps text prompt at ≈0.24 Wh"
+  }
+};
+
+// Used when the picker can't be read or shows a model we don't know
+const DEFAULT_MODEL_ID = 'gpt-4';
+
+// Work done on top of text inference for requests that aren't plain chat (see
+// calculateRequestTypeEnergy in energy.js). Detected from the composer's
+// selected tool (toolMatch, tested against the tool chip's label) or else the
+// prompt wording (match). responseTokenMultiplier scales the expected text reply.
+const REQUEST_TYPE_PROFILES = {
+  text: {
+    id: 'text',
+    label: 'Text',
+    responseTokenMultiplier: 1,
+    description: "Plain text inference",
+    source: ""
+  },
+  'image-generation': {
+    id: 'image-generation',
+    label: 'Image generation',
+    energyPerImageWh: 2.9,
+    imagesPerRequest: 1,
+    // The chat reply around a generated image is a sentence or two
+    responseTokenMultiplier: 0.1,
+    match: /\b(draw|sketch|paint|illustrate)\b|\b(generate|create|make|render|design)\b.{0,30}\b(image|picture|photo|illustration|logo|icon|drawing|painting|wallpaper)s?\b/i,
+    toolMatch: /image/i,
+    description: "Diffusion image model",
+    source: "Luccioni et al. (2024), \"Power Hungry Processing\" — ≈2.9 Wh per generated image (SDXL-class)"
+  },
+  voice: {
+    id: 'voice',
+    label: 'Voice',
+    // Speech recognition of the prompt plus speech synthesis of the reply
+    energyPerAudioSecondWh: 0.002,
+    wordsPerSecond: 2.5,
+    // Spoken replies are kept shorter than written ones
+    responseTokenMultiplier: 0.5,
+    toolMatch: /voice|dictat/i,
+    description: "Speech recognition + synthesis around text inference",
+    source: "Rough estimate for Whisper-class transcription and neural TTS on a data-centre GPU"
+  },
+  browsing: {
+    id: 'browsing',
+    label: 'Web search',
+    searchesPerRequest: 3,
+    // Retrieved page text added to the prompt for each search
+    pageTokensPerSearch: 2000,
+    responseTokenMultiplier: 1,
+    match: /\b(search (the )?(web|internet|online)|browse the web|look (it|this) up online|latest news|news (about|on)|today'?s (news|weather|prices?)|with sources|cite (your )?sources)\b/i,
+    toolMatch: /search|web/i,
+    description: "Text inference grounded on a few web searches",
+    source: "Each search at the Google-search figure, plus the retrieved pages charged as prompt tokens"
+  },
+  'deep-research': {
+    id: 'deep-research',
+    label: 'Deep research',
+    searchesPerRequest: 30,
+    pageTokensPerSearch: 2000,
+    // Long reports, planned and revised over many reasoning steps
+    responseTokenMultiplier: 4,
+    reasoningTokenMultiplier: 4,
+    match: /\bdeep research\b|\b(comprehensive|in-depth) (research )?report\b|\bliterature review\b/i,
+    toolMatch: /deep research|research/i,
+    description: "Multi-step agentic research with dozens of searches",
+    source: "Assumed ~30 searches and a reasoning model writing a long report; no vendor disclosure"
+  }
+};
+
+// Composer tools are checked in this order, most expensive first
+const REQUEST_TYPE_MATCH_ORDER = ['deep-research', 'image-generation', 'browsing', 'voice'];
+
+// Read the model name shown in the picker (or the ?model= URL parameter)
+function detectSelectedModelLabel(adapter = getSiteAdapter()) {
+  for (const selector of adapter.modelPickerSelectors) {
+    const picker = document.querySelector(selector);
+    if (!picker) continue;
+
+    const label = (picker.innerText || picker.getAttribute('aria-label') || '').trim();
+    if (label) return label;
+  }
+
+  try {
+    const urlModel = new URLSearchParams(window.location.search).get('model');
+    if (urlModel) return urlModel;
+  } catch (error) {
+    console.warn('Could not read model from URL:', error);
+  }
+
+  return '';
+}
+
+// Match a picker label against the profiles a site offers
+function findModelProfile(label, modelIds = SITE_ADAPTERS.chatgpt.modelIds) {
+  if (!label) return null;
+
+  // Order matters: o-series labels like "o4-mini" are reasoning models, so they match before "mini"
+  const id = modelIds.find(candidate => MODEL_PROFILES[candidate].match.test(label));
+  return id ? MODEL_PROFILES[id] : null;
+}
+
+// Profile for whichever model the user has selected right now
+function getActiveModelProfile(adapter = getSiteAdapter()) {
+  return findModelProfile(detectSelectedModelLabel(adapter), adapter.modelIds) || MODEL_PROFILES[adapter.defaultModelId];
+}
@@ -0,0 +1,434 @@
+// options.js
+// Options page: edit, validate, reset, import and export the coefficients in
+// settings.js, check on team sync and wipe stored data.
+
+const GENERAL_FIELDS = [
+  { key: 'googleBaseEnergyWh', label: 'Google search energy', unit: 'Wh per search', step: 'any' },
+  { key: 'gridIntensityGPerKwh', label: 'Custom grid carbon intensity', unit: 'g CO₂ / kWh — used when region is "Custom"', step: '1' },
+  { key: 'solarMultiplier', label: 'Custom solar-peak multiplier', unit: '× grid intensity, 10:00–16:00', step: 'any' },
+  { key: 'peakMultiplier', label: 'Custom evening-peak multiplier', unit: '× grid intensity, 18:00–22:00', step: 'any' }
+];
+
+const MODEL_FIELDS = [
+  { key: 'baseEnergyWh', label: 'Base inference', unit: 'Wh per request' },
+  { key: 'energyPerInputToken', label: 'Prompt (prefill) token', unit: 'Wh per token' },
+  { key: 'energyPerToken', label: 'Response (decode) token', unit: 'Wh per token' },
+  { key: 'reasoningTokenMultiplier', label: 'Hidden reasoning tokens', unit: 'per visible output token' }
+];
+
+const LIVE_GRID_TEXT_FIELDS = [
+  { key: 'endpoint', label: 'Endpoint', unit: 'http(s) URL; {zone} is replaced with the zone', type: 'text' },
+  { key: 'apiToken', label: 'API token', unit: 'Sent in the header below; kept in this browser only, never synced or exported', type: 'password' },
+  { key: 'tokenHeader', label: 'Token header', unit: 'e.g. auth-token (Electricity Maps) or Authorization', type: 'text' },
+  { key: 'valuePath', label: 'Value path', unit: 'Dotted path to g CO₂/kWh in the JSON, e.g. carbonIntensity', type: 'text' },
+  { key: 'zone', label: 'Zone override', unit: 'Zone id such as DE or US-CAL-CISO; leave empty to use the grid region\'s zone', type: 'text' }
+];
+
+const LIVE_GRID_NUMBER_FIELDS = [
+  { key: 'timeoutMs', label: 'Timeout', unit: 'milliseconds before falling back', step: '100' },
+  { key: 'cacheMinutes', label: 'Cache lifetime', unit: 'minutes a reading is reused', step: '1' }
+];
+
+// Inputs that map onto settings paths, whatever their type
+const SETTING_INPUT_SELECTOR = 'input[name], select[name]';
+
+const form = document.getElementById('settings-form');
+const statusElement = document.getElementById('status');
+
+// Render one number input bound to a settings path like "models.gpt-4o.energyPerToken"
+function renderField(path, label, unit, step = 'any') {
+  return `
+    <label>
+      ${label}
+      <input type="number" name="${path}" step="${step}" min="0" required>
+      <small>${unit}</small>
+    </label>
+  `;
+}
+
+// Interaction mode picker plus the threshold it uses, and the pop-up's language
+function renderInteractionFields() {
+  const options = Object.keys(INTERACTION_MODES).map(id => `<option value="${id}">${INTERACTION_MODES[id]}</option>`);
+  const languages = Object.keys(UI_LANGUAGES).map(id => `<option value="${id}">${UI_LANGUAGES[id]}</option>`);
+
+  return `
+    <label>
+      Interaction mode
+      <select name="interactionMode">${options.join('')}</select>
+      <small>What happens when you press Enter or Send</small>
+    </label>
+    ${renderField('thresholdScore', 'Pop-up threshold', 'Threshold mode: AI score (1–6) above which the pop-up opens', '1')}
+    ${renderCheckboxField('liveMeter', 'Live estimate while typing', 'Wh, g CO₂ and score above the prompt box as you type')}
+    <label>
+      Language
+      <select name="uiLanguage">${languages.join('')}</select>
+      <small>Text and number format in the pop-up, live estimate, Google banner and history labels; overrides the browser language</small>
+    </label>
+  `;
+}
+
+// Render one on / off switch bound to a settings path
+function renderCheckboxField(path, label, unit) {
+  return `
+    <label>
+      ${label}
+      <input type="checkbox" name="${path}">
+      <small>${unit}</small>
+    </label>
+  `;
+}
+
+// Region picker: auto-guess, every bundled region, or the custom figures
+function renderRegionField() {
+  const guess = GRID_REGIONS[guessRegionFromTimezone()];
+  const options = [
+    `<option value="auto">Auto-detect from timezone (${guess.label})</option>`,
+    ...Object.keys(GRID_REGIONS).map(id =>
+      `<option value="${id}">${GRID_REGIONS[id].label} — ${GRID_REGIONS[id].averageGPerKwh} g CO₂/kWh avg</option>`
+    ),
+    '<option value="custom">Custom (figures below)</option>'
+  ];
+
+  return `
+    <label>
+      Grid region
+      <select name="gridRegion">${options.join('')}</select>
+      <small>Hourly and monthly profile used for carbon figures</small>
+    </label>
+  `;
+}
+
+// Render one text input bound to a settings path
+function renderTextField(path, label, unit, type = 'text') {
+  return `
+    <label>
+      ${label}
+      <input type="${type}" name="${path}" autocomplete="off" spellcheck="false">
+      <small>${unit}</small>
+    </label>
+  `;
+}
+
+// Provider picker plus its connection fields
+function renderLiveGridFields() {
+  const providers = [
+    '<option value="none">Off — bundled estimates only</option>',
+    ...Object.keys(GRID_PROVIDERS).map(id => `<option value="${id}">${GRID_PROVIDERS[id].label}</option>`)
+  ];
+
+  return `
+    <label>
+      Provider
+      <select name="liveGrid.provider">${providers.join('')}</select>
+      <small>"Local mock" reads a bundled fixture; no network needed</small>
+    </label>
+    ${LIVE_GRID_TEXT_FIELDS.map(field => renderTextField(`liveGrid.${field.key}`, field.label, field.unit, field.type)).join('')}
+    ${LIVE_GRID_NUMBER_FIELDS.map(field => renderField(`liveGrid.${field.key}`, field.label, field.unit, field.step)).join('')}
+  `;
+}
+
+// Every bundled destination's switch and figure, then the team's own destination
+function renderRoutingFields() {
+  const bundled = Object.values(DESTINATIONS).map(destination => `
+    ${renderCheckboxField(`routing.destinations.${destination.id}.enabled`, `Offer ${destination.label}`, `For ${destination.intents.map(intent => ROUTE_INTENTS[intent].toLowerCase()).join(', ')}`)}
+    ${destination.energyWh === null ? '' : renderField(`routing.destinations.${destination.id}.energyWh`, `${destination.label} energy`, `Wh per page view — default: ${destination.source}`)}
+  `);
+
+  return `
+    ${bundled.join('')}
+    ${renderTextField('routing.custom.label', 'Team destination name', 'e.g. Team wiki')}
+    ${renderTextField('routing.custom.url', 'Team destination URL', 'http(s) URL with {query} (whole query) or {term} (the word or topic)')}
+    ${renderField('routing.custom.energyWh', 'Team destination energy', 'Wh per page view')}
+    ${Object.keys(ROUTE_INTENTS).map(intent => renderCheckboxField(`routing.custom.intents.${intent}`, `Team destination: ${ROUTE_INTENTS[intent].toLowerCase()}`, 'Offer it for this kind of lookup')).join('')}
+  `;
+}
+
+// Budget switch, what it counts over which period, and the two limits
+function renderBudgetFields() {
+  const periods = Object.keys(BUDGET_PERIODS).map(id => `<option value="${id}">${BUDGET_PERIODS[id]}</option>`);
+  const metrics = Object.keys(BUDGET_METRICS).map(id => `<option value="${id}">${BUDGET_METRICS[id]}</option>`);
+  const scopes = Object.keys(BUDGET_SCOPES).map(id => `<option value="${id}">${BUDGET_SCOPES[id]}</option>`);
+
+  return `
+    ${renderCheckboxField('budget.enabled', 'Track a budget', 'Progress and warnings in the pop-up and the live estimate')}
+    <label>
+      Period
+      <select name="budget.period">${periods.join('')}</select>
+      <small>Budgets reset at local midnight</small>
+    </label>
+    <label>
+      Budget counts
+      <select name="budget.metric">${metrics.join('')}</select>
+      <small>Only the matching limit below applies</small>
+    </label>
+    <label>
+      Usage counted
+      <select name="budget.scope">${scopes.join('')}</select>
+      <small>A team budget adds up everyone's synced totals; the limits are then for the whole team</small>
+    </label>
+    ${renderField('budget.energyWh', 'Energy budget', 'Wh per period')}
+    ${renderField('budget.carbonGrams', 'CO₂ budget', 'g CO₂ per period, at the grid intensity when each query was sent')}
+    ${renderCheckboxField('budget.hardStop', 'Hard stop', 'Once the budget is used up, AI sends need an explicit override in the pop-up')}
+  `;
+}
+
+// Team sync switch, where reports go and under which names
+function renderTeamSyncFields() {
+  return `
+    ${renderCheckboxField('teamSync.enabled', 'Send daily totals to my team', 'Off by default; nothing leaves this browser until you turn it on')}
+    ${renderTextField('teamSync.endpoint', 'Endpoint', 'http(s) URL reports are POSTed to, or "mock" to keep them here')}
+    ${renderTextField('teamSync.apiToken', 'API token', 'Sent as a Bearer token; kept in this browser only, never synced or exported', 'password')}
+    ${renderTextField('teamSync.team', 'Team', 'Name the server groups reports under')}
+    ${renderTextField('teamSync.alias', 'Leaderboard alias', 'Optional; without it the team only sees a random id')}
+    ${renderField('teamSync.intervalMinutes', 'Interval', 'minutes between reports (5–1440)', '1')}
+  `;
+}
+
+// What's stored about each query, and for how long
+function renderPrivacyFields() {
+  const modes = Object.keys(PRIVACY_MODES).map(id => `<option value="${id}">${PRIVACY_MODES[id]}</option>`);
+
+  return `
+    <label>
+      Store
+      <select name="privacy.mode">${modes.join('')}</select>
+      <small>Choosing "store nothing" deletes the history and calibration already stored; leaving "redacted prompts" deletes the stored prompts</small>
+    </label>
+    ${renderField('privacy.retentionDays', 'Keep history for', 'days; 0 keeps it until the 10,000 most recent decisions', '1')}
+  `;
+}
+
+function renderForm() {
+  document.getElementById('interaction-fields').innerHTML = renderInteractionFields();
+  document.getElementById('live-grid-fields').innerHTML = renderLiveGridFields();
+  document.getElementById('routing-fields').innerHTML = renderRoutingFields();
+  document.getElementById('budget-fields').innerHTML = renderBudgetFields();
+  document.getElementById('team-sync-fields').innerHTML = renderTeamSyncFields();
+  document.getElementById('privacy-fields').innerHTML = renderPrivacyFields();
+
+  document.getElementById('general-fields').innerHTML = renderRegionField() + GENERAL_FIELDS
+    .map(field => renderField(field.key, field.label, field.unit, field.step))
+    .join('');
+
+  document.getElementById('model-sections').innerHTML = Object.values(MODEL_PROFILES).map(profile => `
+    <section class="card">
+      <h2>${profile.label}</h2>
+      <p>Default source: ${profile.source}</p>
+      <div class="fields">
+        ${MODEL_FIELDS.map(field => renderField(`models.${profile.id}.${field.key}`, field.label, field.unit)).join('')}
+      </div>
+    </section>
+  `).join('');
+}
+
+// Copy a settings object into the inputs
+function fillForm(settings) {
+  form.querySelectorAll(SETTING_INPUT_SELECTOR).forEach(input => {
+    const value = input.name.split('.').reduce((node, key) => (node ? node[key] : undefined), settings);
+    if (input.type === 'checkbox') {
+      input.checked = value === true;
+    } else {
+      input.value = value === undefined ? '' : value;
+    }
+    input.classList.remove('invalid');
+  });
+}
+
+// Read the inputs back into a settings object (strings, booleans for checkboxes) for validateSettings()
+function readForm() {
+  const raw = {};
+
+  form.querySelectorAll(SETTING_INPUT_SELECTOR).forEach(input => {
+    const keys = input.name.split('.');
+    const last = keys.pop();
+    const node = keys.reduce((parent, key) => (parent[key] = parent[key] || {}), raw);
+    node[last] = input.type === 'checkbox' ? input.checked : input.value;
+  });
+
+  return raw;
+}
+
+// Origin of a URL, or null for anything that isn't one (validation reports those)
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Live providers and team sync fetch from the background worker, which needs
+// host access to their endpoints' origins
+function getProviderOrigin(liveGrid) {
+  const provider = GRID_PROVIDERS[liveGrid.provider];
+  if (!provider || liveGrid.provider === 'mock') return null;
+  return getOrigin(liveGrid.endpoint || provider.defaultEndpoint);
+}
+
+function getTeamSyncOrigin(teamSync) {
+  if (!teamSync.enabled || teamSync.endpoint === TEAM_SYNC_MOCK_ENDPOINT) return null;
+  return getOrigin(teamSync.endpoint);
+}
+
+// Ask for every origin at once. Must run inside the click / submit gesture.
+async function requestHostPermissions(origins) {
+  if (origins.length === 0) return true;
+
+  try {
+    return await chrome.permissions.request({ origins: origins.map(origin => `${origin}/*`) });
+  } catch (error) {
+    console.warn('Could not request host permission:', error);
+    return false;
+  }
+}
+
+function showStatus(message, type) {
+  statusElement.textContent = message;
+  statusElement.className = `status ${type}`;
+}
+
+// List validation errors and highlight the offending inputs
+function showErrors(errors) {
+  form.querySelectorAll(SETTING_INPUT_SELECTOR).forEach(input => {
+    input.classList.toggle('invalid', errors.some(error => error.startsWith(`${input.name} `)));
+  });
+  showStatus(errors.join('. '), 'error');
+}
+
+form.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const raw = readForm();
+  // Validate before asking for access, so only origins that will be saved are
+  // requested; validateSettings is synchronous, which keeps us in the gesture
+  const validated = validateSettings(raw);
+  if (validated.errors.length > 0) {
+    showErrors(validated.errors);
+    return;
+  }
+
+  const providerOrigin = getProviderOrigin(validated.settings.liveGrid);
+  const teamSyncOrigin = getTeamSyncOrigin(validated.settings.teamSync);
+  const permitted = await requestHostPermissions([providerOrigin, teamSyncOrigin].filter(Boolean));
+  const { errors } = await saveSettings(raw);
+
+  if (errors.length > 0) {
+    showErrors(errors);
+    return;
+  }
+  fillForm(currentSettings);
+
+  if (!permitted) {
+    const missing = [
+      providerOrigin && 'the provider\'s site the popup will keep using estimates',
+      teamSyncOrigin && 'the team server reports will stay queued'
+    ].filter(Boolean);
+    showStatus(`Saved, but without access to ${missing.join(', and without access to ')}.`, 'error');
+    return;
+  }
+  showStatus('Saved. Open AI chat tabs now use these figures.', 'success');
+});
+
+document.getElementById('reset-button').addEventListener('click', async () => {
+  fillForm(await resetSettings());
+  showStatus('Restored the shipped defaults.', 'success');
+});
+
+document.getElementById('export-button').addEventListener('click', () => {
+  // Tokens stay behind; whoever imports the file enters their own
+  const blob = new Blob([JSON.stringify(withoutSecretSettings(currentSettings), null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'ecoquery-settings.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
+document.getElementById('import-button').addEventListener('click', () => {
+  document.getElementById('import-file').click();
+});
+
+document.getElementById('import-file').addEventListener('change', async (event) => {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch (error) {
+    showStatus(`${file.name} is not valid JSON: ${error.message}`, 'error');
+    return;
+  }
+
+  // Exports carry no tokens, so keep the ones this browser already has
+  const { errors } = await saveSettings(withSecretSettings(raw, getSecretSettings(currentSettings)));
+  if (errors.length > 0) {
+    showStatus(`Nothing imported. ${errors.join('. ')}`, 'error');
+    return;
+  }
+  fillForm(currentSettings);
+  showStatus(`Imported settings from ${file.name}.`, 'success');
+});
+
+function formatSyncTime(timestamp) {
+  return new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Last success, what's queued and the last error, from the background worker's state
+async function renderTeamSyncStatus() {
+  const [state, queue] = await Promise.all([loadTeamSyncState(), loadTeamSyncQueue()]);
+  const element = document.getElementById('team-sync-status');
+  const parts = [
+    state.lastSuccessAt ? `Last sent ${formatSyncTime(state.lastSuccessAt)}.` : 'Nothing sent yet.',
+    queue.length > 0 ? `${queue.length} report${queue.length > 1 ? 's' : ''} queued, next try ${formatSyncTime(Math.min(...queue.map(item => item.nextAttemptAt)))}.` : ''
+  ];
+  if (state.lastError && state.lastAttemptAt > (state.lastSuccessAt || 0)) parts.push(`Last attempt failed: ${state.lastError}.`);
+
+  element.textContent = parts.filter(Boolean).join(' ');
+  element.className = `status ${state.lastError && state.lastAttemptAt > (state.lastSuccessAt || 0) ? 'error' : ''}`;
+}
+
+document.getElementById('team-sync-now').addEventListener('click', async () => {
+  if (!currentSettings.teamSync.enabled) {
+    showStatus('Turn on team sync and save first.', 'error');
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({ type: 'team-sync-now' });
+  if (response && response.error) {
+    showStatus(`Team sync failed: ${response.error}`, 'error');
+  }
+  renderTeamSyncStatus();
+});
+
+// The report the next sync would send, built from the saved settings
+document.getElementById('team-sync-preview').addEventListener('click', async () => {
+  const config = { ...currentSettings.teamSync, team: currentSettings.teamSync.team || '(team)' };
+  const payload = buildTeamSyncPayload(await loadLedger(), config, await getTeamSyncMemberId());
+  const element = document.getElementById('team-sync-payload');
+  element.textContent = JSON.stringify(payload, null, 2);
+  element.hidden = false;
+});
+
+document.getElementById('wipe-button').addEventListener('click', async () => {
+  if (!confirm('Delete your EcoQuery history, calibration, cached grid readings and team sync queue from this browser? This can\'t be undone.')) return;
+
+  try {
+    await requestLedgerChange({ op: 'wipe' });
+    document.getElementById('team-sync-payload').hidden = true;
+    showStatus('Wiped everything EcoQuery stored in this browser. Your settings are unchanged.', 'success');
+  } catch (error) {
+    console.warn('Could not wipe EcoQuery data:', error);
+    showStatus('Could not wipe the stored data; see the console for details.', 'error');
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes[TEAM_SYNC_STATE_STORAGE_KEY] || changes[TEAM_SYNC_QUEUE_STORAGE_KEY])) {
+    renderTeamSyncStatus();
+  }
+});
+
+renderForm();
+loadSettings().then(fillForm);
+renderTeamSyncStatus();
@@ -0,0 +1,72 @@
+// pause.js
+// "Pause for N minutes" from the toolbar pop-up: until then sends go straight
+// through as in the inline mode, and are still logged. Kept in
+// chrome.storage.local rather than the settings, since a pause belongs to this
+// browser and shouldn't sync. Loaded as a content script (before content.js)
+// and by the toolbar pop-up.
+
+const PAUSE_STORAGE_KEY = 'ecoqueryPausedUntil';
+
+// Choices offered in the toolbar pop-up
+const PAUSE_DURATIONS_MINUTES = [15, 30, 60, 120, 240];
+
+// Timestamp (ms) interception is paused until; 0 when it isn't
+let interceptionPausedUntil = 0;
+
+function isInterceptionPaused(now = Date.now()) {
+  return interceptionPausedUntil > now;
+}
+
+// Read the pause from local storage (not paused when unavailable)
+async function loadPause() {
+  const storage = getStorageArea('local');
+  if (!storage) return interceptionPausedUntil;
+
+  try {
+    const result = await storage.get(PAUSE_STORAGE_KEY);
+    interceptionPausedUntil = Number(result[PAUSE_STORAGE_KEY]) || 0;
+  } catch (error) {
+    console.warn('Could not read the EcoQuery pause:', error);
+  }
+  return interceptionPausedUntil;
+}
+
+async function savePause(until) {
+  const storage = getStorageArea('local');
+  if (!storage) return false;
+
+  try {
+    await storage.set({ [PAUSE_STORAGE_KEY]: until });
+    interceptionPausedUntil = until;
+    return true;
+  } catch (error) {
+    console.warn('Could not write the EcoQuery pause:', error);
+    return false;
+  }
+}
+
+// Let sends through for the next `minutes` minutes
+function pauseInterception(minutes) {
+  return savePause(Date.now() + minutes * 60000);
+}
+
+function resumeInterception() {
+  return savePause(0);
+}
+
+// Load the pause now and call listener(pausedUntil) now and on every later change
+function watchPause(listener) {
+  loadPause().then(listener);
+
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes[PAUSE_STORAGE_KEY]) return;
+        interceptionPausedUntil = Number(changes[PAUSE_STORAGE_KEY].newValue) || 0;
+        listener(interceptionPausedUntil);
+      });
+    }
+  } catch (error) {
+    console.warn('Could not watch the EcoQuery pause:', error);
+  }
+}
@@ -0,0 +1,120 @@
+// prompt-slimming.js
+// Rule-based "lighter prompt" suggestions for the pop-up. Each rule rewrites
+// the prompt one concrete way (ask for a shorter answer, drop "comprehensive"
+// and friends, ask for bullet points, send a lookup question to Google), and
+// every rewrite is re-scored with calculateEnergyFootprint so the pop-up can
+// show what it saves. The rules and the wording they add are English, so other
+// prompts get no suggestions.
+
+// The pop-up suggests lighter prompts from this AI score up
+const SLIMMING_MIN_SCORE = 4;
+// Rewrites that save less than this share of the estimate aren't worth a click
+const SLIMMING_MIN_SAVING_SHARE = 0.05;
+// Keeps the pop-up short
+const SLIMMING_MAX_SUGGESTIONS = 3;
+// Reply length the "shorter answer" rewrite asks for
+const SHORTER_ANSWER_WORDS = 150;
+
+// Already asking for a short reply
+const BREVITY_PATTERN = /\b(?:brief(?:ly)?|short|concise(?:ly)?|tl;?dr|one sentence|one paragraph|in a nutshell)\b/i;
+
+// "a comprehensive, in-depth guide" → "a guide"; needs the article so
+// "be thorough and explain" is left alone
+const INTENSIFIER_RUN_PATTERN = /\b(an?|the)\s+(?:(?:very|really|extremely)\s+)?(?:(?:comprehensive|in-depth|detailed|thorough|exhaustive|extensive)(?:\s*,\s*|\s+and\s+|\s+))+/gi;
+const IN_DETAIL_PATTERN = /\s+in (?:great |full |more |much )?detail\b/gi;
+
+// Longest sentence still treated as a quick lookup (LOOKUP_QUESTION_PATTERN is in destinations.js)
+const LOOKUP_MAX_WORDS = 12;
+
+// Append an instruction as its own sentence
+function appendInstruction(query, instruction) {
+  const trimmed = query.trim();
+  return `${trimmed}${/[.?!:]$/.test(trimmed) ? '' : '.'} ${instruction}`;
+}
+
+function rewriteForShorterAnswer(query) {
+  if (getReplyWordLimit(query) || BREVITY_PATTERN.test(query)) return null;
+  return { text: appendInstruction(query, `Keep the answer under ${SHORTER_ANSWER_WORDS} words.`) };
+}
+
+function rewriteWithoutIntensifiers(query) {
+  const text = query
+    .replace(INTENSIFIER_RUN_PATTERN, (match, article, offset, original) => {
+      if (article.toLowerCase() === 'the') return `${article} `;
+      // "a detailed explanation" → "an explanation"
+      const indefinite = /^[aeiou]/i.test(original.slice(offset + match.length)) ? 'an' : 'a';
+      return `${article[0] === 'A' ? indefinite[0].toUpperCase() + indefinite.slice(1) : indefinite} `;
+    })
+    .replace(IN_DETAIL_PATTERN, '');
+  return text === query ? null : { text };
+}
+
+// Categories whose replies are prose that bullets can replace; code comes
+// back as code, and quick facts and small talk are short already
+const BULLET_POINT_CATEGORIES = ['writing', 'analysis', 'howto'];
+
+function rewriteAsBulletPoints(query) {
+  if (BULLET_POINTS_PATTERN.test(query) || getReplyWordLimit(query)) return null;
+  const classification = getQueryClassification(query, DEFAULT_LANGUAGE);
+  if (classification && !BULLET_POINT_CATEGORIES.includes(classification.category)) return null;
+  return { text: appendInstruction(query, 'Answer in bullet points.') };
+}
+
+// "Who wrote Dune? Then write me an essay on its themes." → search the first
+// part, keep the rest for the AI
+function rewriteWithoutLookup(query) {
+  const sentences = query.trim().split(/(?<=[.?!])\s+/).filter(Boolean);
+  if (sentences.length < 2) return null;
+
+  const index = sentences.findIndex(sentence => sentence.endsWith('?')
+    && countQueryWords(sentence, DEFAULT_LANGUAGE) <= LOOKUP_MAX_WORDS
+    && LOOKUP_QUESTION_PATTERN.test(sentence));
+  if (index === -1) return null;
+
+  const rest = sentences.filter((sentence, i) => i !== index).join(' ');
+  return { text: rest.replace(/^(?:then|also|and),?\s+(\w)/i, (match, letter) => letter.toUpperCase()), lookup: sentences[index] };
+}
+
+// In the order the pop-up lists equal savings. The ids are message keys (slimmingRule_*).
+const SLIMMING_RULES = [
+  { id: 'shorterAnswer', rewrite: rewriteForShorterAnswer },
+  { id: 'dropIntensifiers', rewrite: rewriteWithoutIntensifiers },
+  { id: 'bulletPoints', rewrite: rewriteAsBulletPoints },
+  { id: 'splitLookup', rewrite: rewriteWithoutLookup }
+];
+
+// What moving a lookup question to Google changes: the AI no longer writes its
+// answer (the whole-prompt estimate sizes the reply by the main task alone, so
+// that answer is costed on its own) and a search is added instead
+function getLookupTradeWh(lookup) {
+  const lookupData = calculateEnergyFootprint(lookup);
+  const answerWh = lookupData.chatgpt.estimatedTokens * lookupData.chatgpt.model.energyPerToken;
+  return lookupData.google.energyWh - answerWh;
+}
+
+// Lighter versions of the prompt, biggest saving first:
+// [{ id, text, lookup, energyWh, score, savedWh, savedShare }]
+function suggestLighterPrompts(query, energyData = calculateEnergyFootprint(query)) {
+  if (detectQueryLanguage(query) !== DEFAULT_LANGUAGE) return [];
+  const beforeWh = energyData.chatgpt.energyWh;
+
+  return SLIMMING_RULES.map(rule => {
+    const rewrite = rule.rewrite(query);
+    if (!rewrite || !rewrite.text.trim()) return null;
+
+    const after = calculateEnergyFootprint(rewrite.text).chatgpt;
+    const savedWh = beforeWh - after.energyWh - (rewrite.lookup ? getLookupTradeWh(rewrite.lookup) : 0);
+    return {
+      id: rule.id,
+      text: rewrite.text,
+      lookup: rewrite.lookup || null,
+      energyWh: after.energyWh,
+      score: after.score,
+      savedWh,
+      savedShare: savedWh / beforeWh
+    };
+  })
+    .filter(suggestion => suggestion && suggestion.savedShare >= SLIMMING_MIN_SAVING_SHARE)
+    .sort((a, b) => b.savedWh - a.savedWh)
+    .slice(0, SLIMMING_MAX_SUGGESTIONS);
+}
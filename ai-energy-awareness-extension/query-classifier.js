@@ -0,0 +1,85 @@
+// query-classifier.js
+// Offline naive Bayes classifier that predicts a prompt's task category (code,
+// writing, analysis, ...) and how long the reply is likely to be. Features are
+// lowercase word unigrams and bigrams; the weights are trained from
+// fixtures/query-corpus.json by tools/train-query-classifier.js and shipped as
+// query-classifier.json. Until they've loaded (or if they can't be), callers
+// fall back to the keyword heuristic in energy.js.
+//
+// Also loaded by the tools/ scripts under Node, so nothing here may touch
+// chrome.* or the DOM outside loadQueryClassifier().
+
+// Weights from query-classifier.json:
+// { version, categories: [{ id, label, logPrior, unknownLogLikelihood, complexity, responseTokens }],
+//   features: { feature: [log likelihood per category] } }
+let queryClassifier = null;
+
+// classifyQuery runs for both complexity and reply length on every re-score
+let lastClassification = { query: null, classifier: null, result: null };
+
+// Prompt-length buckets; "thanks" and "write me a parser for..." differ in more than words
+function getLengthFeature(wordCount) {
+  if (wordCount <= 2) return '#length:1-2';
+  if (wordCount <= 6) return '#length:3-6';
+  if (wordCount <= 15) return '#length:7-15';
+  return '#length:16+';
+}
+
+// Unigrams, adjacent-word bigrams ("fix my", "my bike"), word stems and a length bucket
+function extractQueryFeatures(text) {
+  const words = (text.toLowerCase().match(/[\p{L}\p{N}+#]+/gu) || []);
+  const features = words.slice();
+  for (let i = 1; i < words.length; i++) {
+    features.push(`${words[i - 1]} ${words[i]}`);
+  }
+  // Four-letter stems let "compile", "compiler" and "compiling" share evidence
+  words.filter(word => word.length > 4).forEach(word => features.push(`${word.slice(0, 4)}-`));
+  features.push(getLengthFeature(words.length));
+  // Presence, not counts: "write a script that writes a file" isn't twice as much writing
+  return Array.from(new Set(features));
+}
+
+// Category scores from the weights: log prior plus the log likelihood of each
+// feature (words never seen in training get each category's smoothed floor).
+// Returns { category, label, confidence, complexity, responseTokens } for the
+// most likely category, or null when there are no weights.
+function classifyQuery(query, classifier = queryClassifier) {
+  if (!classifier) return null;
+  if (lastClassification.query === query && lastClassification.classifier === classifier) {
+    return lastClassification.result;
+  }
+
+  const scores = classifier.categories.map(category => category.logPrior);
+  extractQueryFeatures(query).forEach(feature => {
+    const likelihoods = classifier.features[feature];
+    classifier.categories.forEach((category, index) => {
+      scores[index] += likelihoods ? likelihoods[index] : category.unknownLogLikelihood;
+    });
+  });
+
+  // Softmax over the log scores for a confidence the popup can show
+  const best = scores.indexOf(Math.max(...scores));
+  const total = scores.reduce((sum, score) => sum + Math.exp(score - scores[best]), 0);
+  const category = classifier.categories[best];
+  const result = {
+    category: category.id,
+    label: category.label,
+    confidence: 1 / total,
+    complexity: category.complexity,
+    responseTokens: category.responseTokens
+  };
+
+  lastClassification = { query, classifier, result };
+  return result;
+}
+
+// Fetch the shipped weights once per page. Content scripts can't read
+// extension files directly, so the background worker hands them over.
+async function loadQueryClassifier() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'get-query-classifier' });
+    queryClassifier = response ? response.classifier : null;
+  } catch (error) {
+    console.warn('Could not load the query classifier, using keyword heuristics:', error);
+  }
+}
@@ -0,0 +1,163 @@
+// response-monitor.js
+// Watches the chat site's conversation DOM after a query is sent, measures the
+// real reply length and compares it with the pre-send estimate. Where replies
+// live is up to the site adapter (site-adapters.js).
+
+// How long the reply must stay unchanged before we treat it as finished
+const RESPONSE_SETTLE_MS = 1500;
+// Give up watching if nothing completes in this window
+const RESPONSE_TIMEOUT_MS = 5 * 60 * 1000;
+
+const CALIBRATION_STORAGE_KEY = 'ecoqueryCalibration';
+const CALIBRATION_MIN_FACTOR = 0.25;
+const CALIBRATION_MAX_FACTOR = 4;
+// After this many samples new replies stop moving the factor as much
+const CALIBRATION_WINDOW = 20;
+
+// Ratio of actual ÷ estimated response tokens, learned from measured replies
+let responseCalibration = { factor: 1, samples: 0 };
+
+// Load the stored calibration so estimates use it straight away
+async function loadResponseCalibration() {
+  const storage = getStorageArea('local');
+  if (!storage) return responseCalibration;
+
+  try {
+    const result = await storage.get(CALIBRATION_STORAGE_KEY);
+    if (result[CALIBRATION_STORAGE_KEY]) {
+      responseCalibration = result[CALIBRATION_STORAGE_KEY];
+    }
+  } catch (error) {
+    console.warn('Could not read EcoQuery calibration:', error);
+  }
+  return responseCalibration;
+}
+
+// Fold one measured reply into the calibration factor (geometric moving average)
+async function updateResponseCalibration(estimatedTokens, actualTokens) {
+  if (!estimatedTokens || !actualTokens) return responseCalibration;
+
+  // The estimate already had the current factor applied, so scale relative to it
+  const ratio = actualTokens / estimatedTokens;
+  const weight = 1 / Math.min(responseCalibration.samples + 1, CALIBRATION_WINDOW);
+  const logFactor = Math.log(responseCalibration.factor) + weight * Math.log(ratio);
+  const factor = Math.min(CALIBRATION_MAX_FACTOR, Math.max(CALIBRATION_MIN_FACTOR, Math.exp(logFactor)));
+
+  responseCalibration = { factor, samples: responseCalibration.samples + 1 };
+
+  // With the privacy mode set to store nothing, the factor only lasts for this page
+  const storage = isHistoryStored() ? getStorageArea('local') : null;
+  if (storage) {
+    try {
+      await storage.set({ [CALIBRATION_STORAGE_KEY]: responseCalibration });
+    } catch (error) {
+      console.warn('Could not write EcoQuery calibration:', error);
+    }
+  }
+  return responseCalibration;
+}
+
+// Recompute ChatGPT energy for a measured number of output tokens.
+// Base and prefill energy (prompt, conversation, attachments) carry over from the estimate unchanged;
+// hidden reasoning tokens can't be seen, so they scale with the visible reply.
+function calculateActualEnergy(estimate, outputTokens, envContext) {
+  const model = estimate.model;
+  const reasoningTokens = Math.round(outputTokens * model.reasoningTokenMultiplier);
+  const prefillEnergyWh = estimate.inputEnergyWh + (estimate.contextEnergyWh || 0) + (estimate.attachmentEnergyWh || 0);
+  // Image, speech and search work isn't visible in the reply text; keep the estimate
+  const energyWh = model.baseEnergyWh + prefillEnergyWh + (estimate.requestTypeEnergyWh || 0)
+    + (outputTokens + reasoningTokens) * model.energyPerToken;
+  const multiplier = envContext ? envContext.intensityMultiplier : 1;
+
+  return {
+    outputTokens,
+    reasoningTokens,
+    energyWh,
+    carbonGrams: (energyWh / 1000) * GRID_INTENSITY_G_PER_KWH * multiplier
+  };
+}
+
+// Watch for the assistant reply that follows a send, then badge it.
+// estimate is energyData.chatgpt from the popup; entryPromise resolves to the ledger entry.
+function watchAssistantResponse(estimate, envContext, entryPromise, adapter = getSiteAdapter()) {
+  const initialCount = document.querySelectorAll(adapter.assistantMessageSelector).length;
+  let settleTimer = null;
+
+  const observer = new MutationObserver(() => checkForReply());
+
+  const stopWatching = () => {
+    observer.disconnect();
+    clearTimeout(settleTimer);
+    clearTimeout(timeoutTimer);
+  };
+
+  const timeoutTimer = setTimeout(stopWatching, RESPONSE_TIMEOUT_MS);
+
+  function checkForReply() {
+    const messages = document.querySelectorAll(adapter.assistantMessageSelector);
+    if (messages.length <= initialCount) return;
+
+    // Every streamed chunk resets the timer; we only act once things go quiet
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(() => {
+      if (document.querySelector(adapter.stopButtonSelector)) {
+        checkForReply();
+        return;
+      }
+      stopWatching();
+      finishReply(messages[messages.length - 1]);
+    }, RESPONSE_SETTLE_MS);
+  }
+
+  async function finishReply(messageElement) {
+    const actual = calculateActualEnergy(estimate, countTextTokens(messageElement.innerText || ''), envContext);
+    showResponseBadge(messageElement, estimate, actual);
+
+    // Replies around images, speech or research aren't typical text replies
+    if (!estimate.requestType || estimate.requestType.id === 'text') {
+      await updateResponseCalibration(estimate.estimatedTokens, actual.outputTokens);
+    }
+
+    const entry = await entryPromise;
+    if (entry) {
+      await updateLedgerEntry(entry.id, { actual });
+    }
+  }
+
+  observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+}
+
+// Insert the "actual vs. estimated" badge below a finished reply
+function showResponseBadge(messageElement, estimate, actual) {
+  const difference = estimate.estimatedTokens
+    ? Math.round(((actual.outputTokens - estimate.estimatedTokens) / estimate.estimatedTokens) * 100)
+    : 0;
+  const differenceColor = difference > 0 ? '#dc2626' : '#059669';
+
+  const badge = document.createElement('div');
+  badge.className = 'ai-energy-response-badge';
+  badge.style.cssText = `
+    display: inline-flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 8px;
+    margin: 8px 0;
+    padding: 6px 12px;
+    border-radius: 50px;
+    border: 1px solid #d1fae5;
+    background: #ecfdf5;
+    font-family: ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif;
+    font-size: 12px;
+    color: #374151;
+  `;
+  badge.innerHTML = `
+    <strong style="color: #047857;">EcoQuery</strong>
+    <span>${uiText('responseActual', [formatNumber(actual.outputTokens), formatNumber(actual.energyWh, 2), formatNumber(actual.carbonGrams, 2)])}</span>
+    <span style="color: #6b7280;">${uiText('responseEstimated', [formatNumber(estimate.estimatedTokens), formatNumber(estimate.energyWh, 2)])}</span>
+    <span style="color: ${differenceColor}; font-weight: 600;">${difference > 0 ? '+' : ''}${formatNumber(difference)}%</span>
+  `;
+
+  messageElement.insertAdjacentElement('afterend', badge);
+}
+
+loadResponseCalibration();
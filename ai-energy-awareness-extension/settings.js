@@ -0,0 +1,664 @@
+// settings.js
+// User-editable coefficients, stored in chrome.storage.sync; API tokens stay
+// in this browser's chrome.storage.local. Loaded as a content script (after
+// models.js and destinations.js) and by the options page.
+
+const SETTINGS_STORAGE_KEY = 'ecoquerySettings';
+const SETTINGS_SECRETS_STORAGE_KEY = 'ecoquerySettingsSecrets';
+
+// Credentials among the settings, as [section, field]. They never go to
+// Chrome sync, where they'd roam to every signed-in machine, or into the
+// settings export.
+const SECRET_SETTING_FIELDS = [['liveGrid', 'apiToken'], ['teamSync', 'apiToken']];
+
+// Coefficients each model profile exposes for editing
+const MODEL_SETTING_FIELDS = ['baseEnergyWh', 'energyPerInputToken', 'energyPerToken', 'reasoningTokenMultiplier'];
+
+// Limits used by validation; anything outside is almost certainly a typo
+const SETTING_LIMITS = {
+  gridIntensityGPerKwh: { min: 0, max: 2000 },
+  solarMultiplier: { min: 0, max: 5 },
+  peakMultiplier: { min: 0, max: 5 },
+  googleBaseEnergyWh: { min: 0, max: 100 },
+  baseEnergyWh: { min: 0, max: 100 },
+  energyPerInputToken: { min: 0, max: 1 },
+  energyPerToken: { min: 0, max: 1 },
+  reasoningTokenMultiplier: { min: 0, max: 100 },
+  timeoutMs: { min: 500, max: 60000 },
+  cacheMinutes: { min: 0, max: 1440 },
+  thresholdScore: { min: 1, max: 6 },
+  destinationEnergyWh: { min: 0, max: 100 },
+  budgetEnergyWh: { min: 0.01, max: 100000 },
+  budgetCarbonGrams: { min: 0.01, max: 100000 },
+  teamSyncIntervalMinutes: { min: 5, max: 1440 },
+  retentionDays: { min: 0, max: 3650 }
+};
+
+// What happens when a prompt is sent (see handleSendAttempt in content.js)
+const INTERACTION_MODES = {
+  modal: 'Pop-up on every send',
+  inline: 'Inline score chip — never blocks sending',
+  threshold: 'Pop-up only when the AI score is above a limit'
+};
+
+// Periods a budget can cover (see getPeriodStart in ledger.js)
+const BUDGET_PERIODS = {
+  day: 'Daily',
+  week: 'Weekly (from Monday)',
+  month: 'Monthly'
+};
+
+// What a budget counts
+const BUDGET_METRICS = {
+  energy: 'Energy (Wh)',
+  carbon: 'CO₂ (g)'
+};
+
+// Whose usage a budget counts; a team budget uses the team sync server's totals
+const BUDGET_SCOPES = {
+  personal: 'Just mine',
+  team: "My team's (needs team sync)"
+};
+
+// What EcoQuery keeps about each query (see privacy.js)
+const PRIVACY_MODES = {
+  none: 'Store nothing — no history, budget or team totals',
+  metrics: 'Store metrics only — no prompt text',
+  redacted: 'Store metrics and redacted prompts — emails, numbers and keys scrubbed, plus a hash'
+};
+
+// Team and alias names for team sync; reports are checked against the same
+// pattern (TEAM_SYNC_NAME_PATTERN in team-sync.js)
+const TEAM_NAME_PATTERN = /^[\p{L}\p{N} ._-]{1,64}$/u;
+
+// Languages with a _locales catalog; 'auto' follows the browser
+const UI_LANGUAGES = {
+  auto: 'Browser language',
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+  de: 'Deutsch'
+};
+
+// Build the defaults from the shipped constants
+function buildDefaultSettings() {
+  const models = {};
+  Object.keys(MODEL_PROFILES).forEach(id => {
+    models[id] = {};
+    MODEL_SETTING_FIELDS.forEach(field => {
+      models[id][field] = MODEL_PROFILES[id][field];
+    });
+  });
+
+  const destinations = {};
+  Object.values(DESTINATIONS).forEach(destination => {
+    destinations[destination.id] = destination.energyWh === null
+      ? { enabled: true }
+      : { enabled: true, energyWh: destination.energyWh };
+  });
+
+  const customIntents = {};
+  Object.keys(ROUTE_INTENTS).forEach(intent => {
+    customIntents[intent] = intent === 'docs' || intent === 'factual';
+  });
+
+  return {
+    // One of INTERACTION_MODES
+    interactionMode: 'modal',
+    // In 'threshold' mode, sends scoring above this open the pop-up
+    thresholdScore: 5,
+    // Live Wh / CO₂ / score meter above the composer while typing (always on in 'inline' mode)
+    liveMeter: true,
+    // One of UI_LANGUAGES, for the pop-up and its calculation details
+    uiLanguage: 'auto',
+    // 'auto' guesses from the timezone, 'custom' uses the three figures below,
+    // anything else is a GRID_REGIONS id
+    gridRegion: 'auto',
+    // Average grid carbon-intensity (g CO₂ per kWh) — US 2025 figure
+    gridIntensityGPerKwh: 367,
+    // Grid multipliers applied during the solar peak (10–16h) and evening peak (18–22h)
+    solarMultiplier: 0.8,
+    peakMultiplier: 1.3,
+    // Wh per standard Google search (2025 research estimate)
+    googleBaseEnergyWh: 0.04,
+    models,
+    // Optional live grid-intensity provider (see grid-providers.js)
+    liveGrid: {
+      provider: 'none',
+      endpoint: '',
+      apiToken: '',
+      tokenHeader: '',
+      valuePath: '',
+      // Provider zone override; empty uses the grid region's own zone
+      zone: '',
+      timeoutMs: 5000,
+      cacheMinutes: 15
+    },
+    // Look-up destinations the pop-up offers instead of the AI (see destinations.js)
+    routing: {
+      // Per DESTINATIONS id: on / off, and Wh per page view (search engines use the Google estimate)
+      destinations,
+      // The team's own destination, e.g. an internal wiki; unused while url is empty
+      custom: {
+        label: '',
+        url: '',
+        energyWh: 0.02,
+        intents: customIntents
+      }
+    },
+    // Energy or CO₂ allowance per period (see budget.js); a team can share one
+    // through the Options page's export
+    budget: {
+      enabled: false,
+      // One of BUDGET_SCOPES
+      scope: 'personal',
+      // One of BUDGET_PERIODS
+      period: 'day',
+      // One of BUDGET_METRICS; only that metric's limit below applies
+      metric: 'energy',
+      // Roughly ten typical AI chat requests
+      energyWh: 10,
+      carbonGrams: 4,
+      // Once the budget is used up, sends need an explicit override in the pop-up
+      hardStop: false
+    },
+    // Opt-in upload of anonymized daily totals to a team server (see team-sync.js)
+    teamSync: {
+      enabled: false,
+      // http(s) URL reports are POSTed to, or 'mock' to keep them in the browser
+      endpoint: '',
+      // Sent as a Bearer token when set
+      apiToken: '',
+      team: '',
+      // Optional leaderboard name; without one the team only sees a random id
+      alias: '',
+      intervalMinutes: 60
+    },
+    // What's kept about each query, and for how long
+    privacy: {
+      // One of PRIVACY_MODES
+      mode: 'metrics',
+      // History older than this is deleted; 0 keeps it (up to LEDGER_MAX_ENTRIES)
+      retentionDays: 0
+    }
+  };
+}
+
+// Snapshot taken before any user overrides are applied to MODEL_PROFILES
+const DEFAULT_SETTINGS = buildDefaultSettings();
+
+// Fresh, mutable copy of the defaults
+function getDefaultSettings() {
+  return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+}
+
+// The settings currently in effect; kept in sync by watchSettings()
+let currentSettings = getDefaultSettings();
+
+// Check a single numeric value against its limits
+function validateNumber(value, limits, path, errors) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    errors.push(`${path} must be a number`);
+    return null;
+  }
+  if (number < limits.min || number > limits.max) {
+    errors.push(`${path} must be between ${limits.min} and ${limits.max}`);
+    return null;
+  }
+  return number;
+}
+
+// Check an on / off value; form checkboxes and JSON imports may send strings
+function validateBoolean(value, path, errors) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  errors.push(`${path} must be true or false`);
+  return null;
+}
+
+// Validate (possibly partial) settings. Missing values fall back to defaults,
+// unknown keys are dropped. Returns { settings, errors }.
+function validateSettings(raw) {
+  const errors = [];
+  const settings = getDefaultSettings();
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { settings, errors: ['Settings must be a JSON object'] };
+  }
+
+  if (raw.interactionMode !== undefined) {
+    if (INTERACTION_MODES[raw.interactionMode]) {
+      settings.interactionMode = raw.interactionMode;
+    } else {
+      errors.push(`interactionMode "${raw.interactionMode}" is not a known mode`);
+    }
+  }
+
+  if (raw.uiLanguage !== undefined) {
+    if (UI_LANGUAGES[raw.uiLanguage]) {
+      settings.uiLanguage = raw.uiLanguage;
+    } else {
+      errors.push(`uiLanguage "${raw.uiLanguage}" is not a supported language`);
+    }
+  }
+
+  if (raw.liveMeter !== undefined) {
+    const value = validateBoolean(raw.liveMeter, 'liveMeter', errors);
+    if (value !== null) settings.liveMeter = value;
+  }
+
+  if (raw.gridRegion !== undefined) {
+    if (raw.gridRegion === 'auto' || raw.gridRegion === 'custom' || GRID_REGIONS[raw.gridRegion]) {
+      settings.gridRegion = raw.gridRegion;
+    } else {
+      errors.push(`gridRegion "${raw.gridRegion}" is not a known region`);
+    }
+  }
+
+  ['thresholdScore', 'gridIntensityGPerKwh', 'solarMultiplier', 'peakMultiplier', 'googleBaseEnergyWh'].forEach(key => {
+    if (raw[key] === undefined) return;
+    const value = validateNumber(raw[key], SETTING_LIMITS[key], key, errors);
+    if (value !== null) settings[key] = value;
+  });
+
+  if (raw.models !== undefined) {
+    if (!raw.models || typeof raw.models !== 'object') {
+      errors.push('models must be an object');
+    } else {
+      Object.keys(raw.models).forEach(id => {
+        if (!settings.models[id]) {
+          errors.push(`models.${id} is not a known model profile`);
+          return;
+        }
+        if (!raw.models[id] || typeof raw.models[id] !== 'object') {
+          errors.push(`models.${id} must be an object`);
+          return;
+        }
+        MODEL_SETTING_FIELDS.forEach(field => {
+          if (raw.models[id][field] === undefined) return;
+          const value = validateNumber(raw.models[id][field], SETTING_LIMITS[field], `models.${id}.${field}`, errors);
+          if (value !== null) settings.models[id][field] = value;
+        });
+      });
+    }
+  }
+
+  if (raw.liveGrid !== undefined) {
+    validateLiveGridSettings(raw.liveGrid, settings.liveGrid, errors);
+  }
+
+  if (raw.routing !== undefined) {
+    validateRoutingSettings(raw.routing, settings.routing, errors);
+  }
+
+  if (raw.budget !== undefined) {
+    validateBudgetSettings(raw.budget, settings.budget, errors);
+  }
+
+  if (raw.teamSync !== undefined) {
+    validateTeamSyncSettings(raw.teamSync, settings.teamSync, errors);
+  }
+
+  if (raw.privacy !== undefined) {
+    validatePrivacySettings(raw.privacy, settings.privacy, errors);
+  }
+
+  if (settings.budget.enabled && settings.budget.scope === 'team' && !settings.teamSync.enabled) {
+    errors.push('budget.scope "team" needs team sync turned on');
+  }
+
+  return { settings, errors };
+}
+
+// Validate the live provider block into `target`
+function validateLiveGridSettings(raw, target, errors) {
+  if (!raw || typeof raw !== 'object') {
+    errors.push('liveGrid must be an object');
+    return;
+  }
+
+  if (raw.provider !== undefined) {
+    if (raw.provider === 'none' || GRID_PROVIDERS[raw.provider]) {
+      target.provider = raw.provider;
+    } else {
+      errors.push(`liveGrid.provider "${raw.provider}" is not a known provider`);
+    }
+  }
+
+  ['endpoint', 'apiToken', 'tokenHeader', 'valuePath', 'zone'].forEach(key => {
+    if (raw[key] === undefined) return;
+    if (typeof raw[key] !== 'string') {
+      errors.push(`liveGrid.${key} must be text`);
+      return;
+    }
+    target[key] = raw[key].trim();
+  });
+
+  if (target.endpoint && !/^https?:\/\/[^\s]+$/i.test(target.endpoint)) {
+    errors.push('liveGrid.endpoint must be an http(s) URL');
+  }
+  if (target.provider === 'custom-json' && !target.endpoint) {
+    errors.push('liveGrid.endpoint is required for a custom JSON provider');
+  }
+  if (target.tokenHeader && !/^[A-Za-z0-9-]+$/.test(target.tokenHeader)) {
+    errors.push('liveGrid.tokenHeader must be a plain header name');
+  }
+  // Zone ids look like DE or US-CAL-CISO. The pop-up shows the zone, so a
+  // stored one that isn't (settings load ignoring errors) is dropped as well.
+  if (target.zone && !/^[A-Za-z0-9_-]{1,40}$/.test(target.zone)) {
+    errors.push('liveGrid.zone must be a zone id such as DE or US-CAL-CISO');
+    target.zone = '';
+  }
+
+  ['timeoutMs', 'cacheMinutes'].forEach(key => {
+    if (raw[key] === undefined) return;
+    const value = validateNumber(raw[key], SETTING_LIMITS[key], `liveGrid.${key}`, errors);
+    if (value !== null) target[key] = value;
+  });
+}
+
+// Validate the look-up destinations block into `target`
+function validateRoutingSettings(raw, target, errors) {
+  if (!raw || typeof raw !== 'object') {
+    errors.push('routing must be an object');
+    return;
+  }
+
+  if (raw.destinations !== undefined) {
+    if (!raw.destinations || typeof raw.destinations !== 'object') {
+      errors.push('routing.destinations must be an object');
+    } else {
+      Object.keys(raw.destinations).forEach(id => {
+        const path = `routing.destinations.${id}`;
+        if (!target.destinations[id]) {
+          errors.push(`${path} is not a known destination`);
+          return;
+        }
+        if (!raw.destinations[id] || typeof raw.destinations[id] !== 'object') {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        if (raw.destinations[id].enabled !== undefined) {
+          const value = validateBoolean(raw.destinations[id].enabled, `${path}.enabled`, errors);
+          if (value !== null) target.destinations[id].enabled = value;
+        }
+        if (raw.destinations[id].energyWh !== undefined && target.destinations[id].energyWh !== undefined) {
+          const value = validateNumber(raw.destinations[id].energyWh, SETTING_LIMITS.destinationEnergyWh, `${path}.energyWh`, errors);
+          if (value !== null) target.destinations[id].energyWh = value;
+        }
+      });
+    }
+  }
+
+  const custom = raw.custom;
+  if (custom === undefined) return;
+  if (!custom || typeof custom !== 'object') {
+    errors.push('routing.custom must be an object');
+    return;
+  }
+
+  ['label', 'url'].forEach(key => {
+    if (custom[key] === undefined) return;
+    if (typeof custom[key] !== 'string') {
+      errors.push(`routing.custom.${key} must be text`);
+      return;
+    }
+    target.custom[key] = custom[key].trim();
+  });
+
+  if (custom.energyWh !== undefined) {
+    const value = validateNumber(custom.energyWh, SETTING_LIMITS.destinationEnergyWh, 'routing.custom.energyWh', errors);
+    if (value !== null) target.custom.energyWh = value;
+  }
+
+  if (custom.intents !== undefined) {
+    if (!custom.intents || typeof custom.intents !== 'object') {
+      errors.push('routing.custom.intents must be an object');
+    } else {
+      Object.keys(custom.intents).forEach(intent => {
+        if (!ROUTE_INTENTS[intent]) {
+          errors.push(`routing.custom.intents.${intent} is not a known kind of lookup`);
+          return;
+        }
+        const value = validateBoolean(custom.intents[intent], `routing.custom.intents.${intent}`, errors);
+        if (value !== null) target.custom.intents[intent] = value;
+      });
+    }
+  }
+
+  if (target.custom.url) {
+    if (!/^https?:\/\/[^\s]+$/i.test(target.custom.url) || !/\{(?:query|term)\}/.test(target.custom.url)) {
+      errors.push('routing.custom.url must be an http(s) URL containing {query} or {term}');
+    }
+    if (!target.custom.label) {
+      errors.push('routing.custom.label is required when a URL is set');
+    }
+  }
+}
+
+// Validate the budget block into `target`
+function validateBudgetSettings(raw, target, errors) {
+  if (!raw || typeof raw !== 'object') {
+    errors.push('budget must be an object');
+    return;
+  }
+
+  ['enabled', 'hardStop'].forEach(key => {
+    if (raw[key] === undefined) return;
+    const value = validateBoolean(raw[key], `budget.${key}`, errors);
+    if (value !== null) target[key] = value;
+  });
+
+  if (raw.period !== undefined) {
+    if (BUDGET_PERIODS[raw.period]) {
+      target.period = raw.period;
+    } else {
+      errors.push(`budget.period "${raw.period}" is not a known period`);
+    }
+  }
+
+  if (raw.scope !== undefined) {
+    if (BUDGET_SCOPES[raw.scope]) {
+      target.scope = raw.scope;
+    } else {
+      errors.push(`budget.scope "${raw.scope}" is not a known scope`);
+    }
+  }
+
+  if (raw.metric !== undefined) {
+    if (BUDGET_METRICS[raw.metric]) {
+      target.metric = raw.metric;
+    } else {
+      errors.push(`budget.metric "${raw.metric}" is not a known metric`);
+    }
+  }
+
+  if (raw.energyWh !== undefined) {
+    const value = validateNumber(raw.energyWh, SETTING_LIMITS.budgetEnergyWh, 'budget.energyWh', errors);
+    if (value !== null) target.energyWh = value;
+  }
+  if (raw.carbonGrams !== undefined) {
+    const value = validateNumber(raw.carbonGrams, SETTING_LIMITS.budgetCarbonGrams, 'budget.carbonGrams', errors);
+    if (value !== null) target.carbonGrams = value;
+  }
+}
+
+// Validate the team sync block into `target`
+function validateTeamSyncSettings(raw, target, errors) {
+  if (!raw || typeof raw !== 'object') {
+    errors.push('teamSync must be an object');
+    return;
+  }
+
+  if (raw.enabled !== undefined) {
+    const value = validateBoolean(raw.enabled, 'teamSync.enabled', errors);
+    if (value !== null) target.enabled = value;
+  }
+
+  ['endpoint', 'apiToken', 'team', 'alias'].forEach(key => {
+    if (raw[key] === undefined) return;
+    if (typeof raw[key] !== 'string') {
+      errors.push(`teamSync.${key} must be text`);
+      return;
+    }
+    target[key] = raw[key].trim();
+  });
+
+  if (raw.intervalMinutes !== undefined) {
+    const value = validateNumber(raw.intervalMinutes, SETTING_LIMITS.teamSyncIntervalMinutes, 'teamSync.intervalMinutes', errors);
+    if (value !== null) target.intervalMinutes = value;
+  }
+
+  if (target.endpoint && target.endpoint !== 'mock' && !/^https?:\/\/[^\s]+$/i.test(target.endpoint)) {
+    errors.push('teamSync.endpoint must be an http(s) URL or "mock"');
+  }
+  if (target.team && !TEAM_NAME_PATTERN.test(target.team)) {
+    errors.push('teamSync.team may only use letters, digits, spaces and . _ - (64 at most)');
+  }
+  if (target.alias && !TEAM_NAME_PATTERN.test(target.alias)) {
+    errors.push('teamSync.alias may only use letters, digits, spaces and . _ - (64 at most)');
+  }
+  if (target.enabled && (!target.endpoint || !target.team)) {
+    errors.push('teamSync needs an endpoint and a team name when enabled');
+  }
+}
+
+// Validate the privacy block into `target`
+function validatePrivacySettings(raw, target, errors) {
+  if (!raw || typeof raw !== 'object') {
+    errors.push('privacy must be an object');
+    return;
+  }
+
+  if (raw.mode !== undefined) {
+    if (PRIVACY_MODES[raw.mode]) {
+      target.mode = raw.mode;
+    } else {
+      errors.push(`privacy.mode "${raw.mode}" is not a known mode`);
+    }
+  }
+
+  if (raw.retentionDays !== undefined) {
+    const value = validateNumber(raw.retentionDays, SETTING_LIMITS.retentionDays, 'privacy.retentionDays', errors);
+    if (value !== null) target.retentionDays = Math.round(value);
+  }
+}
+
+// The secret fields that are set: { liveGrid: { apiToken }, ... }
+function getSecretSettings(settings) {
+  const secrets = {};
+  SECRET_SETTING_FIELDS.forEach(([section, field]) => {
+    const value = settings[section] && settings[section][field];
+    if (value) secrets[section] = { ...secrets[section], [field]: value };
+  });
+  return secrets;
+}
+
+// A copy of settings without the secret fields, for sync storage and the export
+function withoutSecretSettings(settings) {
+  const copy = { ...settings };
+  SECRET_SETTING_FIELDS.forEach(([section, field]) => {
+    if (!copy[section] || typeof copy[section] !== 'object') return;
+    copy[section] = { ...copy[section] };
+    delete copy[section][field];
+  });
+  return copy;
+}
+
+// Raw settings with the given secrets filled in over whatever they hold
+// (older versions kept tokens in sync storage; imports carry none)
+function withSecretSettings(raw, secrets) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return raw;
+
+  const merged = { ...raw };
+  Object.keys(secrets).forEach(section => {
+    // A section of the wrong type is left for validation to report
+    if (merged[section] !== undefined && (!merged[section] || typeof merged[section] !== 'object')) return;
+    merged[section] = { ...merged[section], ...secrets[section] };
+  });
+  return merged;
+}
+
+// Read settings from sync storage and tokens from local storage (defaults when unavailable)
+async function loadSettings() {
+  const storage = getStorageArea('sync');
+  if (!storage) return currentSettings;
+
+  try {
+    const result = await storage.get(SETTINGS_STORAGE_KEY);
+    const local = getStorageArea('local');
+    const secrets = local ? (await local.get(SETTINGS_SECRETS_STORAGE_KEY))[SETTINGS_SECRETS_STORAGE_KEY] : null;
+    currentSettings = validateSettings(withSecretSettings(result[SETTINGS_STORAGE_KEY] || {}, secrets || {})).settings;
+  } catch (error) {
+    console.warn('Could not read EcoQuery settings:', error);
+  }
+  return currentSettings;
+}
+
+// Validate and persist settings. Nothing is written if validation fails.
+// Tokens go to local storage first, so listeners woken by the sync write
+// already read the new ones.
+async function saveSettings(raw) {
+  const { settings, errors } = validateSettings(raw);
+  if (errors.length > 0) return { settings, errors };
+
+  const storage = getStorageArea('sync');
+  const local = getStorageArea('local');
+  if (!storage || !local) return { settings, errors: ['Extension storage is not available'] };
+
+  try {
+    await local.set({ [SETTINGS_SECRETS_STORAGE_KEY]: getSecretSettings(settings) });
+    await storage.set({ [SETTINGS_STORAGE_KEY]: withoutSecretSettings(settings) });
+    currentSettings = settings;
+  } catch (error) {
+    errors.push(`Could not save settings: ${error.message}`);
+  }
+  return { settings, errors };
+}
+
+// Drop every override and token and go back to the shipped defaults
+async function resetSettings() {
+  const storage = getStorageArea('sync');
+  const local = getStorageArea('local');
+  try {
+    if (storage) await storage.remove(SETTINGS_STORAGE_KEY);
+    if (local) await local.remove(SETTINGS_SECRETS_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not reset EcoQuery settings:', error);
+  }
+  currentSettings = getDefaultSettings();
+  return currentSettings;
+}
+
+// Move tokens an older version saved in sync storage over to local storage.
+// The background worker runs this on every start; it's a no-op once done.
+async function moveSecretSettingsToLocal() {
+  const storage = getStorageArea('sync');
+  if (!storage) return;
+
+  const saved = (await storage.get(SETTINGS_STORAGE_KEY))[SETTINGS_STORAGE_KEY];
+  if (!saved || Object.keys(getSecretSettings(saved)).length === 0) return;
+
+  const { errors } = await saveSettings(await loadSettings());
+  if (errors.length > 0) console.warn('Could not move EcoQuery tokens out of sync storage:', errors.join('; '));
+}
+
+// Load settings now and call listener(settings) now and on every later change
+function watchSettings(listener) {
+  loadSettings().then(listener);
+
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+      // Settings live in sync storage and their tokens in local storage
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        const changed = areaName === 'sync' ? changes[SETTINGS_STORAGE_KEY] : areaName === 'local' && changes[SETTINGS_SECRETS_STORAGE_KEY];
+        if (!changed) return;
+        loadSettings().then(listener);
+      });
+    }
+  } catch (error) {
+    console.warn('Could not watch EcoQuery settings:', error);
+  }
+}
@@ -0,0 +1,141 @@
+// site-adapters.js
+// Per-site adapters so interception, the popup and reply measurement work on
+// every supported AI chat UI. Each adapter describes where things live in that
+// site's DOM; nothing else in the extension should hardcode a site selector.
+//
+//   inputSelector             the prompt composer (contenteditable or <textarea>)
+//   sendButtonSelector        every known variant of the send button
+//   assistantMessageSelector  one element per assistant reply
+//   conversationMessageSelector  every user and assistant message in the open thread
+//   stopButtonSelector        present while a reply is still streaming
+//   modelPickerSelectors      where the selected model's name is shown
+//   toolSelector              chips for tools switched on in the composer (image, search, deep research)
+//   voiceSelector             present while voice input is active
+//   modelIds                  MODEL_PROFILES ids to match picker labels against, most specific first
+//   defaultModelId            profile used when the picker can't be read
+//   submitWith                'enter' to send with a synthetic Enter key, 'button' to click send
+
+const SITE_ADAPTERS = {
+  chatgpt: {
+    id: 'chatgpt',
+    label: 'ChatGPT',
+    hosts: ['chatgpt.com', 'chat.openai.com'],
+    logo: 'gpt-logo.png',
+    inputSelector: '#prompt-textarea',
+    sendButtonSelector: 'button[aria-label="Send message"], #composer-submit-button, button[aria-label="Send prompt"], button[data-testid="send-button"]',
+    assistantMessageSelector: '[data-message-author-role="assistant"]',
+    conversationMessageSelector: '[data-message-author-role]',
+    stopButtonSelector: 'button[data-testid="stop-button"], button[aria-label="Stop streaming"]',
+    modelPickerSelectors: [
+      'button[data-testid="model-switcher-dropdown-button"]',
+      'button[aria-label^="Model selector"]',
+      '[data-testid="model-switcher"]'
+    ],
+    toolSelector: 'form [data-testid="composer-tool-pill"], form button[data-pill="true"]',
+    voiceSelector: 'button[aria-label="Stop dictation"], button[aria-label="End voice mode"]',
+    modelIds: ['reasoning', 'gpt-4o-mini', 'gpt-4o', 'gpt-4'],
+    defaultModelId: 'gpt-4',
+    submitWith: 'enter'
+  },
+  claude: {
+    id: 'claude',
+    label: 'Claude',
+    hosts: ['claude.ai'],
+    logo: null,
+    inputSelector: 'div.ProseMirror[contenteditable="true"]',
+    sendButtonSelector: 'button[aria-label="Send message"], button[aria-label="Send Message"]',
+    assistantMessageSelector: '.font-claude-message, [data-testid="assistant-message"]',
+    conversationMessageSelector: '[data-testid="user-message"], .font-claude-message, [data-testid="assistant-message"]',
+    stopButtonSelector: 'button[aria-label="Stop response"], button[aria-label="Stop Response"]',
+    modelPickerSelectors: ['button[data-testid="model-selector-dropdown"]'],
+    toolSelector: 'fieldset button[aria-pressed="true"]',
+    voiceSelector: 'button[aria-label="Stop recording"]',
+    modelIds: ['claude-haiku', 'claude-opus', 'claude-sonnet'],
+    defaultModelId: 'claude-sonnet',
+    submitWith: 'button'
+  },
+  gemini: {
+    id: 'gemini',
+    label: 'Gemini',
+    hosts: ['gemini.google.com'],
+    logo: null,
+    inputSelector: 'rich-textarea .ql-editor[contenteditable="true"]',
+    sendButtonSelector: 'button[aria-label="Send message"], button.send-button',
+    assistantMessageSelector: 'model-response message-content, model-response',
+    conversationMessageSelector: 'user-query, model-response',
+    stopButtonSelector: 'button[aria-label="Stop response"]',
+    modelPickerSelectors: ['[data-test-id="bard-mode-menu-button"]', 'bard-mode-switcher button'],
+    toolSelector: 'toolbox-drawer-item button.is-selected, deselect-button',
+    voiceSelector: 'button[aria-label="Stop microphone"]',
+    modelIds: ['gemini-pro', 'gemini-flash'],
+    defaultModelId: 'gemini-flash',
+    submitWith: 'button'
+  },
+  perplexity: {
+    id: 'perplexity',
+    label: 'Perplexity',
+    hosts: ['www.perplexity.ai', 'perplexity.ai'],
+    logo: null,
+    inputSelector: '#ask-input, textarea[placeholder]',
+    sendButtonSelector: 'button[aria-label="Submit"], button[data-testid="submit-button"]',
+    assistantMessageSelector: '[id^="markdown-content-"], .prose',
+    conversationMessageSelector: '[data-testid="user-query"], h1.group\\/query, [id^="markdown-content-"]',
+    stopButtonSelector: 'button[aria-label="Stop"], button[data-testid="stop-generating-response-button"]',
+    modelPickerSelectors: ['button[aria-label="Choose a model"]'],
+    toolSelector: 'button[role="radio"][aria-checked="true"]',
+    voiceSelector: 'button[aria-label="Stop dictation"]',
+    modelIds: ['perplexity'],
+    defaultModelId: 'perplexity',
+    submitWith: 'button'
+  },
+  copilot: {
+    id: 'copilot',
+    label: 'Copilot',
+    hosts: ['copilot.microsoft.com'],
+    logo: null,
+    inputSelector: 'textarea#userInput, textarea[data-testid="composer-input"]',
+    sendButtonSelector: 'button[data-testid="submit-button"], button[aria-label="Submit message"]',
+    assistantMessageSelector: '[data-content="ai-message"]',
+    conversationMessageSelector: '[data-content="user-message"], [data-content="ai-message"]',
+    stopButtonSelector: 'button[data-testid="stop-button"], button[aria-label="Stop responding"]',
+    modelPickerSelectors: ['button[data-testid="composer-chat-mode-button"]'],
+    toolSelector: 'button[data-testid="composer-tool-pill"]',
+    voiceSelector: 'button[data-testid="voice-mode-button"][aria-pressed="true"]',
+    modelIds: ['reasoning', 'copilot'],
+    defaultModelId: 'copilot',
+    submitWith: 'button'
+  }
+};
+
+// Adapter for the page we're running on (ChatGPT when nothing matches)
+function getSiteAdapter(hostname = window.location.hostname) {
+  const adapter = Object.values(SITE_ADAPTERS).find(candidate => candidate.hosts.includes(hostname));
+  return adapter || SITE_ADAPTERS.chatgpt;
+}
+
+// The composer element on the current page
+function getComposerInput(adapter = getSiteAdapter()) {
+  return document.querySelector(adapter.inputSelector);
+}
+
+// Plain text currently typed into a composer
+function getComposerText(inputField) {
+  if (!inputField) return '';
+  return (inputField.tagName === 'TEXTAREA' ? inputField.value : inputField.innerText).trim();
+}
+
+// Replace a composer's text in a way React / ProseMirror / Quill pick up
+function setComposerText(inputField, text) {
+  if (inputField.tagName === 'TEXTAREA') {
+    // Go through the native setter so React's value tracking sees the change
+    const setter = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set;
+    setter.call(inputField, text);
+  } else if (text) {
+    const paragraph = document.createElement('p');
+    paragraph.textContent = text;
+    inputField.replaceChildren(paragraph);
+  } else {
+    inputField.innerHTML = '<p><br></p>';
+  }
+  inputField.dispatchEvent(new Event('input', { bubbles: true }));
+}
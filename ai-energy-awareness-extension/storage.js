@@ -0,0 +1,15 @@
+// storage.js
+// Shared by content scripts and extension pages.
+
+// Helper function to safely get a chrome.storage area
+function getStorageArea(areaName) {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage[areaName]) {
+      return chrome.storage[areaName];
+    }
+  } catch (error) {
+    // Accessing chrome.* throws once the extension has been reloaded underneath the page
+    console.warn('Chrome storage API not available:', error);
+  }
+  return null;
+}
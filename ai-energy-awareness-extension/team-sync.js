@@ -0,0 +1,315 @@
+// team-sync.js
+// Opt-in team sync (settings.teamSync): every so often the background worker
+// POSTs this browser's daily totals to a self-hosted endpoint, so a team can
+// build totals and a leaderboard without a third-party service. Reports carry
+// counts, Wh and g CO₂ per day and nothing else: no prompt text, no models or
+// sites, and a random member id instead of a name (plus an alias, if set).
+// The payload is documented in schemas/team-sync.schema.json; the reference
+// server is tools/team-sync-server.js. For team budgets (budget.js) the worker
+// also reads the team's totals back from the server.
+//
+// Reports queue in chrome.storage.local and are retried with exponential
+// backoff, so a server that's down or a laptop that's offline loses nothing.
+// Loaded by the background worker (after ledger.js, budget.js and grid-providers.js),
+// the options page, and the reference server (for validateTeamSyncPayload).
+
+const TEAM_SYNC_SCHEMA = 'ecoquery-team-sync';
+const TEAM_SYNC_SCHEMA_VERSION = 1;
+
+// Endpoint value that keeps reports in the browser instead of sending them
+const TEAM_SYNC_MOCK_ENDPOINT = 'mock';
+
+const TEAM_SYNC_ALARM = 'ecoquery-team-sync';
+const TEAM_SYNC_RETRY_ALARM = 'ecoquery-team-sync-retry';
+const TEAM_SYNC_QUEUE_STORAGE_KEY = 'ecoqueryTeamSyncQueue';
+const TEAM_SYNC_STATE_STORAGE_KEY = 'ecoqueryTeamSyncState';
+
+// Every report re-sends the last week, and servers replace a member's day
+// totals, so overlapping or retried reports never double count
+const TEAM_SYNC_DAYS = 7;
+// Oldest reports are dropped past this; newer ones cover the same days anyway
+const TEAM_SYNC_QUEUE_MAX = 20;
+const TEAM_SYNC_MAX_ATTEMPTS = 8;
+// 1 min, 2 min, 4 min, ... capped at 6 h, each with up to 50% jitter
+const TEAM_SYNC_BACKOFF_BASE_MS = 60 * 1000;
+const TEAM_SYNC_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const TEAM_SYNC_TIMEOUT_MS = 10000;
+
+// Day fields in a report, all summed from summarizeLedger()
+const TEAM_SYNC_DAY_FIELDS = ['queries', 'google', 'local', 'chatgpt', 'dismissed', 'energyWh', 'carbonGrams', 'savedEnergyWh', 'savedCarbonGrams'];
+
+// Team and alias names: up to 64 letters, digits, spaces and . _ - (the
+// options page checks TEAM_NAME_PATTERN in settings.js, which matches)
+const TEAM_SYNC_NAME_PATTERN = /^[\p{L}\p{N} ._-]{1,64}$/u;
+
+function roundTeamSyncValue(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// The report for the last TEAM_SYNC_DAYS days (oldest first)
+function buildTeamSyncPayload(entries, config, memberId, now = new Date()) {
+  const days = groupLedgerByDay(entries, TEAM_SYNC_DAYS, now).map(bucket => {
+    const day = { date: formatLocalDate(bucket.date.getTime()) };
+    TEAM_SYNC_DAY_FIELDS.forEach(field => { day[field] = roundTeamSyncValue(bucket[field] || 0); });
+    return day;
+  });
+
+  const payload = {
+    schema: TEAM_SYNC_SCHEMA,
+    schemaVersion: TEAM_SYNC_SCHEMA_VERSION,
+    team: config.team,
+    member: memberId,
+    sentAt: now.toISOString(),
+    days
+  };
+  if (config.alias) payload.alias = config.alias;
+  return payload;
+}
+
+// Check a report against the schema; returns a list of problems (empty when valid)
+function validateTeamSyncPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return ['report must be a JSON object'];
+
+  const errors = [];
+  if (payload.schema !== TEAM_SYNC_SCHEMA) errors.push(`schema must be "${TEAM_SYNC_SCHEMA}"`);
+  if (payload.schemaVersion !== TEAM_SYNC_SCHEMA_VERSION) errors.push(`schemaVersion must be ${TEAM_SYNC_SCHEMA_VERSION}`);
+  if (typeof payload.team !== 'string' || !TEAM_SYNC_NAME_PATTERN.test(payload.team)) errors.push('team must be a short name');
+  if (typeof payload.member !== 'string' || !/^[0-9a-f-]{8,64}$/.test(payload.member)) errors.push('member must be a random id');
+  if (payload.alias !== undefined && (typeof payload.alias !== 'string' || !TEAM_SYNC_NAME_PATTERN.test(payload.alias))) {
+    errors.push('alias must be a short name');
+  }
+  if (typeof payload.sentAt !== 'string' || Number.isNaN(Date.parse(payload.sentAt))) errors.push('sentAt must be an ISO timestamp');
+
+  if (!Array.isArray(payload.days) || payload.days.length === 0 || payload.days.length > 31) {
+    errors.push('days must list 1 to 31 days');
+    return errors;
+  }
+  payload.days.forEach((day, index) => {
+    if (!day || typeof day !== 'object' || !/^\d{4}-\d{2}-\d{2}$/.test(day.date)) {
+      errors.push(`days[${index}].date must be YYYY-MM-DD`);
+      return;
+    }
+    TEAM_SYNC_DAY_FIELDS.forEach(field => {
+      if (typeof day[field] !== 'number' || !Number.isFinite(day[field]) || day[field] < 0) {
+        errors.push(`days[${index}].${field} must be a number ≥ 0`);
+      }
+    });
+  });
+
+  const allowed = ['schema', 'schemaVersion', 'team', 'member', 'alias', 'sentAt', 'days'];
+  Object.keys(payload).filter(key => !allowed.includes(key)).forEach(key => errors.push(`${key} is not part of the schema`));
+  return errors;
+}
+
+async function readTeamSyncValue(key, fallback) {
+  const storage = getStorageArea('local');
+  if (!storage) return fallback;
+
+  try {
+    const result = await storage.get(key);
+    return result[key] === undefined ? fallback : result[key];
+  } catch (error) {
+    console.warn(`Could not read ${key}:`, error);
+    return fallback;
+  }
+}
+
+async function writeTeamSyncValue(key, value) {
+  const storage = getStorageArea('local');
+  if (!storage) return;
+
+  try {
+    await storage.set({ [key]: value });
+  } catch (error) {
+    console.warn(`Could not write ${key}:`, error);
+  }
+}
+
+// { memberId, lastAttemptAt, lastSuccessAt, lastReportedAt, lastError, lastPayload }:
+// lastReportedAt is when the newest report the server accepted was built, so
+// what the team totals hold of this browser's history
+function loadTeamSyncState() {
+  return readTeamSyncValue(TEAM_SYNC_STATE_STORAGE_KEY, {});
+}
+
+async function updateTeamSyncState(patch) {
+  const state = { ...(await loadTeamSyncState()), ...patch };
+  await writeTeamSyncValue(TEAM_SYNC_STATE_STORAGE_KEY, state);
+  return state;
+}
+
+// Reports waiting to be sent: [{ id, payload, attempts, nextAttemptAt }]
+function loadTeamSyncQueue() {
+  return readTeamSyncValue(TEAM_SYNC_QUEUE_STORAGE_KEY, []);
+}
+
+function saveTeamSyncQueue(queue) {
+  return writeTeamSyncValue(TEAM_SYNC_QUEUE_STORAGE_KEY, queue.slice(-TEAM_SYNC_QUEUE_MAX));
+}
+
+// Random per-browser id, made on first use; it never leaves this browser
+// except in reports
+async function getTeamSyncMemberId() {
+  const state = await loadTeamSyncState();
+  if (state.memberId) return state.memberId;
+
+  const memberId = crypto.randomUUID();
+  await updateTeamSyncState({ memberId });
+  return memberId;
+}
+
+function getTeamSyncBackoffMs(attempts) {
+  const delay = Math.min(TEAM_SYNC_BACKOFF_MAX_MS, TEAM_SYNC_BACKOFF_BASE_MS * 2 ** (attempts - 1));
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+function getTeamSyncHeaders(config) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiToken) headers.Authorization = `Bearer ${config.apiToken}`;
+  return headers;
+}
+
+// POST one report. Errors carry `permanent` when retrying can't help (the
+// server rejected the report itself rather than being down or busy).
+async function postTeamSyncReport(config, payload) {
+  if (config.endpoint === TEAM_SYNC_MOCK_ENDPOINT) {
+    await updateTeamSyncState({ lastPayload: payload });
+    return;
+  }
+
+  const headers = getTeamSyncHeaders(config);
+  const response = await fetchWithTimeout(config.endpoint, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload)
+  }, TEAM_SYNC_TIMEOUT_MS);
+
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.permanent = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+    throw error;
+  }
+}
+
+// Send every report that's due, oldest first, stopping at the first failure.
+// Returns the queue that's left.
+async function flushTeamSyncQueue(config, now = Date.now()) {
+  const queue = await loadTeamSyncQueue();
+  const remaining = [];
+  let failed = false;
+
+  for (const item of queue) {
+    if (failed || item.nextAttemptAt > now) {
+      remaining.push(item);
+      continue;
+    }
+
+    try {
+      await postTeamSyncReport(config, item.payload);
+      await updateTeamSyncState({ lastAttemptAt: now, lastSuccessAt: now, lastReportedAt: Date.parse(item.payload.sentAt), lastError: null });
+    } catch (error) {
+      failed = true;
+      const attempts = item.attempts + 1;
+      const dropped = error.permanent || attempts >= TEAM_SYNC_MAX_ATTEMPTS;
+      console.warn(`Team sync failed (attempt ${attempts})${dropped ? ', dropping the report' : ''}:`, error);
+      await updateTeamSyncState({ lastAttemptAt: now, lastError: error.message });
+      if (!dropped) remaining.push({ ...item, attempts, nextAttemptAt: now + getTeamSyncBackoffMs(attempts) });
+    }
+  }
+
+  await saveTeamSyncQueue(remaining);
+  return remaining;
+}
+
+// Wake up again when the earliest queued retry is due
+function scheduleTeamSyncRetry(queue) {
+  chrome.alarms.clear(TEAM_SYNC_RETRY_ALARM);
+  if (queue.length === 0) return;
+  chrome.alarms.create(TEAM_SYNC_RETRY_ALARM, { when: Math.min(...queue.map(item => item.nextAttemptAt)) });
+}
+
+// Queue a fresh report and send what's due. Does nothing while sync is off,
+// or while the privacy settings store no history to report on.
+async function runTeamSync(config = currentSettings.teamSync) {
+  if (!config.enabled || !isHistoryStored()) return null;
+
+  const payload = buildTeamSyncPayload(await loadLedger(), config, await getTeamSyncMemberId());
+  const queue = await loadTeamSyncQueue();
+  queue.push({ id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, payload, attempts: 0, nextAttemptAt: 0 });
+  await saveTeamSyncQueue(queue);
+
+  const remaining = await flushTeamSyncQueue(config);
+  scheduleTeamSyncRetry(remaining);
+  return remaining;
+}
+
+// The team's totals since `from`, from the endpoint's sibling path
+// teams/{team}/totals (as tools/team-sync-server.js lays it out)
+async function fetchTeamTotals(config, from) {
+  const url = new URL(`teams/${encodeURIComponent(config.team)}/totals`, config.endpoint);
+  url.searchParams.set('from', formatLocalDate(from));
+
+  const response = await fetchWithTimeout(url.href, { headers: getTeamSyncHeaders(config) }, TEAM_SYNC_TIMEOUT_MS);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const { totals } = await response.json();
+  const valid = totals && ['energyWh', 'carbonGrams'].every(field => typeof totals[field] === 'number' && Number.isFinite(totals[field]) && totals[field] >= 0);
+  if (!valid) throw new Error('The team server sent no totals');
+  return totals;
+}
+
+// Store the team's usage this budget period for a team budget (budget.js), or
+// clear it when there's no team budget. The server's totals hold this
+// browser's history only up to the last report it accepted, however much was
+// logged since or is still queued: that report's build time goes with them
+// (reportedUntil), and budget.js adds what's logged after it. The mock
+// endpoint has no team, so its totals are this browser's, up to now.
+async function refreshTeamBudgetUsage(settings = currentSettings, now = new Date()) {
+  const { budget, teamSync } = settings;
+  if (!budget.enabled || budget.scope !== 'team' || !teamSync.enabled || !isHistoryStored(settings.privacy)) {
+    await writeTeamSyncValue(TEAM_BUDGET_USAGE_STORAGE_KEY, null);
+    return null;
+  }
+
+  const periodStart = getPeriodStart(budget.period, now);
+  const mock = teamSync.endpoint === TEAM_SYNC_MOCK_ENDPOINT;
+  const totals = mock
+    ? { ...summarizeLedger(await loadLedger(), periodStart), members: 1 }
+    : await fetchTeamTotals(teamSync, periodStart);
+  const reportedUntil = mock ? now.getTime() : (await loadTeamSyncState()).lastReportedAt || 0;
+
+  const usage = {
+    team: teamSync.team,
+    period: budget.period,
+    periodStart,
+    energyWh: totals.energyWh,
+    carbonGrams: totals.carbonGrams,
+    members: Number(totals.members) || 0,
+    reportedUntil,
+    fetchedAt: now.getTime()
+  };
+  await writeTeamSyncValue(TEAM_BUDGET_USAGE_STORAGE_KEY, usage);
+  return usage;
+}
+
+// Retry what's queued without adding a new report
+async function retryTeamSync(config = currentSettings.teamSync) {
+  if (!config.enabled) return;
+  scheduleTeamSyncRetry(await flushTeamSyncQueue(config));
+}
+
+// Make the periodic alarm match the settings. The worker calls this every time
+// it starts, so an alarm that already has the right interval is left alone.
+// Turning sync off also drops anything still queued.
+async function scheduleTeamSync(config = currentSettings.teamSync) {
+  const alarm = await chrome.alarms.get(TEAM_SYNC_ALARM);
+  if (config.enabled && alarm && alarm.periodInMinutes === config.intervalMinutes) return;
+
+  await chrome.alarms.clear(TEAM_SYNC_ALARM);
+  if (!config.enabled) {
+    await chrome.alarms.clear(TEAM_SYNC_RETRY_ALARM);
+    await saveTeamSyncQueue([]);
+    return;
+  }
+  chrome.alarms.create(TEAM_SYNC_ALARM, { delayInMinutes: 1, periodInMinutes: config.intervalMinutes });
+}
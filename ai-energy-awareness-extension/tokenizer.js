@@ -0,0 +1,36 @@
+// tokenizer.js
+// Exact token counts using the bundled, offline gpt-tokenizer BPE build
+// (vendor/gpt-tokenizer). o200k_base matches the GPT-4o family; dropping the
+// cl100k_base build from the same package in its place works too.
+
+// Helper function to find whichever bundled encoding was loaded
+function getBundledTokenizer() {
+  if (typeof GPTTokenizer_o200k_base !== 'undefined') return GPTTokenizer_o200k_base;
+  if (typeof GPTTokenizer_cl100k_base !== 'undefined') return GPTTokenizer_cl100k_base;
+  return null;
+}
+
+// Count tokens in a piece of text. Falls back to ≈0.75 words per token if the
+// tokenizer bundle is missing or chokes on the input.
+function countTextTokens(text) {
+  if (!text) return 0;
+
+  const tokenizer = getBundledTokenizer();
+  if (tokenizer) {
+    try {
+      return tokenizer.countTokens(text);
+    } catch (error) {
+      console.warn('Tokenizer failed, falling back to word estimate:', error);
+    }
+  }
+
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.round(words / 0.75);
+}
+
+// Which counting method is active, for display in the breakdown
+function getTokenizerName() {
+  if (typeof GPTTokenizer_o200k_base !== 'undefined') return 'o200k_base';
+  if (typeof GPTTokenizer_cl100k_base !== 'undefined') return 'cl100k_base';
+  return 'word estimate';
+}
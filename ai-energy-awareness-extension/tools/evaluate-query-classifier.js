@@ -0,0 +1,82 @@
+// tools/evaluate-query-classifier.js
+// Accuracy check for the query classifier. Cross-validates on the labelled
+// corpus (train on four folds, test on the fifth), then checks the shipped
+// query-classifier.json is up to date with the corpus. Exits non-zero when
+// accuracy drops below the floor or the weights are stale, so it can gate CI:
+//
+//   node tools/evaluate-query-classifier.js
+
+const fs = require('fs');
+// Also loads query-classifier.js, which defines classifyQuery globally
+const { trainQueryClassifier, loadCorpus, weightsPath } = require('./train-query-classifier');
+
+const FOLDS = 5;
+// Held-out accuracy floor; raise it as the corpus grows
+const MIN_ACCURACY = 0.8;
+// Mean relative error of the predicted reply length against the labels
+const MAX_LENGTH_ERROR = 0.5;
+
+const corpus = loadCorpus();
+const confusion = {};
+corpus.categories.forEach(actual => {
+  confusion[actual] = {};
+  corpus.categories.forEach(predicted => { confusion[actual][predicted] = 0; });
+});
+
+let correct = 0;
+let lengthError = 0;
+const misses = [];
+
+for (let fold = 0; fold < FOLDS; fold++) {
+  const train = corpus.examples.filter((example, index) => index % FOLDS !== fold);
+  const test = corpus.examples.filter((example, index) => index % FOLDS === fold);
+  const classifier = trainQueryClassifier(train, corpus.categories, corpus.languages);
+
+  test.forEach(example => {
+    const prediction = classifyQuery(example.text, classifier);
+    confusion[example.category][prediction.category] += 1;
+    lengthError += Math.abs(prediction.responseTokens - example.responseTokens) / example.responseTokens;
+    if (prediction.category === example.category) {
+      correct += 1;
+    } else {
+      misses.push(`  "${example.text}": expected ${example.category}, got ${prediction.category}`);
+    }
+  });
+}
+
+const total = corpus.examples.length;
+const accuracy = correct / total;
+const meanLengthError = lengthError / total;
+
+console.log(`${FOLDS}-fold accuracy: ${(accuracy * 100).toFixed(1)}% (${correct}/${total})`);
+console.log(`Mean reply-length error: ${(meanLengthError * 100).toFixed(1)}%`);
+console.log('\nConfusion (rows: labelled, columns: predicted)');
+console.log(['', ...corpus.categories].map(id => id.padStart(9)).join(''));
+corpus.categories.forEach(actual => {
+  console.log([actual, ...corpus.categories.map(predicted => String(confusion[actual][predicted]))]
+    .map(cell => cell.padStart(9)).join(''));
+});
+if (misses.length > 0) {
+  console.log('\nMisclassified:');
+  console.log(misses.join('\n'));
+}
+
+const failures = [];
+if (accuracy < MIN_ACCURACY) {
+  failures.push(`accuracy ${(accuracy * 100).toFixed(1)}% is below ${MIN_ACCURACY * 100}%`);
+}
+if (meanLengthError > MAX_LENGTH_ERROR) {
+  failures.push(`reply-length error ${(meanLengthError * 100).toFixed(1)}% is above ${MAX_LENGTH_ERROR * 100}%`);
+}
+
+const shipped = JSON.parse(fs.readFileSync(weightsPath, 'utf8'));
+const fresh = trainQueryClassifier(corpus.examples, corpus.categories, corpus.languages);
+if (JSON.stringify(shipped) !== JSON.stringify(fresh)) {
+  failures.push('query-classifier.json is out of date with the corpus; run tools/train-query-classifier.js');
+}
+
+if (failures.length > 0) {
+  console.error(`\nFAIL: ${failures.join('; ')}`);
+  process.exit(1);
+}
+console.log('\nOK');
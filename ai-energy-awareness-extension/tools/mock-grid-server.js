@@ -0,0 +1,64 @@
+// tools/mock-grid-server.js
+// Local stand-in for an Electricity Maps-style grid-intensity API, for
+// developing the live provider path offline. No dependencies:
+//
+//   node tools/mock-grid-server.js
+//
+// then choose the "Electricity Maps" provider on the options page with endpoint
+//   http://localhost:8787/v3/carbon-intensity/latest?zone={zone}
+//
+// Environment knobs for exercising the fallbacks:
+//   PORT=8787               port to listen on
+//   MOCK_GRID_DELAY_MS=6000 delay every response (trips the provider timeout)
+//   MOCK_GRID_FAIL=1        answer every request with HTTP 503
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+const port = Number(process.env.PORT) || 8787;
+const delayMs = Number(process.env.MOCK_GRID_DELAY_MS) || 0;
+const fail = process.env.MOCK_GRID_FAIL === '1';
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'grid-intensity.json'), 'utf8'));
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'auth-token, Authorization'
+  });
+  response.end(JSON.stringify(body));
+}
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${port}`);
+
+  if (request.method === 'OPTIONS') {
+    send(response, 204, {});
+    return;
+  }
+
+  setTimeout(() => {
+    if (fail) {
+      send(response, 503, { error: 'Mock provider configured to fail' });
+      return;
+    }
+    if (url.pathname !== '/v3/carbon-intensity/latest') {
+      send(response, 404, { error: `Unknown path ${url.pathname}` });
+      return;
+    }
+
+    const zone = url.searchParams.get('zone');
+    const reading = fixture.zones[zone];
+    if (!reading) {
+      send(response, 404, { error: `Unknown zone ${zone}` });
+      return;
+    }
+
+    send(response, 200, { ...reading, datetime: new Date().toISOString(), updatedAt: new Date().toISOString() });
+  }, delayMs);
+});
+
+server.listen(port, () => {
+  console.log(`Mock grid-intensity provider on http://localhost:${port}/v3/carbon-intensity/latest?zone=FR`);
+});
@@ -0,0 +1,239 @@
+// tools/team-sync-server.js
+// Reference server for team sync (team-sync.js): takes the reports members'
+// browsers POST and serves team totals and a leaderboard. Small enough to run
+// as-is for a team or to read as a spec for your own. No dependencies:
+//
+//   node tools/team-sync-server.js
+//
+// then on the options page turn on team sync with endpoint
+//   http://localhost:8788/v1/usage
+//
+// Endpoints:
+//   POST /v1/usage                          one report (schemas/team-sync.schema.json)
+//   GET  /v1/teams/{team}/totals?days=30    the team's summed figures
+//   GET  /v1/teams/{team}/totals?from=2026-10-01
+//                                           the same since a date (team budgets)
+//   GET  /v1/teams/{team}/leaderboard?days=30
+//                                           members ranked by CO₂ avoided
+//
+// A report replaces the member's figures for each date it lists, so the
+// overlapping and retried reports the client sends never double count.
+//
+// Environment knobs:
+//   PORT=8788                  port to listen on
+//   TEAM_SYNC_TOKEN=secret     require "Authorization: Bearer secret" on every request
+//   TEAM_SYNC_DATA=team.json   keep the data in this file (in memory only otherwise)
+// and for exercising the client's retry queue:
+//   TEAM_SYNC_DELAY_MS=12000   delay every response (trips the client timeout)
+//   TEAM_SYNC_FAIL=1           answer every request with HTTP 503
+//   TEAM_SYNC_FAIL_RATE=0.5    answer that share of requests with HTTP 503
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const vm = require('vm');
+
+// Same report validation the extension uses
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'team-sync.js'), 'utf8'));
+
+const port = Number(process.env.PORT) || 8788;
+const token = process.env.TEAM_SYNC_TOKEN || '';
+const dataPath = process.env.TEAM_SYNC_DATA || '';
+const delayMs = Number(process.env.TEAM_SYNC_DELAY_MS) || 0;
+const failRate = process.env.TEAM_SYNC_FAIL === '1' ? 1 : Number(process.env.TEAM_SYNC_FAIL_RATE) || 0;
+
+// Reports are a few kB; anything much bigger isn't one
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_WINDOW_DAYS = 366;
+const SUMMED_FIELDS = TEAM_SYNC_DAY_FIELDS;
+
+// { teams: { [team]: { members: { [member]: { alias, lastSeenAt, days: { [date]: day } } } } } }
+// Team names come straight from reports, so the maps keyed by them have no
+// prototype: a team called "__proto__" or "constructor" is just another team.
+function createMap(entries = {}) {
+  return Object.assign(Object.create(null), entries);
+}
+
+// Rebuild saved data (plain JSON objects) with prototype-less maps
+function restoreData(saved) {
+  const teams = createMap();
+  Object.keys(saved.teams || {}).forEach(teamName => {
+    const members = createMap();
+    const savedMembers = saved.teams[teamName].members || {};
+    Object.keys(savedMembers).forEach(id => {
+      members[id] = { ...savedMembers[id], days: createMap(savedMembers[id].days) };
+    });
+    teams[teamName] = { members };
+  });
+  return { teams };
+}
+
+let data = { teams: createMap() };
+if (dataPath && fs.existsSync(dataPath)) {
+  data = restoreData(JSON.parse(fs.readFileSync(dataPath, 'utf8')));
+}
+
+function saveData() {
+  if (dataPath) fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Report too large'), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+// Store one validated report, replacing the member's figures for its dates
+function storeReport(report) {
+  const team = data.teams[report.team] || (data.teams[report.team] = { members: createMap() });
+  const member = team.members[report.member] || (team.members[report.member] = { days: createMap() });
+
+  member.alias = report.alias || null;
+  member.lastSeenAt = new Date().toISOString();
+  report.days.forEach(day => {
+    const figures = {};
+    SUMMED_FIELDS.forEach(field => { figures[field] = day[field]; });
+    member.days[day.date] = figures;
+  });
+}
+
+// First date (YYYY-MM-DD, server time) of a `days`-long window ending today
+function getWindowStart(days) {
+  const start = new Date();
+  start.setDate(start.getDate() - (days - 1));
+  return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+}
+
+function sumMemberDays(member, from) {
+  const totals = {};
+  SUMMED_FIELDS.forEach(field => { totals[field] = 0; });
+  Object.keys(member.days).filter(date => date >= from).forEach(date => {
+    SUMMED_FIELDS.forEach(field => { totals[field] += member.days[date][field]; });
+  });
+  SUMMED_FIELDS.forEach(field => { totals[field] = Math.round(totals[field] * 1e6) / 1e6; });
+  return totals;
+}
+
+function getTeamTotals(team, from) {
+  const members = Object.values(team.members).map(member => sumMemberDays(member, from));
+  const totals = {};
+  SUMMED_FIELDS.forEach(field => {
+    totals[field] = Math.round(members.reduce((sum, member) => sum + member[field], 0) * 1e6) / 1e6;
+  });
+  return { members: members.filter(member => member.queries > 0).length, ...totals };
+}
+
+// Members with any activity in the window, most CO₂ avoided first. Members
+// without an alias show as the start of their random id.
+function getLeaderboard(team, from) {
+  return Object.keys(team.members)
+    .map(id => ({ id, member: team.members[id], totals: sumMemberDays(team.members[id], from) }))
+    .filter(({ totals }) => totals.queries > 0)
+    .map(({ id, member, totals }) => ({
+      name: member.alias || `member ${id.slice(0, 8)}`,
+      ...totals,
+      // Share of queries that went to an AI chat
+      aiShare: Math.round((totals.chatgpt / totals.queries) * 1000) / 1000
+    }))
+    .sort((a, b) => b.savedCarbonGrams - a.savedCarbonGrams || a.aiShare - b.aiShare)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+async function handle(request, response, url) {
+  if (token && request.headers.authorization !== `Bearer ${token}`) {
+    send(response, 401, { error: 'Missing or wrong bearer token' });
+    return;
+  }
+
+  if (request.method === 'POST' && url.pathname === '/v1/usage') {
+    let report;
+    try {
+      report = JSON.parse(await readBody(request));
+    } catch (error) {
+      send(response, error.status || 400, { error: error.status ? error.message : 'Body is not valid JSON' });
+      return;
+    }
+
+    const errors = validateTeamSyncPayload(report);
+    if (errors.length > 0) {
+      send(response, 400, { error: 'Report does not match the schema', details: errors });
+      return;
+    }
+
+    storeReport(report);
+    saveData();
+    send(response, 200, { ok: true, days: report.days.length });
+    return;
+  }
+
+  const match = url.pathname.match(/^\/v1\/teams\/([^/]+)\/(totals|leaderboard)$/);
+  if (request.method === 'GET' && match) {
+    const teamName = decodeURIComponent(match[1]);
+    const days = Math.min(MAX_WINDOW_DAYS, Math.max(1, Number(url.searchParams.get('days')) || 30));
+    const team = data.teams[teamName];
+    if (!team) {
+      send(response, 404, { error: `Unknown team ${teamName}` });
+      return;
+    }
+
+    // Dates are the members' own local dates, so a budget period's start compares as-is
+    const requestedFrom = url.searchParams.get('from');
+    if (requestedFrom !== null && !/^\d{4}-\d{2}-\d{2}$/.test(requestedFrom)) {
+      send(response, 400, { error: 'from must be YYYY-MM-DD' });
+      return;
+    }
+    const window = requestedFrom ? { from: requestedFrom } : { from: getWindowStart(days), days };
+    send(response, 200, match[2] === 'totals'
+      ? { team: teamName, ...window, totals: getTeamTotals(team, window.from) }
+      : { team: teamName, ...window, leaderboard: getLeaderboard(team, window.from) });
+    return;
+  }
+
+  send(response, 404, { error: `Unknown path ${request.method} ${url.pathname}` });
+}
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${port}`);
+
+  if (request.method === 'OPTIONS') {
+    send(response, 204, {});
+    return;
+  }
+
+  setTimeout(() => {
+    if (Math.random() < failRate) {
+      send(response, 503, { error: 'Team sync server configured to fail' });
+      return;
+    }
+    handle(request, response, url).catch(error => {
+      console.error(error);
+      send(response, 500, { error: 'Internal error' });
+    });
+  }, delayMs);
+});
+
+server.listen(port, () => {
+  console.log(`Team sync server on http://localhost:${port}/v1/usage${dataPath ? `, data in ${dataPath}` : ''}`);
+});
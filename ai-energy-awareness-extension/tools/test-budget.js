@@ -0,0 +1,108 @@
+// tools/test-budget.js
+// Checks budget accounting (budget.js): what each period counts, the
+// warning levels, the hard stop, team budgets, and that a cached status
+// doesn't outlive its period:
+//
+//   node tools/test-budget.js
+
+const { loadExtensionScripts, createChecker } = require('./test-helpers');
+
+const context = loadExtensionScripts([
+  'storage.js', 'models.js', 'grid-regions.js', 'grid-providers.js', 'destinations.js',
+  'settings.js', 'privacy.js', 'ledger.js', 'budget.js'
+]);
+
+const check = createChecker('Budget');
+
+// Monday 19 October 2026, midday
+const now = new Date(2026, 9, 19, 12);
+const at = (day, hour) => new Date(2026, 9, day, hour).getTime();
+const aiEntry = (timestamp, energyWh) => ({
+  id: String(timestamp),
+  timestamp,
+  decision: 'chatgpt',
+  google: { energyWh: 0.3, carbonGrams: 0.1, score: 1 },
+  chatgpt: { energyWh, carbonGrams: energyWh * 0.4, score: 4 }
+});
+const entries = [
+  aiEntry(at(1, 9), 20), // earlier this month
+  aiEntry(at(18, 9), 4), // Sunday: last week
+  aiEntry(at(19, 8), 3), // today
+  { ...aiEntry(at(19, 9), 9), decision: 'google' } // today, looked up instead: 0.3 Wh
+];
+const budget = { enabled: true, period: 'day', metric: 'energy', energyWh: 6, carbonGrams: 4, hardStop: true };
+
+// [label, budget overrides, expected { used, level }]
+const STATUS_CASES = [
+  ['today', {}, { used: 3.3, level: 'approaching' }],
+  ['this week (from Monday)', { period: 'week' }, { used: 3.3, level: 'approaching' }],
+  ['this month', { period: 'month' }, { used: 27.3, level: 'exceeded' }],
+  ['carbon', { metric: 'carbon' }, { used: 1.3, level: 'ok' }],
+  ['small budget', { energyWh: 4 }, { used: 3.3, level: 'warning' }],
+  ['used up', { energyWh: 3.3 }, { used: 3.3, level: 'exceeded' }]
+];
+
+STATUS_CASES.forEach(([label, overrides, expected]) => {
+  const status = context.getBudgetStatus(entries, { ...budget, ...overrides }, now);
+  check.equal(`getBudgetStatus: ${label}`, { used: Math.round(status.used * 1000) / 1000, level: status.level }, expected);
+});
+check.equal('getBudgetStatus: off', context.getBudgetStatus(entries, { ...budget, enabled: false }, now), null);
+
+// The team's totals fetched at 11:00, holding this browser's reports up to
+// 8:30: entries logged since (the 9:00 lookup) come on top, earlier ones are
+// already in them
+const teamUsage = {
+  team: 'Platform team',
+  period: 'day',
+  periodStart: at(19, 0),
+  energyWh: 5,
+  carbonGrams: 2,
+  members: 3,
+  reportedUntil: at(19, 8) + 30 * 60 * 1000,
+  fetchedAt: at(19, 11)
+};
+const teamBudget = { ...budget, scope: 'team' };
+
+// [label, budget, team usage, expected { scope, used, level }]
+const TEAM_CASES = [
+  ['team totals plus later entries', teamBudget, teamUsage, { scope: 'team', used: 5.3, level: 'warning' }],
+  ['no totals yet', teamBudget, null, { scope: 'personal', used: 3.3, level: 'approaching' }],
+  ['totals from yesterday', teamBudget, { ...teamUsage, periodStart: at(18, 0) }, { scope: 'personal', used: 3.3, level: 'approaching' }],
+  ['totals for another period', teamBudget, { ...teamUsage, period: 'week' }, { scope: 'personal', used: 3.3, level: 'approaching' }],
+  ['personal budget', budget, teamUsage, { scope: 'personal', used: 3.3, level: 'approaching' }]
+];
+
+TEAM_CASES.forEach(([label, teamCaseBudget, usage, expected]) => {
+  const status = context.getBudgetStatus(entries, teamCaseBudget, now, usage);
+  check.equal(`getBudgetStatus: ${label}`, { scope: status.scope, used: Math.round(status.used * 1000) / 1000, level: status.level }, expected);
+});
+check.equal('validateSettings: team budget without team sync', context.validateSettings({ budget: teamBudget }).errors, ['budget.scope "team" needs team sync turned on']);
+
+const monthStatus = context.getBudgetStatus(entries, { ...budget, period: 'month' }, now);
+check.equal('getProjectedBudgetShare', Math.round(context.getProjectedBudgetShare(monthStatus, { energyWh: 2.7 }) * 100), 500);
+
+// The hard stop needs both the setting and an exceeded budget
+context.evaluate('currentSettings').budget = { ...budget, hardStop: true };
+check.equal('isBudgetHardStopped: exceeded', context.isBudgetHardStopped(monthStatus), true);
+check.equal('isBudgetHardStopped: within budget', context.isBudgetHardStopped(context.getBudgetStatus(entries, budget, now)), false);
+context.evaluate('currentSettings').budget = { ...budget, hardStop: false };
+check.equal('isBudgetHardStopped: hard stop off', context.isBudgetHardStopped(monthStatus), false);
+
+// A status cached on the last day of the month, read after it ends
+context.evaluate(`currentBudgetStatus = ${JSON.stringify(monthStatus)}`);
+check.equal('getCurrentBudgetStatus: same period', context.getCurrentBudgetStatus(new Date(2026, 9, 31, 23)).level, 'exceeded');
+const rolledOver = context.getCurrentBudgetStatus(new Date(2026, 10, 1, 0, 5));
+check.equal('getCurrentBudgetStatus: next period', [rolledOver.used, rolledOver.level, rolledOver.periodStart], [0, 'ok', new Date(2026, 10, 1).getTime()]);
+
+// [period, expected next start]
+const NEXT_PERIOD_CASES = [
+  ['day', new Date(2026, 9, 20)],
+  ['week', new Date(2026, 9, 26)],
+  ['month', new Date(2026, 10, 1)]
+];
+
+NEXT_PERIOD_CASES.forEach(([period, expected]) => {
+  check.equal(`getNextPeriodStart(${period})`, context.getNextPeriodStart(period, now), expected.getTime());
+});
+
+check.finish();
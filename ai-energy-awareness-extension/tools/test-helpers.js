@@ -0,0 +1,91 @@
+// tools/test-helpers.js
+// Shared by the tools/test-*.js checks. The extension's scripts aren't
+// modules: the browser runs them one after another in a single global scope.
+// loadExtensionScripts does the same in a fresh vm context, so the checks run
+// the shipped files unchanged under plain node:
+//
+//   for f in tools/test-*.js; do node "$f" || exit 1; done
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const extensionDir = path.join(__dirname, '..');
+
+// A vm context with `files` (paths relative to the extension) run in order.
+// `globals` stands in for the browser APIs the scripts touch at load time.
+function loadExtensionScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    crypto: globalThis.crypto,
+    Intl,
+    TextEncoder,
+    URL,
+    URLSearchParams,
+    navigator: { language: 'en-US' },
+    ...globals
+  });
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(extensionDir, file), 'utf8'), context, { filename: file });
+  });
+  // Top-level const and let aren't properties of the context; this reaches them too
+  context.evaluate = code => vm.runInContext(code, context);
+  return context;
+}
+
+// An in-memory stand-in for a chrome.storage area; `items` is its content
+function createMemoryStorage(items = {}) {
+  return {
+    items,
+    async get(keys) {
+      const result = {};
+      (keys === null ? Object.keys(items) : [].concat(keys)).filter(key => key in items).forEach(key => { result[key] = items[key]; });
+      return result;
+    },
+    async set(values) {
+      Object.assign(items, values);
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => { delete items[key]; });
+    },
+    async clear() {
+      Object.keys(items).forEach(key => { delete items[key]; });
+    }
+  };
+}
+
+// Show UI strings from a _locales catalog, as applyUiLanguage does in the
+// browser (needs i18n.js loaded); without one uiText returns the bare keys
+function useUiCatalog(context, language) {
+  const catalog = fs.readFileSync(path.join(extensionDir, '_locales', language, 'messages.json'), 'utf8');
+  context.evaluate(`uiCatalog = ${catalog}; uiLocale = ${JSON.stringify(language)};`);
+}
+
+// Collects expectations and reports them the way evaluate-query-classifier.js
+// does: the misses, then OK or FAIL with a non-zero exit code
+function createChecker(title) {
+  const failures = [];
+  let count = 0;
+
+  return {
+    // Values are compared as JSON, so objects from the vm context compare by content
+    equal(label, actual, expected) {
+      count += 1;
+      const actualJson = JSON.stringify(actual);
+      const expectedJson = JSON.stringify(expected);
+      if (actualJson !== expectedJson) failures.push(`  ${label}: expected ${expectedJson}, got ${actualJson}`);
+    },
+
+    finish() {
+      console.log(`${title}: ${count - failures.length}/${count} passed`);
+      if (failures.length > 0) {
+        console.error(failures.join('\n'));
+        console.error('\nFAIL');
+        process.exit(1);
+      }
+      console.log('OK');
+    }
+  };
+}
+
+module.exports = { extensionDir, loadExtensionScripts, createMemoryStorage, useUiCatalog, createChecker };
@@ -0,0 +1,106 @@
+// tools/test-ledger-export.js
+// Checks the history import and export helpers (ledger.js, ledger-export.js):
+// merging by id, which imported entries are accepted and what's kept of them,
+// CSV quoting, and the history page's figures in the UI language:
+//
+//   node tools/test-ledger-export.js
+
+const { loadExtensionScripts, useUiCatalog, createChecker } = require('./test-helpers');
+
+// Loaded in history.html's order
+const context = loadExtensionScripts([
+  'i18n.js', 'storage.js', 'site-adapters.js', 'models.js', 'grid-regions.js', 'grid-providers.js', 'destinations.js',
+  'settings.js', 'privacy.js', 'ledger.js', 'energy.js', 'ledger-export.js'
+]);
+
+const check = createChecker('Ledger export');
+
+const cost = { energyWh: 0.3, carbonGrams: 0.1, score: 1 };
+const entry = (id, timestamp, extra = {}) => ({
+  id,
+  timestamp,
+  decision: 'google',
+  complexity: 1.5,
+  estimatedTokens: 400,
+  google: cost,
+  chatgpt: { energyWh: 3, carbonGrams: 1.2, score: 4 },
+  ...extra
+});
+
+// mergeLedgers: new ids are added, known ones counted, the result oldest first
+const merged = context.mergeLedgers([entry('a', 1), entry('c', 3)], [entry('b', 2), entry('c', 3), entry('d', 0)]);
+check.equal('mergeLedgers order', merged.entries.map(item => item.id), ['d', 'a', 'b', 'c']);
+check.equal('mergeLedgers counts', [merged.added, merged.duplicates], [2, 1]);
+
+// [label, entry, valid?]
+const VALIDITY_CASES = [
+  ['complete entry', entry('a', 1), true],
+  ['with every optional field', entry('a', 1, {
+    site: 'claude', model: 'claude-sonnet', requestType: 'text', contextTokens: 10, attachmentTokens: 0,
+    gridMultiplier: 1, gridRegion: null, gridIntensitySource: 'estimate', budgetOverride: true,
+    destination: { id: 'wikipedia', label: 'Wikipedia', energyWh: 0.1, carbonGrams: 0.04 },
+    actual: { outputTokens: 300, reasoningTokens: 0, energyWh: 2, carbonGrams: 0.8 }
+  }), true],
+  ['not an object', 'entry', false],
+  ['null', null, false],
+  ['empty id', entry('', 1), false],
+  ['unknown decision', entry('a', 1, { decision: 'bing' }), false],
+  ['timestamp as text', entry('a', '1'), false],
+  ['no complexity', entry('a', 1, { complexity: undefined }), false],
+  ['complexity as text', entry('a', 1, { complexity: '1.5' }), false],
+  ['no score', entry('a', 1, { google: { energyWh: 0.3, carbonGrams: 0.1 } }), false],
+  ['model as object', entry('a', 1, { model: { toString: 'x' } }), false],
+  ['destination without label', entry('a', 1, { destination: { energyWh: 0.1, carbonGrams: 0.04 } }), false],
+  ['NaN in measured reply', entry('a', 1, { actual: { outputTokens: NaN, energyWh: 1, carbonGrams: 1 } }), false],
+  ['over-long site', entry('a', 1, { site: 'x'.repeat(500) }), false]
+];
+
+VALIDITY_CASES.forEach(([label, value, expected]) => check.equal(`isValidLedgerEntry: ${label}`, context.isValidLedgerEntry(value), expected));
+
+// [value, CSV field]
+const CSV_CASES = [
+  [null, ''],
+  [undefined, ''],
+  [1.5, '1.5'],
+  [-2, '-2'],
+  ['plain', 'plain'],
+  ['a,b', '"a,b"'],
+  ['say "hi"', '"say ""hi"""'],
+  ['two\nlines', '"two\nlines"'],
+  ['=HYPERLINK("x")', '"\'=HYPERLINK(""x"")"'],
+  ['+1 555', "'+1 555"],
+  ['-2', "'-2"],
+  ['@SUM(A1)', "'@SUM(A1)"],
+  ['\t=1+1', "'\t=1+1"],
+  ['\r=1+1', '"\'\r=1+1"']
+];
+
+CSV_CASES.forEach(([value, expected]) => check.equal(`toCsvField(${JSON.stringify(value)})`, context.toCsvField(value), expected));
+
+async function checkSanitizing() {
+  const imported = entry('a', 1, {
+    model: '<img src=x onerror=alert(1)>',
+    extra: 'dropped',
+    google: { ...cost, extra: 'dropped' },
+    prompt: 'mail jane@example.com',
+    promptHash: 'f'.repeat(64)
+  });
+
+  const metrics = await context.sanitizeImportedEntry(imported, { mode: 'metrics', retentionDays: 0 });
+  check.equal('sanitizeImportedEntry drops unknown fields and, outside redacted mode, prompts', metrics, {
+    id: 'a', timestamp: 1, decision: 'google', complexity: 1.5, estimatedTokens: 400,
+    model: '<img src=x onerror=alert(1)>', google: cost, chatgpt: { energyWh: 3, carbonGrams: 1.2, score: 4 }
+  });
+
+  const redacted = await context.sanitizeImportedEntry(imported, { mode: 'redacted', retentionDays: 0 });
+  check.equal('sanitizeImportedEntry scrubs prompts again', redacted.prompt, 'mail [EMAIL]');
+  check.equal('sanitizeImportedEntry rehashes a changed prompt', redacted.promptHash, await context.hashPrompt('mail [EMAIL]'));
+  check.equal('sanitizeImportedEntry rejects invalid entries', await context.sanitizeImportedEntry({ id: 'x' }), null);
+}
+
+check.equal('formatEnergy in English', [context.formatEnergy(1234.5), context.formatCarbon(0.5)], ['1.23 kWh', '0.50 g CO₂']);
+useUiCatalog(context, 'de');
+check.equal('formatEnergy in German', [context.formatEnergy(1234.5), context.formatCarbon(0.5)], ['1,23 kWh', '0,50 g CO₂']);
+check.equal('getDecisionLabel in German', [context.getDecisionLabel('chatgpt'), context.getDecisionLabel('other')], ['KI-Chat genutzt', 'other']);
+
+checkSanitizing().then(() => check.finish());
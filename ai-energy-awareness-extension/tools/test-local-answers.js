@@ -0,0 +1,54 @@
+// tools/test-local-answers.js
+// Checks answerLocally (local-answers.js) against questions with known
+// answers, on a fixed date so the date math doesn't drift:
+//
+//   node tools/test-local-answers.js
+
+const { loadExtensionScripts, useUiCatalog, createChecker } = require('./test-helpers');
+
+const context = loadExtensionScripts(['i18n.js', 'local-answers.js']);
+useUiCatalog(context, 'en');
+
+// Monday 19 October 2026, midday
+const now = new Date(2026, 9, 19, 12);
+
+// [query, expected answer, or null when it should go to a search or the AI]
+const CASES = [
+  ['2 + 2', '4'],
+  ['what is 2 × (3 + 4)^2', '98'],
+  ['0.1 + 0.2', '0.3'],
+  ['1,000 * 3', '3,000'],
+  ['15% of 240', '36'],
+  ['50%', '0.5'],
+  ['100 - 20%', '80'],
+  ['100 + 20%', '120'],
+  ['200 - (5 + 5)%', '180'],
+  ['100 - 20% * 50', '90'],
+  ['20% * 50', '10'],
+  ['1 / 0', null],
+  ['123456789012345 * 1', '123,456,789,012,345'],
+  ['2^1000', '1.071509 × 10^301'],
+  ['1 / 3000000000', '3.333333 × 10^-10'],
+  ['9007199254740993 * 1', null],
+  ['2 +', null],
+  ['42', null],
+  ['convert 5 miles to km', '8.04672 km'],
+  ['days until christmas', '67 days from today'],
+  ['days until feb 29', '498 days from today'],
+  ['days between 2026-01-01 and 2026-03-01', '59 days'],
+  ['what day is july 20 1969', 'Sunday, July 20, 1969'],
+  ['what day is february 30', null],
+  ['days until 2026-02-30', null],
+  ['days until 2026-13-01', null],
+  ['days until april 31', null],
+  ['what day is feb 29 2027', null],
+  ['what day is feb 29 2028', 'Tuesday, February 29, 2028'],
+  ['how do I bake bread', null]
+];
+
+const check = createChecker('Local answers');
+CASES.forEach(([query, expected]) => {
+  const result = context.answerLocally(query, now);
+  check.equal(query, result ? result.answer : null, expected);
+});
+check.finish();
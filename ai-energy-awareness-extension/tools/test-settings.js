@@ -0,0 +1,64 @@
+// tools/test-settings.js
+// Checks that API tokens stay out of Chrome sync and the settings export
+// (settings.js): saving splits them into local storage, loading puts them
+// back, tokens older versions left in sync storage move over, and wiping
+// data keeps them, after any ledger write already queued. Also that the live
+// grid zone, shown in the pop-up, has to be a zone id:
+//
+//   node tools/test-settings.js
+
+const { loadExtensionScripts, createMemoryStorage, createChecker } = require('./test-helpers');
+
+const sync = createMemoryStorage();
+const local = createMemoryStorage();
+const context = loadExtensionScripts([
+  'storage.js', 'models.js', 'grid-regions.js', 'grid-providers.js', 'destinations.js', 'settings.js', 'privacy.js', 'ledger.js'
+], { chrome: { storage: { sync, local } } });
+
+const check = createChecker('Settings');
+
+async function run() {
+  const raw = context.getDefaultSettings();
+  raw.liveGrid = { ...raw.liveGrid, provider: 'electricitymaps', apiToken: 'grid-secret' };
+  raw.teamSync = { ...raw.teamSync, endpoint: 'https://sync.example.com/v1/usage', apiToken: 'team-secret' };
+
+  const { errors } = await context.saveSettings(raw);
+  check.equal('saveSettings succeeds', errors, []);
+  check.equal('sync storage has no tokens', [sync.items.ecoquerySettings.liveGrid.apiToken, sync.items.ecoquerySettings.teamSync.apiToken], [undefined, undefined]);
+  check.equal('local storage has the tokens', local.items.ecoquerySettingsSecrets, { liveGrid: { apiToken: 'grid-secret' }, teamSync: { apiToken: 'team-secret' } });
+
+  const loaded = await context.loadSettings();
+  check.equal('loadSettings restores the tokens', [loaded.liveGrid.apiToken, loaded.teamSync.apiToken], ['grid-secret', 'team-secret']);
+
+  const exported = JSON.parse(JSON.stringify(context.withoutSecretSettings(loaded)));
+  check.equal('the export has no tokens', JSON.stringify(exported).includes('secret'), false);
+  check.equal('the export keeps the rest', exported.teamSync.endpoint, 'https://sync.example.com/v1/usage');
+
+  // Importing a file (no tokens) keeps this browser's
+  await context.saveSettings(context.withSecretSettings(exported, context.getSecretSettings(loaded)));
+  check.equal('import keeps the tokens', local.items.ecoquerySettingsSecrets.teamSync, { apiToken: 'team-secret' });
+  check.equal('non-object imports still fail', (await context.saveSettings(context.withSecretSettings(5, {}))).errors.length > 0, true);
+
+  const withZone = zone => context.validateSettings({ liveGrid: { zone } });
+  check.equal('validateSettings accepts a zone id', withZone('US-CAL-CISO').errors, []);
+  const markup = withZone('<img src=x onerror=alert(1)>');
+  check.equal('validateSettings rejects markup as a zone', [markup.errors, markup.settings.liveGrid.zone], [['liveGrid.zone must be a zone id such as DE or US-CAL-CISO'], '']);
+
+  // An older version's settings, token and all, in sync storage
+  delete local.items.ecoquerySettingsSecrets;
+  sync.items.ecoquerySettings = { ...sync.items.ecoquerySettings, teamSync: { ...sync.items.ecoquerySettings.teamSync, apiToken: 'old-secret' } };
+  await context.moveSecretSettingsToLocal();
+  check.equal('moveSecretSettingsToLocal empties sync', sync.items.ecoquerySettings.teamSync.apiToken, undefined);
+  check.equal('moveSecretSettingsToLocal keeps the token', local.items.ecoquerySettingsSecrets, { teamSync: { apiToken: 'old-secret' } });
+
+  // A decision recorded just before the wipe is queued ahead of it, not written after
+  const recorded = context.requestLedgerChange({ op: 'add', entries: [{ id: 'before-wipe', timestamp: Date.now() }] });
+  await context.requestLedgerChange({ op: 'wipe' });
+  await recorded;
+  check.equal('the wipe keeps only the tokens', Object.keys(local.items), ['ecoquerySettingsSecrets']);
+
+  await context.resetSettings();
+  check.equal('resetSettings drops the tokens', [Object.keys(local.items), Object.keys(sync.items)], [[], []]);
+}
+
+run().then(() => check.finish());
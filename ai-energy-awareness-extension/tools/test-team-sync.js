@@ -0,0 +1,125 @@
+// tools/test-team-sync.js
+// Checks team sync reports (team-sync.js): that buildTeamSyncPayload writes
+// reports validateTeamSyncPayload accepts, which malformed reports the
+// validation (shared with tools/team-sync-server.js) turns away, and how a
+// team budget's totals are fetched back:
+//
+//   node tools/test-team-sync.js
+
+const { loadExtensionScripts, createMemoryStorage, createChecker } = require('./test-helpers');
+
+const local = createMemoryStorage();
+// What the stand-in team server answers, and what it was asked
+let serverReply = { team: 'Platform team', from: '2026-10-01', totals: { members: 3, queries: 40, energyWh: 52.5, carbonGrams: 21 } };
+const requests = [];
+
+const context = loadExtensionScripts([
+  'storage.js', 'models.js', 'grid-regions.js', 'grid-providers.js', 'destinations.js',
+  'settings.js', 'privacy.js', 'ledger.js', 'budget.js', 'team-sync.js'
+], {
+  chrome: { storage: { local } },
+  AbortController,
+  setTimeout,
+  clearTimeout,
+  async fetch(url, options) {
+    requests.push({ method: options.method || 'GET', url, authorization: options.headers.Authorization });
+    return { ok: true, json: async () => serverReply };
+  }
+});
+
+const check = createChecker('Team sync');
+
+const now = new Date(2026, 9, 19, 12);
+const entries = [
+  {
+    id: 'a',
+    timestamp: new Date(2026, 9, 18, 9).getTime(),
+    decision: 'google',
+    google: { energyWh: 0.3, carbonGrams: 0.1, score: 1 },
+    chatgpt: { energyWh: 3, carbonGrams: 1.2, score: 4 }
+  },
+  {
+    id: 'b',
+    timestamp: new Date(2026, 9, 19, 9).getTime(),
+    decision: 'chatgpt',
+    google: { energyWh: 0.3, carbonGrams: 0.1, score: 1 },
+    chatgpt: { energyWh: 3, carbonGrams: 1.2, score: 4 }
+  }
+];
+const payload = context.buildTeamSyncPayload(entries, { team: 'Platform team', alias: 'sam' }, 'abcdef12-3456', now);
+
+check.equal('buildTeamSyncPayload covers the last week', payload.days.map(day => day.date), [
+  '2026-10-13', '2026-10-14', '2026-10-15', '2026-10-16', '2026-10-17', '2026-10-18', '2026-10-19'
+]);
+check.equal('buildTeamSyncPayload sums each day', [payload.days[5].google, payload.days[5].savedEnergyWh, payload.days[6].chatgpt], [1, 2.7, 1]);
+check.equal('buildTeamSyncPayload is valid', context.validateTeamSyncPayload(payload), []);
+
+const day = payload.days[6];
+// [label, report, expected problems]
+const INVALID_CASES = [
+  ['not an object', [], ['report must be a JSON object']],
+  ['wrong schema', { ...payload, schema: 'other' }, ['schema must be "ecoquery-team-sync"']],
+  ['newer version', { ...payload, schemaVersion: 2 }, ['schemaVersion must be 1']],
+  ['team with markup', { ...payload, team: '<b>team</b>' }, ['team must be a short name']],
+  ['team too long', { ...payload, team: 'x'.repeat(65) }, ['team must be a short name']],
+  ['member as a name', { ...payload, member: 'Sam Smith' }, ['member must be a random id']],
+  ['alias not text', { ...payload, alias: 42 }, ['alias must be a short name']],
+  ['bad timestamp', { ...payload, sentAt: 'yesterday' }, ['sentAt must be an ISO timestamp']],
+  ['no days', { ...payload, days: [] }, ['days must list 1 to 31 days']],
+  ['too many days', { ...payload, days: new Array(32).fill(day) }, ['days must list 1 to 31 days']],
+  ['bad date', { ...payload, days: [{ ...day, date: '19/10/2026' }] }, ['days[0].date must be YYYY-MM-DD']],
+  ['negative figure', { ...payload, days: [{ ...day, energyWh: -1 }] }, ['days[0].energyWh must be a number ≥ 0']],
+  ['figure as text', { ...payload, days: [{ ...day, queries: '2' }] }, ['days[0].queries must be a number ≥ 0']],
+  ['extra field', { ...payload, prompt: 'hello' }, ['prompt is not part of the schema']]
+];
+
+INVALID_CASES.forEach(([label, report, expected]) => {
+  check.equal(`validateTeamSyncPayload: ${label}`, context.validateTeamSyncPayload(report), expected);
+});
+
+async function checkTeamBudgetUsage() {
+  const settings = {
+    budget: { enabled: true, scope: 'team', period: 'month', metric: 'energy', energyWh: 100, carbonGrams: 40, hardStop: false },
+    teamSync: { enabled: true, endpoint: 'https://team.example/v1/usage', apiToken: 'secret', team: 'Platform team', alias: '', intervalMinutes: 60 },
+    privacy: { mode: 'metrics', retentionDays: 0 }
+  };
+
+  // The last report the server took was built at 10:00; the worker then
+  // restarts at noon and fetches the totals without sending a new one
+  const reportedAt = new Date(2026, 9, 19, 10);
+  const report = context.buildTeamSyncPayload(entries, settings.teamSync, 'abcdef12-3456', reportedAt);
+  local.items.ecoqueryTeamSyncQueue = [{ id: 'r', payload: report, attempts: 0, nextAttemptAt: 0 }];
+  await context.flushTeamSyncQueue(settings.teamSync, reportedAt.getTime());
+  check.equal('flushTeamSyncQueue notes when the accepted report was built', local.items.ecoqueryTeamSyncState.lastReportedAt, reportedAt.getTime());
+
+  await context.refreshTeamBudgetUsage(settings, now);
+  check.equal('refreshTeamBudgetUsage asks for the period so far', requests.slice(1), [
+    { method: 'GET', url: 'https://team.example/v1/teams/Platform%20team/totals?from=2026-10-01', authorization: 'Bearer secret' }
+  ]);
+  check.equal('refreshTeamBudgetUsage stores the totals', local.items.ecoqueryTeamBudgetUsage, {
+    team: 'Platform team',
+    period: 'month',
+    periodStart: new Date(2026, 9, 1).getTime(),
+    energyWh: 52.5,
+    carbonGrams: 21,
+    members: 3,
+    reportedUntil: reportedAt.getTime(),
+    fetchedAt: now.getTime()
+  });
+
+  // Logged at 11:00, after the report but before the fetch: not in the
+  // server's totals, so the budget still has to count it
+  const later = { ...entries[1], id: 'c', timestamp: new Date(2026, 9, 19, 11).getTime() };
+  const status = context.getBudgetStatus([...entries, later], settings.budget, now, local.items.ecoqueryTeamBudgetUsage);
+  check.equal('getBudgetStatus counts entries logged after the last report', status.used, 52.5 + 3);
+
+  serverReply = { error: 'Unknown team' };
+  const error = await context.refreshTeamBudgetUsage(settings, now).catch(caught => caught.message);
+  check.equal('refreshTeamBudgetUsage rejects a reply without totals', error, 'The team server sent no totals');
+
+  await context.refreshTeamBudgetUsage({ ...settings, budget: { ...settings.budget, scope: 'personal' } }, now);
+  check.equal('refreshTeamBudgetUsage clears the totals without a team budget', local.items.ecoqueryTeamBudgetUsage, null);
+  check.equal('refreshTeamBudgetUsage only asks while there is a team budget', requests.length, 3);
+}
+
+checkTeamBudgetUsage().then(() => check.finish());
@@ -0,0 +1,120 @@
+// tools/train-query-classifier.js
+// Trains the naive Bayes query classifier (query-classifier.js) from the
+// labelled prompts in fixtures/query-corpus.json and writes the weights the
+// extension ships. No dependencies:
+//
+//   node tools/train-query-classifier.js
+//
+// Run tools/evaluate-query-classifier.js afterwards to check accuracy.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const extensionDir = path.join(__dirname, '..');
+const corpusPath = path.join(extensionDir, 'fixtures', 'query-corpus.json');
+const weightsPath = path.join(extensionDir, 'query-classifier.json');
+
+// Same feature extraction the extension uses
+vm.runInThisContext(fs.readFileSync(path.join(extensionDir, 'query-classifier.js'), 'utf8'));
+
+// Laplace smoothing
+const ALPHA = 1;
+// Bigrams seen only once are mostly noise and bloat the weights file
+const MIN_BIGRAM_COUNT = 2;
+
+// What each category means for the energy model: complexity feeds the Google
+// estimate and the popup's complexity score (see analyzeQueryComplexity)
+const CATEGORY_SETTINGS = {
+  code: { label: 'Code', complexity: 3 },
+  writing: { label: 'Writing', complexity: 2.5 },
+  analysis: { label: 'Analysis', complexity: 2 },
+  howto: { label: 'How-to', complexity: 1.5 },
+  factual: { label: 'Quick fact', complexity: 1 },
+  chat: { label: 'Small talk', complexity: 1 }
+};
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Multinomial naive Bayes over extractQueryFeatures(); returns the weights object.
+// languages lists what the corpus is written in; the extension falls back to
+// keyword heuristics for prompts in any other language.
+function trainQueryClassifier(examples, categoryIds, languages) {
+  const featureCounts = {};
+  const totals = {};
+  categoryIds.forEach(id => { totals[id] = 0; });
+
+  examples.forEach(example => {
+    extractQueryFeatures(example.text).forEach(feature => {
+      const counts = featureCounts[feature] || (featureCounts[feature] = {});
+      counts[example.category] = (counts[example.category] || 0) + 1;
+    });
+  });
+
+  const vocabulary = Object.keys(featureCounts).filter(feature => {
+    if (!feature.includes(' ')) return true;
+    const count = Object.values(featureCounts[feature]).reduce((sum, n) => sum + n, 0);
+    return count >= MIN_BIGRAM_COUNT;
+  }).sort();
+
+  vocabulary.forEach(feature => {
+    Object.entries(featureCounts[feature]).forEach(([id, count]) => { totals[id] += count; });
+  });
+
+  const categories = categoryIds.map(id => {
+    const labelled = examples.filter(example => example.category === id);
+    const denominator = totals[id] + ALPHA * vocabulary.length;
+    return {
+      id,
+      label: CATEGORY_SETTINGS[id] ? CATEGORY_SETTINGS[id].label : id,
+      logPrior: round(Math.log(labelled.length / examples.length)),
+      unknownLogLikelihood: round(Math.log(ALPHA / denominator)),
+      complexity: CATEGORY_SETTINGS[id] ? CATEGORY_SETTINGS[id].complexity : 1,
+      responseTokens: Math.round(median(labelled.map(example => example.responseTokens))),
+      denominator
+    };
+  });
+
+  const features = {};
+  vocabulary.forEach(feature => {
+    features[feature] = categories.map(category =>
+      round(Math.log(((featureCounts[feature][category.id] || 0) + ALPHA) / category.denominator))
+    );
+  });
+  categories.forEach(category => { delete category.denominator; });
+
+  return {
+    version: 1,
+    trainedOn: examples.length,
+    languages,
+    categories,
+    features
+  };
+}
+
+function loadCorpus() {
+  return JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+}
+
+module.exports = { trainQueryClassifier, loadCorpus, weightsPath };
+
+if (require.main === module) {
+  const corpus = loadCorpus();
+  const weights = trainQueryClassifier(corpus.examples, corpus.categories, corpus.languages);
+  // One feature per line keeps retraining diffs readable
+  const featureLines = Object.entries(weights.features)
+    .map(([feature, likelihoods]) => `    ${JSON.stringify(feature)}: ${JSON.stringify(likelihoods)}`);
+  const json = `{\n  "version": ${weights.version},\n  "trainedOn": ${weights.trainedOn},\n  "languages": ${JSON.stringify(weights.languages)},\n`
+    + `  "categories": [\n${weights.categories.map(category => `    ${JSON.stringify(category)}`).join(',\n')}\n  ],\n`
+    + `  "features": {\n${featureLines.join(',\n')}\n  }\n}\n`;
+  fs.writeFileSync(weightsPath, json);
+  console.log(`Trained on ${weights.trainedOn} prompts, ${featureLines.length} features → ${path.relative(process.cwd(), weightsPath)}`);
+}